@@ -0,0 +1,287 @@
+/**
+ * 超強化 GPS 定位系統 v2.0
+ * 管理介面（設定教室座標）與 LIFF 簽到頁（學生簽到）共用
+ * 包含：卡爾曼濾波、異常值過濾、加權平均、統計分析
+ */
+
+const GPS_CONFIG = {
+    targetAccuracy: 20,      // 目標精度（公尺）- 更嚴格
+    excellentAccuracy: 10,   // 極佳精度 - 立即採用
+    maxWaitTime: 30000,      // 最大等待時間 30 秒
+    minSamples: 5,           // 最少取樣次數
+    maxSamples: 20,          // 最多取樣次數
+    stableThreshold: 3,      // 連續穩定次數門檻
+    stableDistance: 5,       // 穩定判定距離（公尺）
+    outlierThreshold: 2.5,   // 異常值標準差倍數
+    kalmanQ: 0.00001,        // 卡爾曼濾波過程噪音
+    kalmanR: 0.01            // 卡爾曼濾波測量噪音
+};
+
+// 卡爾曼濾波器類別
+class KalmanFilter {
+    constructor(q = GPS_CONFIG.kalmanQ, r = GPS_CONFIG.kalmanR) {
+        this.q = q; // 過程噪音
+        this.r = r; // 測量噪音
+        this.x = null; // 估計值
+        this.p = 1; // 估計誤差
+        this.k = 0; // 卡爾曼增益
+    }
+    filter(measurement) {
+        if (this.x === null) {
+            this.x = measurement;
+            return measurement;
+        }
+        // 預測
+        this.p = this.p + this.q;
+        // 更新
+        this.k = this.p / (this.p + this.r);
+        this.x = this.x + this.k * (measurement - this.x);
+        this.p = (1 - this.k) * this.p;
+        return this.x;
+    }
+}
+
+// 計算兩點距離（公尺）
+function calcGPSDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371000;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat/2) ** 2 + Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLon/2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+}
+
+// 計算標準差
+function calcStdDev(arr, mean) {
+    const sqDiffs = arr.map(v => (v - mean) ** 2);
+    return Math.sqrt(sqDiffs.reduce((a, b) => a + b, 0) / arr.length);
+}
+
+// 移除異常值（使用 IQR 方法）
+function removeOutliers(samples) {
+    if (samples.length < 4) return samples;
+
+    const lats = samples.map(s => s.latitude).sort((a,b) => a-b);
+    const lons = samples.map(s => s.longitude).sort((a,b) => a-b);
+
+    const q1Lat = lats[Math.floor(lats.length * 0.25)];
+    const q3Lat = lats[Math.floor(lats.length * 0.75)];
+    const iqrLat = q3Lat - q1Lat;
+
+    const q1Lon = lons[Math.floor(lons.length * 0.25)];
+    const q3Lon = lons[Math.floor(lons.length * 0.75)];
+    const iqrLon = q3Lon - q1Lon;
+
+    return samples.filter(s =>
+        s.latitude >= q1Lat - 1.5 * iqrLat && s.latitude <= q3Lat + 1.5 * iqrLat &&
+        s.longitude >= q1Lon - 1.5 * iqrLon && s.longitude <= q3Lon + 1.5 * iqrLon
+    );
+}
+
+// 加權平均計算（精度越高權重越大）
+function calcWeightedAverage(samples) {
+    if (samples.length === 0) return null;
+
+    // 權重 = 1 / accuracy²（精度越小權重越大）
+    let totalWeight = 0;
+    let weightedLat = 0;
+    let weightedLon = 0;
+
+    samples.forEach(s => {
+        const weight = 1 / (s.accuracy ** 2);
+        totalWeight += weight;
+        weightedLat += s.latitude * weight;
+        weightedLon += s.longitude * weight;
+    });
+
+    return {
+        latitude: weightedLat / totalWeight,
+        longitude: weightedLon / totalWeight
+    };
+}
+
+// 計算中位數
+function median(arr) {
+    const sorted = [...arr].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// 平均精度
+function calcAverageAccuracy(samples) {
+    return samples.reduce((s, p) => s + p.accuracy, 0) / samples.length;
+}
+
+/**
+ * 開始高精度定位（持續取樣直到精度足夠、位置穩定或逾時）
+ * @param {object} handlers
+ * @param {function} handlers.onProgress - 每次取樣後呼叫：{ phase, info, progress, accuracy, bestAccuracy, sampleCount }
+ * @param {function} handlers.onSuccess - 定位完成：{ latitude, longitude, accuracy, method }
+ * @param {function} handlers.onError - 定位失敗：錯誤訊息
+ * @returns {{ accept: function(): boolean, cancel: function(): void }}
+ *   accept() 以目前的取樣結果結束定位（尚無取樣時回傳 false），cancel() 停止定位且不回呼
+ */
+function startHighAccuracyPosition({ onProgress = () => {}, onSuccess, onError }) {
+    if (!navigator.geolocation) {
+        onError('瀏覽器不支援定位');
+        return { accept: () => false, cancel: () => {} };
+    }
+
+    const samples = [];
+    const kalmanLat = new KalmanFilter();
+    const kalmanLon = new KalmanFilter();
+    let bestPosition = null;
+    let bestAccuracy = Infinity;
+    let stableCount = 0;
+    let lastPosition = null;
+    let finished = false;
+    let watchId = null;
+    let timer = null;
+    const startTime = Date.now();
+
+    const stop = () => {
+        finished = true;
+        if (watchId !== null) {
+            navigator.geolocation.clearWatch(watchId);
+            watchId = null;
+        }
+        clearTimeout(timer);
+    };
+    const finish = (latitude, longitude, accuracy, method) => {
+        stop();
+        onSuccess({ latitude, longitude, accuracy, method });
+    };
+    const fail = (message) => {
+        stop();
+        onError(message);
+    };
+    // 移除異常值後加權平均（全部被判為異常值時使用所有取樣）
+    const average = () => {
+        const filtered = removeOutliers(samples);
+        return { filtered, weighted: calcWeightedAverage(filtered.length > 0 ? filtered : samples) };
+    };
+
+    // 使用 watchPosition 持續監聽
+    watchId = navigator.geolocation.watchPosition(
+        (pos) => {
+            if (finished) return;
+
+            const { latitude, longitude, accuracy } = pos.coords;
+            const elapsed = Date.now() - startTime;
+            const progress = Math.min(95, (elapsed / GPS_CONFIG.maxWaitTime) * 100);
+
+            // 套用卡爾曼濾波
+            const filteredLat = kalmanLat.filter(latitude);
+            const filteredLon = kalmanLon.filter(longitude);
+
+            const sample = {
+                latitude: filteredLat,
+                longitude: filteredLon,
+                rawLat: latitude,
+                rawLon: longitude,
+                accuracy,
+                timestamp: Date.now()
+            };
+            samples.push(sample);
+
+            // 更新最佳位置
+            if (accuracy < bestAccuracy) {
+                bestAccuracy = accuracy;
+                bestPosition = { latitude: filteredLat, longitude: filteredLon, accuracy };
+            }
+
+            // 檢查穩定性
+            if (lastPosition) {
+                const dist = calcGPSDistance(lastPosition.latitude, lastPosition.longitude, filteredLat, filteredLon);
+                if (dist < GPS_CONFIG.stableDistance && accuracy < 50) {
+                    stableCount++;
+                } else {
+                    stableCount = Math.max(0, stableCount - 1);
+                }
+            }
+            lastPosition = { latitude: filteredLat, longitude: filteredLon };
+
+            // 判定階段
+            let phase = '收集衛星信號...';
+            if (samples.length >= 3) phase = '分析定位數據...';
+            if (samples.length >= 8) phase = '優化精確度...';
+            if (stableCount >= 2) phase = '位置已穩定！';
+            if (accuracy <= GPS_CONFIG.targetAccuracy) phase = '高精度鎖定中...';
+
+            onProgress({
+                phase,
+                info: `已收集 ${samples.length} 個定位點 | 穩定度: ${Math.min(100, stableCount * 25)}%`,
+                progress,
+                accuracy,
+                bestAccuracy,
+                sampleCount: samples.length
+            });
+
+            // 條件1: 極佳精度，立即完成
+            if (accuracy <= GPS_CONFIG.excellentAccuracy && samples.length >= 2) {
+                finish(filteredLat, filteredLon, accuracy, '極高精度');
+                return;
+            }
+
+            // 條件2: 達到目標精度 + 足夠樣本 + 穩定
+            if (accuracy <= GPS_CONFIG.targetAccuracy && samples.length >= GPS_CONFIG.minSamples && stableCount >= GPS_CONFIG.stableThreshold) {
+                const { weighted } = average();
+                finish(weighted.latitude, weighted.longitude, accuracy, '穩定鎖定');
+                return;
+            }
+
+            // 條件3: 達到最大樣本數
+            if (samples.length >= GPS_CONFIG.maxSamples) {
+                const { filtered, weighted } = average();
+                const avgAcc = calcAverageAccuracy(filtered.length > 0 ? filtered : samples);
+                finish(weighted.latitude, weighted.longitude, Math.min(bestAccuracy, avgAcc), '統計優化');
+                return;
+            }
+        },
+        (err) => {
+            if (finished) return;
+            console.error('GPS 錯誤:', err);
+
+            if (samples.length > 0) {
+                const { weighted } = average();
+                finish(weighted.latitude, weighted.longitude, Math.min(bestAccuracy, calcAverageAccuracy(samples)), '部分數據');
+            } else {
+                let errMsg = '定位失敗';
+                if (err.code === 1) errMsg = '請允許位置存取權限';
+                else if (err.code === 2) errMsg = '無法取得位置，請確認 GPS 已開啟';
+                else if (err.code === 3) errMsg = '定位逾時，請移至開闊處重試';
+                fail(errMsg);
+            }
+        },
+        {
+            enableHighAccuracy: true,
+            timeout: GPS_CONFIG.maxWaitTime,
+            maximumAge: 0
+        }
+    );
+
+    // 超時處理
+    timer = setTimeout(() => {
+        if (finished) return;
+        if (samples.length >= GPS_CONFIG.minSamples) {
+            const { filtered, weighted } = average();
+            const avgAcc = calcAverageAccuracy(filtered.length > 0 ? filtered : samples);
+            finish(weighted.latitude, weighted.longitude, Math.min(bestAccuracy, avgAcc), '時間優化');
+        } else if (bestPosition) {
+            finish(bestPosition.latitude, bestPosition.longitude, bestPosition.accuracy, '最佳取樣');
+        } else {
+            fail('定位逾時，請到戶外或窗邊重試');
+        }
+    }, GPS_CONFIG.maxWaitTime + 2000);
+
+    return {
+        accept() {
+            if (finished || samples.length === 0) return false;
+            const { weighted } = average();
+            finish(weighted.latitude, weighted.longitude, calcAverageAccuracy(samples), '手動確認');
+            return true;
+        },
+        cancel() {
+            stop();
+        }
+    };
+}
@@ -5,11 +5,13 @@
 
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const line = require('@line/bot-sdk');
-const { GoogleSpreadsheet } = require('google-spreadsheet');
-const { JWT } = require('google-auth-library');
 const cron = require('node-cron');
 require('dotenv').config();
+const { createStorage } = require('./storage');
+const { SHEET_SCHEMAS, ARCHIVED_SHEETS, getArchiveTitle, getSheetSchema, migrateSchemas } = require('./storage/schema');
+const { savePhoto, getPhotoPath } = require('./storage/photos');
 
 const app = express();
 
@@ -21,20 +23,26 @@ const lineConfig = {
 
 const lineClient = new line.Client(lineConfig);
 
-// ===== Google Sheets 設定 =====
+// ===== 資料儲存設定 =====
+// doc 可能是 Google Sheets 或本地 JSON 檔，介面相同（見 storage/index.js）
 let doc;
-const SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
+// 最近一次欄位檢查結果
+let schemaReport = [];
 
-async function initGoogleSheets() {
-    const serviceAccountAuth = new JWT({
-        email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
-        key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-        scopes: SCOPES,
-    });
+async function initStorage() {
+    doc = await createStorage();
+    console.log('📊 資料儲存連線成功:', doc.title);
     
-    doc = new GoogleSpreadsheet(process.env.GOOGLE_SHEET_ID, serviceAccountAuth);
-    await doc.loadInfo();
-    console.log('📊 Google Sheets 連線成功:', doc.title);
+    // 補齊既有工作表缺少的欄位
+    schemaReport = await migrateSchemas(doc);
+    for (const { title, added, unknown } of schemaReport) {
+        if (added.length > 0) {
+            console.log(`🧩 ${title} 新增欄位:`, added.join(', '));
+        }
+        if (unknown.length > 0) {
+            console.log(`⚠️ ${title} 有未定義的欄位:`, unknown.join(', '));
+        }
+    }
 }
 
 // ===== 工具函數 =====
@@ -54,53 +62,282 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
 }
 
 /**
- * 格式化日期時間
+ * 解析多邊形頂點（[[緯度, 經度], ...] 或其 JSON 字串），少於 3 個點視為沒有多邊形
+ */
+function parsePolygon(value) {
+    if (!value) return null;
+    try {
+        const points = (typeof value === 'string' ? JSON.parse(value) : value)
+            .map(([lat, lon]) => [parseFloat(lat), parseFloat(lon)])
+            .filter(([lat, lon]) => !Number.isNaN(lat) && !Number.isNaN(lon));
+        return points.length >= 3 ? points : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 多邊形頂點的平均位置
+ */
+function getPolygonCenter(polygon) {
+    const sum = polygon.reduce((acc, [lat, lon]) => [acc[0] + lat, acc[1] + lon], [0, 0]);
+    return [sum[0] / polygon.length, sum[1] / polygon.length];
+}
+
+/**
+ * 點是否在多邊形內（射線法）
+ */
+function isPointInPolygon(lat, lon, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lonI] = polygon[i];
+        const [latJ, lonJ] = polygon[j];
+        if ((latI > lat) !== (latJ > lat) && lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * 點到多邊形邊界的最短距離（公尺）- 校園範圍內以平面近似
+ */
+function distanceToPolygon(lat, lon, polygon) {
+    const metersPerLat = 111320;
+    const metersPerLon = 111320 * Math.cos(lat * Math.PI / 180);
+    const toXY = ([pLat, pLon]) => [(pLon - lon) * metersPerLon, (pLat - lat) * metersPerLat];
+    let min = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [x1, y1] = toXY(polygon[j]);
+        const [x2, y2] = toXY(polygon[i]);
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq ? Math.max(0, Math.min(1, -(x1 * dx + y1 * dy) / lengthSq)) : 0;
+        min = Math.min(min, Math.hypot(x1 + t * dx, y1 + t * dy));
+    }
+    return min;
+}
+
+/**
+ * 檢查位置落在哪個簽到範圍
+ * distance：圓形為到中心的距離；多邊形在範圍內為 0，範圍外為到邊界的距離
+ * @param {Array} geofences - getCourseGeofences() 的結果
+ * @returns {{ matched: object|null, nearest: object|null, distance: number }}
+ */
+function locateInGeofences(lat, lon, geofences) {
+    let nearest = null;
+    let nearestGap = Infinity;
+    let nearestDistance = Infinity;
+    for (const fence of geofences) {
+        const distance = fence.polygon
+            ? (isPointInPolygon(lat, lon, fence.polygon) ? 0 : distanceToPolygon(lat, lon, fence.polygon))
+            : calculateDistance(lat, lon, fence.lat, fence.lon);
+        // 超出範圍多少公尺（0 以下表示在範圍內）
+        const gap = fence.polygon ? distance : distance - fence.radius;
+        if (gap <= 0) {
+            return { matched: fence, nearest: fence, distance };
+        }
+        if (gap < nearestGap) {
+            nearest = fence;
+            nearestGap = gap;
+            nearestDistance = distance;
+        }
+    }
+    return { matched: null, nearest, distance: nearestDistance };
+}
+
+// ===== 時間處理 =====
+// 所有日期、時間計算都以學校時區為準（伺服器可能跑在 UTC 主機上）
+const SCHOOL_TIMEZONE = process.env.SCHOOL_TIMEZONE || 'Asia/Taipei';
+
+const zonedFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: SCHOOL_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+});
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * 取得學校時區的年、月、日、時、分、秒（字串，補零）與星期（0=日）
+ */
+function getZonedParts(date = new Date()) {
+    const parts = {};
+    zonedFormatter.formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+/**
+ * 學校時區與 UTC 的差距（分鐘）
+ */
+function getTimezoneOffset(date) {
+    const p = getZonedParts(date);
+    const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * 格式化日期時間（顯示用，例如 2025/01/02 08:05:00）
  */
 function formatDateTime(date) {
-    return date.toLocaleString('zh-TW', { 
-        timeZone: 'Asia/Taipei',
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit'
-    });
+    const p = getZonedParts(date);
+    return `${p.year}/${p.month}/${p.day} ${p.hour}:${p.minute}:${p.second}`;
+}
+
+/**
+ * 格式化時刻（顯示用，例如 08:05）
+ */
+function formatClock(date) {
+    const p = getZonedParts(date);
+    return `${p.hour}:${p.minute}`;
+}
+
+/**
+ * 轉成含學校時區偏移的 ISO 時間（例如 2025-01-02T08:05:00+08:00）
+ */
+function toZonedISOString(date) {
+    const p = getZonedParts(date);
+    const offset = getTimezoneOffset(date);
+    const sign = offset >= 0 ? '+' : '-';
+    const hh = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const mm = String(Math.abs(offset) % 60).padStart(2, '0');
+    return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}${sign}${hh}:${mm}`;
+}
+
+/**
+ * 取得某個時間在學校時區的日期（YYYY-MM-DD）
+ */
+function toDateString(date) {
+    const p = getZonedParts(date);
+    return `${p.year}-${p.month}-${p.day}`;
+}
+
+/**
+ * 學校時區的「日期 + 時間」轉成 Date
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} timeStr - HH:MM（預設 00:00）
+ */
+function zonedDateTime(dateStr, timeStr = '00:00') {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const [h, min] = timeStr.split(':').map(Number);
+    const guess = Date.UTC(y, m - 1, d, h || 0, min || 0);
+    let result = guess - getTimezoneOffset(new Date(guess)) * 60000;
+    // 日光節約時間交界時再校正一次
+    result = guess - getTimezoneOffset(new Date(result)) * 60000;
+    return new Date(result);
+}
+
+/**
+ * 距離某天某時刻已經過幾分鐘（用於遲到判定）
+ */
+function minutesSince(dateStr, timeStr, now = new Date()) {
+    return Math.floor((now - zonedDateTime(dateStr, timeStr)) / 60000);
+}
+
+/**
+ * 學校時區現在是當天第幾分鐘
+ */
+function getMinutesOfDay(date = new Date()) {
+    const p = getZonedParts(date);
+    return parseInt(p.hour) * 60 + parseInt(p.minute);
+}
+
+/**
+ * 日期字串加減天數
+ */
+function addDays(dateStr, days) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + days)).toISOString().split('T')[0];
+}
+
+/**
+ * 解析舊資料的顯示時間字串（2025/01/02 08:05:00、2025/1/2 上午8:05:00、2025-01-02 00:00:00）
+ */
+function parseDisplayDateTime(str) {
+    const match = (str || '').match(/(\d{4})[-/](\d{1,2})[-/](\d{1,2})\s*(上午|下午)?\s*(\d{1,2}):(\d{2})/);
+    if (!match) return null;
+    const [, y, m, d, meridiem, h, min] = match;
+    let hour = parseInt(h);
+    if (meridiem === '上午' && hour === 12) hour = 0;
+    if (meridiem === '下午' && hour < 12) hour += 12;
+    return zonedDateTime(`${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`, `${hour}:${min}`);
+}
+
+/**
+ * 依 key 排隊執行（同一個 key 同時只有一個 task 在跑）
+ * 只在單一程序內有效，多台實例需改用外部鎖
+ */
+const exclusiveQueues = new Map();
+
+function runExclusive(key, task) {
+    const previous = exclusiveQueues.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    exclusiveQueues.set(key, current);
+    
+    const cleanup = () => {
+        if (exclusiveQueues.get(key) === current) {
+            exclusiveQueues.delete(key);
+        }
+    };
+    current.then(cleanup, cleanup);
+    return current;
 }
 
 /**
- * 取得今天日期字串
+ * 取得今天日期字串（學校時區，YYYY-MM-DD）
  */
 function getTodayString() {
-    // 統一使用 YYYY-MM-DD 格式
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+    return toDateString(new Date());
 }
 
 // ===== Google Sheets 操作 =====
 
 /**
- * 取得或建立工作表
+ * 取得或建立工作表（欄位依 storage/schema.js 定義）
  */
-async function getOrCreateSheet(title, headers) {
+async function getOrCreateSheet(title) {
     let sheet = doc.sheetsByTitle[title];
     if (!sheet) {
+        const headers = getSheetSchema(title);
+        if (!headers) {
+            throw new Error(`未定義的工作表: ${title}`);
+        }
         sheet = await doc.addSheet({ title, headerValues: headers });
     }
     return sheet;
 }
 
+/**
+ * 取得系統設定（設定項目 → 設定值）
+ */
+async function getSettings() {
+    const sheet = doc.sheetsByTitle['系統設定'];
+    const settings = {};
+    if (!sheet) return settings;
+    (await sheet.getRows()).forEach(r => { settings[r.get('設定項目')] = r.get('設定值'); });
+    return settings;
+}
+
 /**
  * 取得學生資料
  */
 async function getStudent(lineUserId) {
     try {
-        const sheet = await getOrCreateSheet('學生名單', [
-            '學號', '姓名', '班級', 'LINE_ID', 'LINE名稱', '註冊時間', '狀態'
-        ]);
+        const sheet = await getOrCreateSheet('學生名單');
         const rows = await sheet.getRows();
         return rows.find(row => row.get('LINE_ID') === lineUserId);
     } catch (error) {
@@ -109,6 +346,20 @@ async function getStudent(lineUserId) {
     }
 }
 
+/**
+ * 取得已綁定 LINE 的教師資料
+ */
+async function getTeacher(lineUserId) {
+    try {
+        const sheet = await getOrCreateSheet('教師名單');
+        const rows = await sheet.getRows();
+        return rows.find(row => row.get('LINE_ID') && row.get('LINE_ID') === lineUserId);
+    } catch (error) {
+        console.error('❌ getTeacher 錯誤:', error);
+        return null;
+    }
+}
+
 /**
  * 註冊學生
  */
@@ -120,21 +371,16 @@ async function updateClassCount(classCode) {
         await doc.loadInfo(); // 確保資料是最新的
         
         const classSheet = doc.sheetsByTitle['班級列表'];
-        const studentSheet = doc.sheetsByTitle['學生名單'];
         
-        if (!classSheet || !studentSheet) {
-            console.log('❌ 找不到班級列表或學生名單工作表');
+        if (!classSheet) {
+            console.log('❌ 找不到班級列表工作表');
             return;
         }
         
-        const students = await studentSheet.getRows();
         const classRows = await classSheet.getRows();
         
-        // 計算該班級人數（支援多班級分隔符）
-        const count = students.filter(s => {
-            const classStr = s.get('班級') || '';
-            return classStr.split(/[,、/]/).map(c => c.trim()).includes(classCode);
-        }).length;
+        // 計算該班級目前的成員人數
+        const count = (await getEnrollments({ classCode })).length;
         
         // 更新班級列表
         const classRow = classRows.find(r => r.get('班級代碼') === classCode);
@@ -158,25 +404,21 @@ async function syncAllClassCounts() {
         await doc.loadInfo();
         
         const classSheet = doc.sheetsByTitle['班級列表'];
-        const studentSheet = doc.sheetsByTitle['學生名單'];
         
-        if (!classSheet || !studentSheet) {
-            console.log('❌ 找不到班級列表或學生名單工作表');
+        if (!classSheet) {
+            console.log('❌ 找不到班級列表工作表');
             return;
         }
         
-        const students = await studentSheet.getRows();
         const classRows = await classSheet.getRows();
+        const enrollments = await getEnrollments();
         
         // 計算每個班級的人數
         for (const classRow of classRows) {
             const classCode = classRow.get('班級代碼');
             if (!classCode) continue;
             
-            const count = students.filter(s => {
-                const classStr = s.get('班級') || '';
-                return classStr.split(/[,、/]/).map(c => c.trim()).includes(classCode);
-            }).length;
+            const count = enrollments.filter(e => e.get('班級代碼') === classCode).length;
             
             const oldCount = parseInt(classRow.get('人數')) || 0;
             if (count !== oldCount) {
@@ -199,9 +441,7 @@ async function syncAllClassCounts() {
 async function registerStudent(lineUserId, lineName, studentId, studentName, className) {
     try {
         await doc.loadInfo();
-        const sheet = await getOrCreateSheet('學生名單', [
-            '學號', '姓名', '班級', 'LINE_ID', 'LINE名稱', '註冊時間', '狀態'
-        ]);
+        const sheet = await getOrCreateSheet('學生名單');
         
         // 檢查學號是否已存在
         const rows = await sheet.getRows();
@@ -225,8 +465,7 @@ async function registerStudent(lineUserId, lineName, studentId, studentName, cla
             console.log(`🔄 學號 ${studentId} 重新綁定 LINE_ID，舊=${oldLineId} 新=${lineUserId}`);
             
             // 更新班級人數
-            const existingClass = existing.get('班級') || '';
-            const classCodes = existingClass.split(/[,、/]/).map(c => c.trim()).filter(c => c);
+            const classCodes = await getStudentClassCodes(studentId);
             for (const code of classCodes) {
                 await updateClassCount(code);
             }
@@ -248,11 +487,13 @@ async function registerStudent(lineUserId, lineName, studentId, studentName, cla
             '狀態': '正常'
         });
         
-        // 更新班級人數（支援多班級）
-        const classCodes = className.split(/[,、/]/).map(c => c.trim()).filter(c => c);
+        // 建立班級成員並更新班級人數（支援多班級）
+        const classCodes = parseClassCodes(className);
         for (const code of classCodes) {
+            await enrollStudent(studentId, code);
             await updateClassCount(code);
         }
+        await syncStudentClassField(studentId);
         
         return { success: true, message: '註冊成功！' };
     } catch (error) {
@@ -294,15 +535,66 @@ async function getCourse(courseId) {
     }
 }
 
+/**
+ * 取得課程允許簽到的範圍
+ * 教室座標（簽到範圍 > 0 時）加上「簽到位置」引用的 GPS位置，任一符合即可簽到
+ * @param {object[]} locations - GPS位置 工作表的列
+ * @returns {Array<{ id, name, lat, lon, radius, polygon }>}
+ */
+function getCourseGeofences(course, locations) {
+    const geofences = [];
+    const classroomLat = parseFloat(course.get('教室緯度')) || 0;
+    const classroomLon = parseFloat(course.get('教室經度')) || 0;
+    const radius = parseInt(course.get('簽到範圍'));
+    if (classroomLat !== 0 && classroomLon !== 0 && radius > 0) {
+        geofences.push({
+            id: '',
+            name: course.get('教室') || '教室',
+            lat: classroomLat,
+            lon: classroomLon,
+            radius,
+            polygon: null
+        });
+    }
+    
+    const locationIds = (course.get('簽到位置') || '').split(',').map(id => id.trim()).filter(Boolean);
+    for (const id of locationIds) {
+        const location = locations.find(l => l.get('位置ID') === id);
+        if (!location) continue;
+        geofences.push({
+            id,
+            name: location.get('名稱') || id,
+            lat: parseFloat(location.get('緯度')) || 0,
+            lon: parseFloat(location.get('經度')) || 0,
+            radius: parseInt(location.get('半徑')) || 50,
+            polygon: parsePolygon(location.get('多邊形'))
+        });
+    }
+    return geofences;
+}
+
+/**
+ * 讀取 GPS位置 工作表（簽到範圍與座位配置共用，同一次簽到只需讀一次）
+ */
+async function loadLocationRows() {
+    const sheet = doc.sheetsByTitle['GPS位置'];
+    return sheet ? sheet.getRows() : [];
+}
+
+/**
+ * 讀取 GPS位置 後取得課程的簽到範圍
+ */
+async function loadCourseGeofences(course) {
+    return getCourseGeofences(course, await loadLocationRows());
+}
+
 /**
  * 取得今日課程活動
  */
 async function getTodaySession(courseId) {
     try {
         const today = getTodayString();
-        const sheet = await getOrCreateSheet('簽到活動', [
-            '活動ID', '課程ID', '日期', '開始時間', '結束時間', 'QR碼內容', '狀態'
-        ]);
+        const sheet = await getOrCreateSheet('簽到活動');
         const rows = await sheet.getRows();
         
         // 找今天的活動（不限制狀態，只要不是「已結束」）
@@ -347,38 +639,98 @@ async function checkExistingAttendance(sessionId, studentId) {
     }
 }
 
+/**
+ * 產生簽到紀錄ID（同一毫秒內寫入多筆也不會重複）
+ */
+function generateRecordId() {
+    return 'R' + Date.now() + crypto.randomBytes(2).toString('hex');
+}
+
+/**
+ * 取得簽到紀錄ID
+ * 加入紀錄ID欄位前的舊資料以「活動ID_學號」代替（同一活動每位學生只有一筆，一樣不會變動）
+ */
+function getRecordId(row) {
+    return row.get('紀錄ID') || `${row.get('活動ID')}_${row.get('學號')}`;
+}
+
+/**
+ * 取得簽到紀錄的時間（優先使用 簽到時間ISO，舊資料才解析顯示字串）
+ */
+function getRecordTime(row) {
+    const iso = row.get('簽到時間ISO');
+    if (iso) return new Date(iso);
+    return parseDisplayDateTime(row.get('簽到時間'));
+}
+
+/**
+ * 取得簽到紀錄的日期（學校時區，YYYY-MM-DD）
+ */
+function getRecordDate(row, sessionDate) {
+    if (sessionDate) return sessionDate;
+    const time = getRecordTime(row);
+    return time ? toDateString(time) : '';
+}
+
 /**
  * 記錄簽到並發送通知
+ * @param {object} extra - 其他要寫入的欄位（例如 GPS距離、GPS重試）
+ * @param {object} options
+ * @param {boolean} options.manual - 教師手動標記的狀態（點名），連堂課程不依到達時間重新判定
  */
-async function recordAttendance(sessionId, studentId, status, lateMinutes = 0, gpsLat = '', gpsLon = '', sendNotification = true) {
-    const sheet = await getOrCreateSheet('簽到紀錄', [
-        '活動ID', '學號', '簽到時間', '狀態', '遲到分鐘', 'GPS緯度', 'GPS經度', '備註'
-    ]);
-    
-    // 檢查是否已簽到
-    const rows = await sheet.getRows();
-    const existing = rows.find(row => 
-        row.get('活動ID') === sessionId && 
-        row.get('學號') === studentId
-    );
-    
-    if (existing) {
-        return { success: false, message: '您已經簽到過了！', status: existing.get('狀態') };
+async function recordAttendance(sessionId, studentId, status, lateMinutes = 0, gpsLat = '', gpsLon = '', sendNotification = true, extra = {}, { manual = false } = {}) {
+    // 連堂課程依到達時間計算各節狀態，整堂狀態與遲到分鐘由各節決定（教師手動標記的狀態則套用到每一節）
+    // 超過缺席門檻（缺席且有遲到分鐘）是以第一節判定的，連堂課程改為逐節套用遲到分級，不整堂記為缺席
+    const now = new Date();
+    const periodAttendance = await resolvePeriodAttendance(sessionId, studentId, {
+        status: status === '缺席' && lateMinutes > 0 && !manual ? null : status,
+        arrivedAt: now,
+        manual
+    });
+    if (periodAttendance) {
+        lateMinutes = manual && periodAttendance.status === status ? lateMinutes : periodAttendance.lateMinutes;
+        status = periodAttendance.status;
+        extra = { ...extra, '節次狀態': periodAttendance.text };
     }
     
-    await sheet.addRow({
-        '活動ID': sessionId,
-        '學號': studentId,
-        '簽到時間': formatDateTime(new Date()),
-        '狀態': status,
-        '遲到分鐘': lateMinutes,
-        'GPS緯度': gpsLat,
-        'GPS經度': gpsLon,
-        '備註': ''
+    // 同一活動的寫入依序執行，「檢查 → 寫入」之間不會被其他請求插隊
+    // （活動ID + 學號 即為冪等鍵，同一學生同一活動只會有一筆紀錄）
+    const written = await runExclusive(`session:${sessionId}`, async () => {
+        const sheet = await getOrCreateSheet('簽到紀錄');
+        
+        // 檢查是否已簽到
+        const rows = await sheet.getRows();
+        const existing = rows.find(row => 
+            row.get('活動ID') === sessionId && 
+            row.get('學號') === studentId
+        );
+        
+        if (existing) {
+            return { success: false, message: '您已經簽到過了！', status: existing.get('狀態') };
+        }
+        
+        await sheet.addRow({
+            '紀錄ID': generateRecordId(),
+            '活動ID': sessionId,
+            '學號': studentId,
+            '簽到時間': formatDateTime(now),
+            '簽到時間ISO': toZonedISOString(now),
+            '狀態': status,
+            '遲到分鐘': lateMinutes,
+            'GPS緯度': gpsLat,
+            'GPS經度': gpsLon,
+            '備註': status === '缺席' && lateMinutes > 0 ? `遲到 ${lateMinutes} 分鐘（超過缺席門檻）` : '',
+            ...extra
+        });
+        return { success: true };
     });
     
-    // 更新統計
-    await updateStatistics(studentId, status);
+    if (!written.success) {
+        return written;
+    }
+    
+    // 稍後由簽到紀錄重新計算該學生的統計
+    queueStatisticsRefresh(studentId);
     
     // 發送簽到狀態通知（準時、遲到、缺席都發送）
     if (sendNotification) {
@@ -403,10 +755,14 @@ async function recordAttendance(sessionId, studentId, status, lateMinutes = 0, g
                             let notifyText = '';
                             if (status === '已報到') {
                                 notifyText = `✅ 簽到成功\n\n📚 課程：${course.get('科目')}\n📅 日期：${session.get('日期')}\n✨ 狀態：準時報到\n\n繼續保持！💪`;
-                            } else if (status === '遲到') {
-                                notifyText = `⚠️ 遲到通知\n\n📚 課程：${course.get('科目')}\n📅 日期：${session.get('日期')}\n⏰ 遲到：${lateMinutes} 分鐘\n\n請下次準時出席！`;
+                            } else if (status === '遲到' || status === '嚴重遲到') {
+                                notifyText = `⚠️ ${status}通知\n\n📚 課程：${course.get('科目')}\n📅 日期：${session.get('日期')}\n⏰ 遲到：${lateMinutes} 分鐘` +
+                                    (periodAttendance ? `\n📖 ${describePeriodStatuses(periodAttendance.periods)}` : '') +
+                                    `\n\n請下次準時出席！`;
                             } else if (status === '缺席') {
-                                notifyText = `❌ 缺席通知\n\n📚 課程：${course.get('科目')}\n📅 日期：${session.get('日期')}\n\n如有疑問請聯繫教師。`;
+                                notifyText = `❌ 缺席通知\n\n📚 課程：${course.get('科目')}\n📅 日期：${session.get('日期')}` +
+                                    (lateMinutes > 0 ? `\n⏰ 遲到 ${lateMinutes} 分鐘，已超過缺席門檻` : '') +
+                                    `\n\n如有疑問請聯繫教師。`;
                             }
                             
                             if (notifyText) {
@@ -425,67 +781,220 @@ async function recordAttendance(sessionId, studentId, status, lateMinutes = 0, g
         }
     }
     
-    return { success: true, message: '簽到成功！', status };
+    return { success: true, message: '簽到成功！', status, lateMinutes, periods: periodAttendance ? periodAttendance.periods : null };
 }
 
 /**
- * 更新統計資料
+ * 由簽到紀錄計算出席數據（出席含遲到、嚴重遲到、早退；請假不列入出席率）
+ * 連堂課的紀錄以節為單位計算（一節算一次）
+ * @returns {{ total, onTime, late, severeLate, earlyLeave, attended, absent, leave, rate }} rate 在沒有可計算的紀錄時為 null
  */
-async function updateStatistics(studentId, status) {
-    const sheet = await getOrCreateSheet('出席統計', [
-        '學號', '姓名', '班級', '出席次數', '遲到次數', '缺席次數', '出席率', '最後更新'
-    ]);
-    
-    const rows = await sheet.getRows();
-    let statRow = rows.find(row => row.get('學號') === studentId);
+function summarizeAttendance(records) {
+    const statuses = records.flatMap(r => {
+        const periods = parsePeriodStatuses(r.get('節次狀態'));
+        return periods.length > 0 ? periods.map(p => p.status) : [r.get('狀態')];
+    });
+    const count = status => statuses.filter(s => s === status).length;
+    const onTime = count('已報到');
+    const late = count('遲到');
+    const severeLate = count('嚴重遲到');
+    const earlyLeave = count('早退');
+    const absent = count('缺席');
+    const leave = count('請假');
+    const attended = onTime + late + severeLate + earlyLeave;
+    const counted = attended + absent;
+    return {
+        total: statuses.length,
+        onTime,
+        late,
+        severeLate,
+        earlyLeave,
+        attended,
+        absent,
+        leave,
+        rate: counted > 0 ? Math.round((attended / counted) * 100) : null
+    };
+}
+
+/**
+ * 取得 活動ID → 課程ID 對照
+ */
+async function getSessionCourseMap(sessions) {
+    const map = {};
+    const sessionSheet = doc.sheetsByTitle['簽到活動'];
+    if (!sessions && !sessionSheet) return map;
+    (sessions || await sessionSheet.getRows()).forEach(s => { map[s.get('活動ID')] = s.get('課程ID'); });
+    return map;
+}
+
+/**
+ * 出席統計使用的簽到紀錄與活動：目前的資料，
+ * 系統設定的學期已封存時（結業後到設定下學期之前）再加上該學期的封存，封存後統計不會歸零
+ */
+async function loadStatisticsData() {
+    const data = await loadAttendanceData();
+    const settings = await getSettings();
+    const semesterEnd = settings['結業日期'] || '';
+    if (!semesterEnd) return data;
     
-    // 取得學生資料
+    const semester = getSemesterTag(settings['開學日期'] || semesterEnd);
+    if (!(await getArchivedSemesters()).some(a => a.semester === semester)) return data;
+    const archived = await loadAttendanceData({ semester });
+    return {
+        records: [...archived.records, ...data.records],
+        sessions: [...archived.sessions, ...data.sessions]
+    };
+}
+
+/**
+ * 計算出席統計列（每位學生一列總計，加上每門有紀錄的課程各一列）
+ * @param {string[]} studentIds - 只計算這些學生（不指定則為全部）
+ */
+async function computeStatisticsRows(studentIds) {
     const studentSheet = doc.sheetsByTitle['學生名單'];
-    const studentRows = await studentSheet.getRows();
-    const student = studentRows.find(row => row.get('學號') === studentId);
+    const courseSheet = doc.sheetsByTitle['課程列表'];
     
-    if (!statRow) {
-        // 建立新統計
-        statRow = await sheet.addRow({
-            '學號': studentId,
-            '姓名': student ? student.get('姓名') : '',
-            '班級': student ? student.get('班級') : '',
-            '出席次數': 0,
-            '遲到次數': 0,
-            '缺席次數': 0,
-            '出席率': '0%',
-            '最後更新': formatDateTime(new Date())
-        });
-    }
+    const { records, sessions } = await loadStatisticsData();
+    const students = studentSheet ? await studentSheet.getRows() : [];
+    const courses = courseSheet ? await courseSheet.getRows() : [];
+    const sessionCourseMap = await getSessionCourseMap(sessions);
     
-    // 更新計數
-    let attended = parseInt(statRow.get('出席次數')) || 0;
-    let late = parseInt(statRow.get('遲到次數')) || 0;
-    let absent = parseInt(statRow.get('缺席次數')) || 0;
+    const courseNames = {};
+    courses.forEach(c => { courseNames[c.get('課程ID')] = c.get('科目'); });
     
-    if (status === '已報到') attended++;
-    else if (status === '遲到') { attended++; late++; }
-    else if (status === '缺席') absent++;
+    const ids = studentIds || [...new Set([
+        ...students.map(s => s.get('學號')),
+        ...records.map(r => r.get('學號'))
+    ].filter(id => id))];
     
-    const total = attended + absent;
-    const rate = total > 0 ? Math.round((attended / total) * 100) : 0;
+    const updatedAt = formatDateTime(new Date());
+    const rows = [];
+    
+    for (const studentId of ids) {
+        const student = students.find(s => s.get('學號') === studentId);
+        const studentRecords = records.filter(r => r.get('學號') === studentId);
+        
+        const toRow = (courseId, list) => {
+            const summary = summarizeAttendance(list);
+            return {
+                '學號': studentId,
+                '姓名': student ? student.get('姓名') : '',
+                '班級': student ? student.get('班級') : '',
+                '課程ID': courseId,
+                '科目': courseId ? (courseNames[courseId] || '') : '',
+                '出席次數': summary.attended,
+                '遲到次數': summary.late,
+                '缺席次數': summary.absent,
+                '請假次數': summary.leave,
+                '早退次數': summary.earlyLeave,
+                '嚴重遲到次數': summary.severeLate,
+                '出席率': `${summary.rate ?? 100}%`,
+                '最後更新': updatedAt
+            };
+        };
+        
+        rows.push(toRow('', studentRecords));
+        
+        const courseIds = [...new Set(studentRecords.map(r => sessionCourseMap[r.get('活動ID')]).filter(c => c))];
+        for (const courseId of courseIds) {
+            rows.push(toRow(courseId, studentRecords.filter(r => sessionCourseMap[r.get('活動ID')] === courseId)));
+        }
+    }
     
-    statRow.set('出席次數', attended);
-    statRow.set('遲到次數', late);
-    statRow.set('缺席次數', absent);
-    statRow.set('出席率', `${rate}%`);
-    statRow.set('最後更新', formatDateTime(new Date()));
-    await statRow.save();
+    return rows;
+}
+
+/**
+ * 重新計算學生的出席統計（管理後台修改或刪除紀錄後呼叫；簽到路徑用 queueStatisticsRefresh）
+ * 其他學生的列原樣保留，整張表以 clearRows + addRows 寫回：
+ * 不論這次有幾位學生，都只有兩次寫入，簽到尖峰後的批次重算不會超過試算表的寫入配額
+ * @param {string|string[]} studentIds
+ */
+async function refreshStudentStatistics(studentIds) {
+    const ids = [].concat(studentIds);
+    if (ids.length === 0) return;
+    return runExclusive('statistics', async () => {
+        const sheet = await getOrCreateSheet('出席統計');
+        const newRows = await computeStatisticsRows(ids);
+        const kept = (await sheet.getRows())
+            .filter(r => !ids.includes(r.get('學號')))
+            .map(r => r.toObject());
+        
+        // 依學號排列（同一學生的總計列在前）
+        const rows = [...kept, ...newRows].sort((a, b) => String(a['學號']).localeCompare(String(b['學號'])));
+        await sheet.clearRows();
+        if (rows.length > 0) {
+            await sheet.addRows(rows);
+        }
+    });
+}
+
+/**
+ * 由簽到紀錄重建整張出席統計（修正試算表手動修改造成的落差）
+ */
+async function rebuildStatistics() {
+    return runExclusive('statistics', async () => {
+        const sheet = await getOrCreateSheet('出席統計');
+        const rows = await computeStatisticsRows();
+        await sheet.clearRows();
+        if (rows.length > 0) {
+            await sheet.addRows(rows);
+        }
+        console.log(`📊 已重建出席統計（${rows.length} 列）`);
+        return rows.length;
+    });
 }
 
+// 簽到、簽退與缺席標記不直接重算統計（每次都要讀整張簽到紀錄），先記下學號，
+// 幾秒後一次重算這段期間有變動的學生；重啟前尚未重算的部分由每日重建補上
+// 重算失敗時（例如觸發配額限制）延長間隔重試，且改為整張重建（失敗時出席統計可能只寫了一半）
+const STATISTICS_REFRESH_DELAY_SECONDS = 30;
+const STATISTICS_REFRESH_MAX_DELAY_SECONDS = 15 * 60;
+const pendingStatistics = new Set();
+let statisticsRefreshTimer = null;
+let statisticsRefreshFailures = 0;
+
+function queueStatisticsRefresh(studentId) {
+    pendingStatistics.add(studentId);
+    scheduleStatisticsRefresh();
+}
+
+function scheduleStatisticsRefresh() {
+    if (statisticsRefreshTimer) return;
+    const delay = Math.min(STATISTICS_REFRESH_DELAY_SECONDS * 2 ** statisticsRefreshFailures, STATISTICS_REFRESH_MAX_DELAY_SECONDS);
+    statisticsRefreshTimer = setTimeout(flushStatisticsRefresh, delay * 1000);
+}
+
+async function flushStatisticsRefresh() {
+    statisticsRefreshTimer = null;
+    const studentIds = [...pendingStatistics];
+    pendingStatistics.clear();
+    try {
+        if (statisticsRefreshFailures > 0) {
+            await runRecordWork(rebuildStatistics);
+        } else {
+            await runRecordWork(() => refreshStudentStatistics(studentIds));
+        }
+        statisticsRefreshFailures = 0;
+    } catch (e) {
+        statisticsRefreshFailures++;
+        studentIds.forEach(id => pendingStatistics.add(id));
+        console.error(`更新出席統計錯誤（第 ${statisticsRefreshFailures} 次，稍後重試）:`, e);
+    }
+    if (pendingStatistics.size > 0) {
+        scheduleStatisticsRefresh();
+    }
+}
+
+// 每天凌晨重建一次
+cron.schedule('0 3 * * *', () => runRecordWork(rebuildStatistics).catch(e => console.error('重建出席統計錯誤:', e)), { timezone: SCHOOL_TIMEZONE });
+
 /**
  * 取得班級列表
  */
 async function getClasses() {
     try {
-        const sheet = await getOrCreateSheet('班級列表', [
-            '班級代碼', '班級名稱', '導師', '人數', '建立時間'
-        ]);
+        const sheet = await getOrCreateSheet('班級列表');
         const rows = await sheet.getRows();
         return rows.map(row => ({
             code: row.get('班級代碼'),
@@ -497,31 +1006,359 @@ async function getClasses() {
     }
 }
 
-// ===== LINE Bot 訊息處理 =====
+// ===== 班級成員 =====
 
-// 用戶狀態暫存（實際應用建議用 Redis）
-const userStates = new Map();
+/**
+ * 解析「班級」欄位字串（支援逗號、頓號、斜線分隔）
+ */
+function parseClassCodes(classStr) {
+    return (classStr || '').split(/[,、/]/).map(c => c.trim()).filter(c => c);
+}
 
 /**
- * 處理 Webhook 事件
+ * 取得班級成員
+ * @param {object} filter
+ * @param {string} filter.studentId - 只取該學生
+ * @param {string} filter.classCode - 只取該班級
+ * @param {string} filter.date - 只取該日期仍在班上的成員（預設今天）
+ * @param {string[]} filter.roles - 只取指定身分（正式 / 旁聽）
  */
-async function handleEvent(event) {
-    if (event.type !== 'message' && event.type !== 'postback') {
-        return null;
-    }
+async function getEnrollments(filter = {}) {
+    const sheet = await getOrCreateSheet('班級成員');
+    const rows = await sheet.getRows();
+    const date = filter.date || getTodayString();
     
-    const userId = event.source.userId;
-    let userName = '同學';
-    try {
-        const userProfile = await lineClient.getProfile(userId);
-        userName = userProfile.displayName || '同學';
-    } catch (e) {
-        // 無法取得用戶資料，使用預設名稱
-    }
+    return rows.filter(r => {
+        if (filter.studentId && r.get('學號') !== filter.studentId) return false;
+        if (filter.classCode && r.get('班級代碼') !== filter.classCode) return false;
+        if (filter.roles && !filter.roles.includes(r.get('身分') || '正式')) return false;
+        
+        const joinedAt = r.get('加入日期');
+        const leftAt = r.get('退出日期');
+        if (joinedAt && joinedAt > date) return false;
+        if (leftAt && leftAt <= date) return false;
+        return true;
+    });
+}
+
+/**
+ * 取得班級成員的學號
+ */
+async function getClassStudentIds(classCode, options = {}) {
+    const enrollments = await getEnrollments({ ...options, classCode });
+    return new Set(enrollments.map(e => e.get('學號')));
+}
+
+/**
+ * 取得學生目前所屬的班級代碼
+ */
+async function getStudentClassCodes(studentId) {
+    const enrollments = await getEnrollments({ studentId });
+    return [...new Set(enrollments.map(e => e.get('班級代碼')))];
+}
+
+/**
+ * 加入班級（已在班上則不重複建立）
+ */
+async function enrollStudent(studentId, classCode, role = '正式') {
+    const current = await getEnrollments({ studentId, classCode });
+    if (current.length > 0) return false;
     
-    // 處理 Postback（按鈕回應）
-    if (event.type === 'postback') {
-        return handlePostback(event, userId, userName);
+    const sheet = await getOrCreateSheet('班級成員');
+    await sheet.addRow({
+        '學號': studentId,
+        '班級代碼': classCode,
+        '身分': role,
+        '加入日期': getTodayString(),
+        '退出日期': ''
+    });
+    return true;
+}
+
+/**
+ * 退出班級（保留紀錄，填入退出日期）
+ */
+async function leaveClass(studentId, classCode) {
+    const current = await getEnrollments({ studentId, classCode });
+    for (const row of current) {
+        row.set('退出日期', getTodayString());
+        await row.save();
+    }
+    return current.length > 0;
+}
+
+/**
+ * 將學生的班級設為指定清單（多的加入、少的退出）
+ */
+async function setStudentClasses(studentId, classCodes) {
+    const current = await getStudentClassCodes(studentId);
+    for (const code of classCodes) {
+        if (!current.includes(code)) await enrollStudent(studentId, code);
+    }
+    for (const code of current) {
+        if (!classCodes.includes(code)) await leaveClass(studentId, code);
+    }
+    const changed = [...new Set([...current, ...classCodes])];
+    for (const code of changed) {
+        await updateClassCount(code);
+    }
+}
+
+/**
+ * 將學生名單的「班級」欄位同步為目前的班級成員（方便在試算表上閱讀）
+ */
+async function syncStudentClassField(studentId) {
+    const sheet = doc.sheetsByTitle['學生名單'];
+    if (!sheet) return;
+    
+    const rows = await sheet.getRows();
+    const row = rows.find(r => r.get('學號') === studentId);
+    if (!row) return;
+    
+    const classCodes = await getStudentClassCodes(studentId);
+    const classStr = classCodes.join('、');
+    if (row.get('班級') !== classStr) {
+        row.set('班級', classStr);
+        await row.save();
+    }
+}
+
+/**
+ * 取得 活動ID → 班級代碼 對照（依班級統計簽到紀錄用）
+ */
+async function getSessionClassMap(sessions) {
+    const map = {};
+    const sessionSheet = doc.sheetsByTitle['簽到活動'];
+    const courseSheet = doc.sheetsByTitle['課程列表'];
+    if (!courseSheet || (!sessions && !sessionSheet)) return map;
+    
+    const courseClass = {};
+    (await courseSheet.getRows()).forEach(c => { courseClass[c.get('課程ID')] = c.get('班級'); });
+    (sessions || await sessionSheet.getRows()).forEach(s => { map[s.get('活動ID')] = courseClass[s.get('課程ID')] || ''; });
+    return map;
+}
+
+/**
+ * 判斷簽到紀錄是否屬於某班級
+ * 有對應課程時以課程的班級為準（多班級學生不會重複計算），
+ * 手動紀錄等找不到課程的，才以學生所屬班級判斷
+ */
+function isClassRecord(record, classCode, sessionClassMap, memberIds) {
+    const sessionClass = sessionClassMap[record.get('活動ID')];
+    if (sessionClass) return sessionClass === classCode;
+    return memberIds.has(record.get('學號'));
+}
+
+/**
+ * 第一次啟動時，從學生名單的「班級」欄位建立班級成員
+ */
+async function migrateEnrollments() {
+    if (doc.sheetsByTitle['班級成員']) return;
+    
+    const enrollmentSheet = await getOrCreateSheet('班級成員');
+    const studentSheet = doc.sheetsByTitle['學生名單'];
+    if (!studentSheet) return;
+    
+    const students = await studentSheet.getRows();
+    const rows = [];
+    for (const student of students) {
+        for (const code of parseClassCodes(student.get('班級'))) {
+            rows.push({
+                '學號': student.get('學號'),
+                '班級代碼': code,
+                '身分': '正式',
+                '加入日期': '',
+                '退出日期': ''
+            });
+        }
+    }
+    
+    if (rows.length > 0) {
+        await enrollmentSheet.addRows(rows);
+    }
+    console.log(`👥 已從學生名單建立 ${rows.length} 筆班級成員`);
+}
+
+// ===== LINE Bot 訊息處理 =====
+
+// ===== 對話狀態 =====
+// 存在「對話狀態」工作表，重新部署或多個執行個體時流程不會中斷（此工作表不經過讀取快取，見 storage/index.js）
+
+// 各流程的有效時間（分鐘），逾時未完成的流程視為放棄
+const CONVERSATION_FLOWS = {
+    register: { name: '註冊', ttl: 30 },
+    unbind: { name: '解除綁定', ttl: 5 },
+    addClass: { name: '加入班級', ttl: 10 },
+    removeClass: { name: '退出班級', ttl: 10 },
+    leave: { name: '請假申請', ttl: 30 },
+    makeup: { name: '補簽申請', ttl: 30 },
+    checkin: { name: 'GPS 簽到', ttl: 15 },
+    // 照片須在 PHOTO_CHECKIN_SECONDS 內傳送；狀態多保留幾分鐘，逾時才傳照片時可以告知學生
+    photoCheckin: { name: '自拍照簽到', ttl: 5 }
+};
+
+// 超過此時間才回來繼續流程，先詢問要繼續還是取消
+const RESUME_PROMPT_MS = 3 * 60 * 1000;
+
+// 一般指令（見 handleCommand）；流程中輸入這些文字時直接執行指令，不詢問是否繼續
+const GENERAL_COMMANDS = new Set([
+    '註冊', '綁定', '解除綁定', '取消綁定', '我的資料', '查詢', '出席紀錄', '統計',
+    '我的班級', '班級資料', '加入班級', '新班級', '退出班級', '全部紀錄', '所有紀錄',
+    '說明', '幫助', 'help', '請假', '申請請假', '補簽', '申請補簽', '點名', '我的ID', 'myid'
+]);
+
+async function findUserStateRow(userId) {
+    const sheet = await getOrCreateSheet('對話狀態');
+    const rows = await sheet.getRows();
+    return rows.find(r => r.get('LINE_ID') === userId);
+}
+
+/**
+ * 取得用戶目前的流程狀態（已逾時則刪除並回傳 null）
+ */
+async function getUserState(userId) {
+    const row = await findUserStateRow(userId);
+    if (!row) return null;
+    
+    if (new Date(row.get('到期時間')) <= new Date()) {
+        await runExclusive(`state:${userId}`, () => row.delete());
+        return null;
+    }
+    
+    try {
+        return {
+            ...JSON.parse(row.get('資料') || '{}'),
+            updatedAt: row.get('更新時間')
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 儲存用戶的流程狀態（state.flow 決定有效時間）
+ */
+async function setUserState(userId, state) {
+    const flow = CONVERSATION_FLOWS[state.flow];
+    if (!flow) throw new Error(`未定義的對話流程: ${state.flow}`);
+    
+    const now = new Date();
+    const { updatedAt, ...data } = state;
+    const values = {
+        'LINE_ID': userId,
+        '流程': state.flow,
+        '資料': JSON.stringify(data),
+        '更新時間': now.toISOString(),
+        '到期時間': new Date(now.getTime() + flow.ttl * 60000).toISOString()
+    };
+    
+    return runExclusive(`state:${userId}`, async () => {
+        const row = await findUserStateRow(userId);
+        if (row) {
+            row.assign(values);
+            await row.save();
+        } else {
+            const sheet = await getOrCreateSheet('對話狀態');
+            await sheet.addRow(values);
+        }
+    });
+}
+
+/**
+ * 結束用戶的流程
+ */
+async function clearUserState(userId) {
+    return runExclusive(`state:${userId}`, async () => {
+        const row = await findUserStateRow(userId);
+        if (row) await row.delete();
+    });
+}
+
+/**
+ * 清除逾時的流程狀態
+ */
+async function cleanupUserStates() {
+    const sheet = doc.sheetsByTitle['對話狀態'];
+    if (!sheet) return;
+    
+    const rows = await sheet.getRows();
+    const now = new Date();
+    const expired = rows.filter(r => new Date(r.get('到期時間')) <= now);
+    // 由下往上刪除，避免列號位移
+    for (const row of expired.reverse()) {
+        await row.delete();
+    }
+    if (expired.length > 0) {
+        console.log(`🧹 已清除 ${expired.length} 筆逾時的對話狀態`);
+    }
+}
+
+cron.schedule('*/30 * * * *', () => cleanupUserStates().catch(e => console.error('清除對話狀態錯誤:', e)));
+
+// 已處理過或處理中的 webhook 事件（LINE 重送同一事件時略過；處理失敗時移除，讓重送的事件可以再處理）
+const processedEvents = new Map();
+const EVENT_DEDUP_MS = 10 * 60 * 1000;
+
+function isDuplicateEvent(event) {
+    const eventId = event.webhookEventId;
+    if (!eventId) return false;
+    
+    const now = Date.now();
+    for (const [id, time] of processedEvents) {
+        if (now - time > EVENT_DEDUP_MS) processedEvents.delete(id);
+    }
+    
+    if (processedEvents.has(eventId)) return true;
+    processedEvents.set(eventId, now);
+    return false;
+}
+
+/**
+ * 處理 Webhook 事件
+ */
+async function handleEvent(event) {
+    const groupEvent = event.type === 'join' || event.type === 'leave';
+    if (event.type !== 'message' && event.type !== 'postback' && !groupEvent) {
+        return null;
+    }
+    
+    if (isDuplicateEvent(event)) {
+        console.log('🔁 略過重送的事件:', event.webhookEventId);
+        return null;
+    }
+    
+    try {
+        return await dispatchEvent(event);
+    } catch (e) {
+        if (event.webhookEventId) processedEvents.delete(event.webhookEventId);
+        throw e;
+    }
+}
+
+/**
+ * 依事件來源與類型分派處理
+ */
+async function dispatchEvent(event) {
+    // 群組只處理群組指令，簽到與其他流程都在私訊進行
+    if (event.source.type === 'group') {
+        return handleGroupEvent(event);
+    }
+    if (event.source.type === 'room') {
+        return null;
+    }
+    
+    const userId = event.source.userId;
+    let userName = '同學';
+    try {
+        const userProfile = await lineClient.getProfile(userId);
+        userName = userProfile.displayName || '同學';
+    } catch (e) {
+        // 無法取得用戶資料，使用預設名稱
+    }
+    
+    // 處理 Postback（按鈕回應）
+    if (event.type === 'postback') {
+        return handlePostback(event, userId, userName);
     }
     
     // 處理位置訊息（GPS 簽到）
@@ -529,6 +1366,18 @@ async function handleEvent(event) {
         return handleLocation(event, userId);
     }
     
+    // 處理圖片訊息（補簽佐證照片、自拍照簽到）
+    if (event.message.type === 'image') {
+        const state = await getUserState(userId);
+        if (state && state.flow === 'makeup' && state.step === 'makeupPhoto') {
+            return handleMakeupPhoto(event, userId, state);
+        }
+        if (state && state.flow === 'photoCheckin') {
+            return handleCheckinPhoto(event, userId, state);
+        }
+        return null;
+    }
+    
     // 處理文字訊息
     if (event.message.type === 'text') {
         const text = event.message.text.trim();
@@ -542,24 +1391,31 @@ async function handleEvent(event) {
             return handleGPSCheckin(event, userId, text);
         }
         
-        // 舊版相容
+        // 舊版相容（舊格式沒有簽章，同樣需要通過驗證）
         if (text.startsWith('簽到:')) {
-            return handleCheckinRequest(event, userId, text);
+            return handleDirectCheckin(event, userId, '直接簽到:' + text.slice('簽到:'.length));
+        }
+        
+        // 簽到碼（簽到 123456，全形數字也可以）
+        const codeMatch = text.replace(/[０-９]/g, d => String.fromCharCode(d.charCodeAt(0) - 0xFEE0)).match(/^簽到\s*(\d{4,6})$/);
+        if (codeMatch) {
+            return handleCodeCheckin(event, userId, codeMatch[1]);
+        }
+        
+        // 選擇座位（座位 3-5，第 3 排第 5 位）
+        const seatMatch = text.replace(/[０-９]/g, d => String.fromCharCode(d.charCodeAt(0) - 0xFEE0)).match(/^座位\s*(\d{1,2})\s*[-－]\s*(\d{1,2})$/);
+        if (seatMatch) {
+            return handleSeatCommand(event, userId, parseInt(seatMatch[1]), parseInt(seatMatch[2]));
+        }
+        
+        if (text.startsWith('教師綁定')) {
+            return handleTeacherBind(event, userId, userName, text.slice('教師綁定'.length).trim());
         }
         
         // 檢查用戶狀態（是否在流程中）
-        const state = userStates.get(userId);
+        const state = await getUserState(userId);
         if (state) {
-            if (state.step === 'addNewClass') {
-                return handleAddNewClass(event, userId, text, state);
-            }
-            if (state.step === 'removeClass') {
-                return handleRemoveClass(event, userId, text, state);
-            }
-            if (state.flow === 'leave') {
-                return handleLeaveFlow(event, userId, text, state);
-            }
-            return handleRegistrationFlow(event, userId, userName, text, state);
+            return handleFlowMessage(event, userId, userName, text, state);
         }
         
         return handleCommand(event, userId, userName, text);
@@ -568,6 +1424,55 @@ async function handleEvent(event) {
     return null;
 }
 
+/**
+ * 處理流程中的文字訊息
+ */
+async function handleFlowMessage(event, userId, userName, text, state) {
+    const flow = CONVERSATION_FLOWS[state.flow];
+    
+    if (text === '取消') {
+        await clearUserState(userId);
+        return replyText(event, `❌ 已取消${flow.name}。`);
+    }
+    
+    // 已詢問過要不要繼續
+    if (state.awaitingResume) {
+        if (text === '繼續') {
+            await setUserState(userId, { ...state, awaitingResume: false });
+            return replyFlowPrompt(event, state);
+        }
+        if (GENERAL_COMMANDS.has(text)) {
+            return handleCommand(event, userId, userName, text);
+        }
+        return replyResumePrompt(event, state);
+    }
+    
+    // 離開一段時間才回來（或等待位置、照片時傳了文字），指令照常執行，其他文字先確認要繼續還是取消
+    const idle = Date.now() - new Date(state.updatedAt).getTime();
+    if (idle > RESUME_PROMPT_MS || state.flow === 'checkin' || state.flow === 'photoCheckin') {
+        if (GENERAL_COMMANDS.has(text)) {
+            return handleCommand(event, userId, userName, text);
+        }
+        await setUserState(userId, { ...state, awaitingResume: true });
+        return replyResumePrompt(event, state);
+    }
+    
+    switch (state.flow) {
+        case 'addClass':
+            return handleAddNewClass(event, userId, text, state);
+        case 'removeClass':
+            return handleRemoveClass(event, userId, text, state);
+        case 'unbind':
+            return handleUnbindFlow(event, userId, text, state);
+        case 'leave':
+            return handleLeaveFlow(event, userId, text, state);
+        case 'makeup':
+            return handleMakeupFlow(event, userId, text, state);
+        default:
+            return handleRegistrationFlow(event, userId, userName, text, state);
+    }
+}
+
 /**
  * 處理一般指令
  */
@@ -581,7 +1486,7 @@ async function handleCommand(event, userId, userName, text) {
                 return replyText(event, `✅ 您已經註冊過了！\n\n📋 您的資料：\n學號：${student.get('學號')}\n姓名：${student.get('姓名')}\n班級：${student.get('班級')}`);
             }
             // 開始註冊流程
-            userStates.set(userId, { step: 'studentId' });
+            await setUserState(userId, { flow: 'register', step: 'studentId' });
             return replyText(event, '📝 開始註冊\n\n請輸入您的【學號】：');
         
         case '解除綁定':
@@ -590,28 +1495,11 @@ async function handleCommand(event, userId, userName, text) {
                 return replyText(event, '❌ 您尚未綁定帳號！');
             }
             // 確認解除綁定
-            userStates.set(userId, { step: 'confirmUnbind', studentId: student.get('學號') });
+            await setUserState(userId, { flow: 'unbind', step: 'confirmUnbind', studentId: student.get('學號') });
             return replyText(event, `⚠️ 確認解除綁定？\n\n學號：${student.get('學號')}\n姓名：${student.get('姓名')}\n\n輸入「確認」解除綁定，或輸入其他文字取消。`);
         
         case '確認':
-            const state = userStates.get(userId);
-            if (state && state.step === 'confirmUnbind') {
-                // 執行解除綁定
-                try {
-                    const studentSheet = doc.sheetsByTitle['學生名單'];
-                    const rows = await studentSheet.getRows();
-                    const studentRow = rows.find(r => r.get('學號') === state.studentId);
-                    if (studentRow) {
-                        studentRow.set('LINE_ID', '');
-                        studentRow.set('LINE名稱', '');
-                        await studentRow.save();
-                    }
-                    userStates.delete(userId);
-                    return replyText(event, '✅ 已解除綁定！\n\n感謝您這學期的使用。\n如需重新綁定，請輸入「註冊」。');
-                } catch (e) {
-                    return replyText(event, '❌ 解除綁定失敗，請稍後再試。');
-                }
-            }
+            // 解除綁定的確認由 handleUnbindFlow 處理，沒有進行中的流程時無效
             return replyText(event, '❌ 無效的操作。');
         
         case '我的資料':
@@ -640,28 +1528,27 @@ async function handleCommand(event, userId, userName, text) {
             if (!student) {
                 return replyText(event, '❌ 您尚未註冊！\n\n請先輸入「註冊」綁定學號後，再加入班級。');
             }
-            userStates.set(userId, { step: 'addNewClass', studentId: student.get('學號') });
             const availableClasses = await getClasses();
-            const currentClasses = (student.get('班級') || '').split('、').map(c => c.trim()).filter(c => c);
+            const currentClasses = await getStudentClassCodes(student.get('學號'));
             const newClasses = availableClasses.filter(c => !currentClasses.includes(c.code));
             if (newClasses.length === 0) {
-                userStates.delete(userId);
                 return replyText(event, '📋 您已加入所有可用班級！\n\n目前班級：' + currentClasses.join('、'));
             }
             let classListMsg = '📝 加入新班級\n\n您目前的班級：' + (currentClasses.length > 0 ? currentClasses.join('、') : '無') + '\n\n可加入的班級：\n';
             newClasses.forEach(c => { classListMsg += '• ' + c.code + ' - ' + c.name + '\n'; });
             classListMsg += '\n請輸入要加入的【班級代碼】：';
+            await setUserState(userId, { flow: 'addClass', step: 'addNewClass', studentId: student.get('學號') });
             return replyText(event, classListMsg);
         
         case '退出班級':
             if (!student) {
                 return replyText(event, '❌ 您尚未註冊！');
             }
-            const myClasses = (student.get('班級') || '').split('、').map(c => c.trim()).filter(c => c);
+            const myClasses = await getStudentClassCodes(student.get('學號'));
             if (myClasses.length <= 1) {
                 return replyText(event, '❌ 您只有一個班級，無法退出！\n\n如需完全解除綁定，請輸入「解除綁定」。');
             }
-            userStates.set(userId, { step: 'removeClass', studentId: student.get('學號'), currentClasses: myClasses });
+            await setUserState(userId, { flow: 'removeClass', step: 'removeClass', studentId: student.get('學號'), currentClasses: myClasses });
             return replyText(event, '📝 退出班級\n\n您目前的班級：\n' + myClasses.join('、') + '\n\n請輸入要退出的【班級代碼】：');
         
         case '全部紀錄':
@@ -681,9 +1568,19 @@ async function handleCommand(event, userId, userName, text) {
             if (!student) {
                 return replyText(event, '❌ 您尚未註冊！\n\n請輸入「註冊」開始綁定學號。');
             }
-            userStates.set(userId, { step: 'leaveDate', flow: 'leave' });
+            await setUserState(userId, { flow: 'leave', step: 'leaveDate' });
             return replyText(event, '📋 請假申請\n\n請輸入請假日期\n格式：YYYY-MM-DD\n例如：2025-01-02');
         
+        case '補簽':
+        case '申請補簽':
+            if (!student) {
+                return replyText(event, '❌ 您尚未註冊！\n\n請輸入「註冊」開始綁定學號。');
+            }
+            return startMakeupRequest(event, userId, student);
+        
+        case '點名':
+            return replyRollCall(event, userId);
+        
         case '我的ID':
         case 'myid':
             // 除錯用：顯示用戶的 LINE ID
@@ -692,9 +1589,13 @@ async function handleCommand(event, userId, userName, text) {
         
         default:
             if (!student) {
+                const teacher = await getTeacher(userId);
+                if (teacher) {
+                    return replyText(event, `👋 ${teacher.get('姓名')} 您好！\n\n📌 教師指令：\n• 點名 - 標記目前課堂未簽到的學生`);
+                }
                 return replyText(event, `👋 歡迎 ${userName}！\n\n您尚未註冊，請輸入「註冊」綁定學號後才能使用簽到功能。\n\n輸入「說明」查看更多指令。`);
             }
-            return replyText(event, `👋 ${student.get('姓名')} 同學您好！\n\n📌 可用指令：\n• 我的資料\n• 我的班級\n• 出席紀錄\n• 全部紀錄\n• 請假\n• 加入班級\n• 退出班級\n• 說明\n\n📍 簽到請掃描教師提供的 QR Code`);
+            return replyText(event, `👋 ${student.get('姓名')} 同學您好！\n\n📌 可用指令：\n• 我的資料\n• 我的班級\n• 出席紀錄\n• 全部紀錄\n• 請假\n• 補簽\n• 加入班級\n• 退出班級\n• 說明\n\n📍 簽到請掃描教師提供的 QR Code`);
     }
 }
 
@@ -708,14 +1609,14 @@ async function handleRegistrationFlow(event, userId, userName, text, state) {
             if (!/^\d{6,10}$/.test(text)) {
                 return replyText(event, '❌ 學號格式不正確！\n\n請輸入 6-10 位數字的學號：');
             }
-            userStates.set(userId, { ...state, step: 'studentName', studentId: text });
+            await setUserState(userId, { ...state, step: 'studentName', studentId: text });
             return replyText(event, `學號：${text} ✓\n\n請輸入您的【姓名】：`);
         
         case 'studentName':
             if (text.length < 2 || text.length > 10) {
                 return replyText(event, '❌ 姓名長度應為 2-10 個字！\n\n請重新輸入您的【姓名】：');
             }
-            userStates.set(userId, { ...state, step: 'className', studentName: text });
+            await setUserState(userId, { ...state, step: 'className', studentName: text });
             
             // 顯示班級選擇
             const classes = await getClasses();
@@ -732,7 +1633,7 @@ async function handleRegistrationFlow(event, userId, userName, text, state) {
                 state.studentName, 
                 text
             );
-            userStates.delete(userId);
+            await clearUserState(userId);
             
             if (result.success) {
                 return replyText(event, `🎉 註冊成功！\n\n📋 您的資料：\n學號：${state.studentId}\n姓名：${state.studentName}\n班級：${text}\n\n現在可以使用簽到功能了！`);
@@ -741,19 +1642,43 @@ async function handleRegistrationFlow(event, userId, userName, text, state) {
     }
 }
 
+/**
+ * 處理解除綁定確認（輸入「確認」解除，其他文字取消）
+ */
+async function handleUnbindFlow(event, userId, text, state) {
+    await clearUserState(userId);
+    if (text !== '確認') {
+        return replyText(event, '👌 已取消解除綁定。');
+    }
+    
+    try {
+        const studentSheet = doc.sheetsByTitle['學生名單'];
+        const rows = await studentSheet.getRows();
+        const studentRow = rows.find(r => r.get('學號') === state.studentId);
+        if (studentRow) {
+            studentRow.set('LINE_ID', '');
+            studentRow.set('LINE名稱', '');
+            await studentRow.save();
+        }
+        return replyText(event, '✅ 已解除綁定！\n\n感謝您這學期的使用。\n如需重新綁定，請輸入「註冊」。');
+    } catch (e) {
+        return replyText(event, '❌ 解除綁定失敗，請稍後再試。');
+    }
+}
+
 /**
  * 處理請假流程
  */
 async function handleLeaveFlow(event, userId, text, state) {
     const student = await getStudent(userId);
     if (!student) {
-        userStates.delete(userId);
+        await clearUserState(userId);
         return replyText(event, '❌ 您尚未註冊！\n\n請輸入「註冊」開始綁定學號。');
     }
     
     // 取消請假
     if (text === '取消' || text === '取消請假') {
-        userStates.delete(userId);
+        await clearUserState(userId);
         return replyText(event, '❌ 已取消請假申請。');
     }
     
@@ -763,25 +1688,23 @@ async function handleLeaveFlow(event, userId, text, state) {
             if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) {
                 return replyText(event, '❌ 日期格式不正確！\n\n請輸入：YYYY-MM-DD\n例如：2025-01-02\n\n輸入「取消」取消請假');
             }
-            userStates.set(userId, { ...state, step: 'leavePeriod', leaveDate: text });
+            await setUserState(userId, { ...state, step: 'leavePeriod', leaveDate: text });
             return replyText(event, `日期：${text} ✓\n\n請輸入請假節次\n例如：1 或 1-3 或 1,2,3\n\n輸入「取消」取消請假`);
         
         case 'leavePeriod':
-            userStates.set(userId, { ...state, step: 'leaveType', leavePeriod: text });
+            await setUserState(userId, { ...state, step: 'leaveType', leavePeriod: text });
             return replyText(event, `節次：${text} ✓\n\n請選擇請假類型\n輸入數字：\n1. 事假\n2. 病假\n3. 公假\n4. 喪假\n5. 其他\n\n輸入「取消」取消請假`);
         
         case 'leaveType':
             const types = { '1': '事假', '2': '病假', '3': '公假', '4': '喪假', '5': '其他' };
             const leaveType = types[text] || text;
-            userStates.set(userId, { ...state, step: 'leaveReason', leaveType: leaveType });
+            await setUserState(userId, { ...state, step: 'leaveReason', leaveType: leaveType });
             return replyText(event, `類型：${leaveType} ✓\n\n請輸入請假原因：\n\n輸入「取消」取消請假`);
         
         case 'leaveReason':
             // 提交請假申請
             try {
-                const sheet = await getOrCreateSheet('請假紀錄', [
-                    '請假ID', '學號', '姓名', '班級', '日期', '節次', '請假類型', '原因', '狀態', '申請時間', '審核時間', '審核備註'
-                ]);
+                const sheet = await getOrCreateSheet('請假紀錄');
                 
                 const leaveId = 'L' + Date.now();
                 await sheet.addRow({
@@ -794,463 +1717,2273 @@ async function handleLeaveFlow(event, userId, text, state) {
                     '請假類型': state.leaveType,
                     '原因': text,
                     '狀態': '待審核',
-                    '申請時間': new Date().toLocaleString('zh-TW'),
+                    '申請時間': formatDateTime(new Date()),
                     '審核時間': '',
                     '審核備註': ''
                 });
                 
-                userStates.delete(userId);
+                await clearUserState(userId);
                 return replyText(event, `✅ 請假申請已送出！\n\n📋 申請內容：\n日期：${state.leaveDate}\n節次：${state.leavePeriod}\n類型：${state.leaveType}\n原因：${text}\n\n請等待老師審核。`);
             } catch (e) {
                 console.error('請假申請失敗:', e);
-                userStates.delete(userId);
+                await clearUserState(userId);
                 return replyText(event, '❌ 請假申請失敗，請稍後再試。');
             }
     }
 }
 
+// ===== 直接簽到 QR Code =====
+// 老師螢幕上的 QR Code 每 QR_ROTATE_SECONDS 秒更換，內容含時間戳與 HMAC 簽章，
+// 拍照轉傳出去的 QR Code 很快就會過期，也無法自行竄改課程或活動
+const QR_SECRET = process.env.QR_SECRET || process.env.LINE_CHANNEL_SECRET || '';
+const QR_ROTATE_SECONDS = parseInt(process.env.QR_ROTATE_SECONDS) || 30;
+
+// 沒有簽章金鑰時任何人都能自行算出簽到 QR Code 與簽到碼，不允許啟動
+if (!QR_SECRET) {
+    console.error('❌ 未設定 QR_SECRET 或 LINE_CHANNEL_SECRET，無法簽發簽到 QR Code 與簽到碼');
+    process.exit(1);
+}
+
+function signCheckinPayload(payload) {
+    return crypto.createHmac('sha256', QR_SECRET).update(payload).digest('base64url').slice(0, 16);
+}
+
 /**
- * 直接簽到（掃老師手機 QR Code）
- * 不需要 GPS 驗證，直接簽到成功
+ * 產生目前的直接簽到碼（直接簽到:課程ID|活動ID|時間戳|簽章）
  */
-async function handleDirectCheckin(event, userId, text) {
-    const student = await getStudent(userId);
-    console.log('📲 直接簽到 - userId =', userId, ' student =', student ? student.get('學號') : '未找到');
-    if (!student) {
-        return replyText(event, '❌ 您尚未註冊！\n\n請先輸入「註冊」綁定學號。');
-    }
-    
+function createCheckinCode(courseId, sessionId, now = Date.now()) {
+    const timestamp = Math.floor(now / 1000 / QR_ROTATE_SECONDS) * QR_ROTATE_SECONDS;
+    const payload = `${courseId}|${sessionId}|${timestamp}`;
+    return {
+        content: `直接簽到:${payload}|${signCheckinPayload(payload)}`,
+        expiresAt: new Date((timestamp + QR_ROTATE_SECONDS * 2) * 1000)
+    };
+}
+
+/**
+ * 驗證直接簽到碼
+ * 目前與上一個週期的 QR Code 都有效（保留學生掃描、送出訊息的時間）
+ * @returns {{ valid: boolean, reason?: 'invalid' | 'tampered' | 'expired', courseId?: string, sessionId?: string }}
+ */
+function verifyCheckinCode(text, now = Date.now()) {
     const parts = text.replace('直接簽到:', '').split('|');
-    if (parts.length < 2) {
-        return replyText(event, '❌ 無效的簽到碼！');
-    }
-    
-    const [courseId, sessionId] = parts;
-    
-    const course = await getCourse(courseId);
-    if (!course) {
-        return replyText(event, '❌ 找不到此課程！');
-    }
-    
-    // 取得活動
-    let session = await getTodaySession(courseId);
-    if (!session) {
-        const sessionSheet = await getOrCreateSheet('簽到活動', [
-            '活動ID', '課程ID', '日期', '開始時間', '結束時間', 'QR碼內容', '狀態'
-        ]);
-        const rows = await sessionSheet.getRows();
-        session = rows.find(r => r.get('活動ID') === sessionId && r.get('狀態') !== '已結束');
-    }
-    
-    if (!session) {
-        return replyText(event, '❌ 此簽到活動已結束或不存在！');
-    }
-    
-    const actualSessionId = session.get('活動ID');
+    if (parts.length !== 4) return { valid: false, reason: 'invalid' };
     
-    // 檢查是否已簽到
-    const existingRecord = await checkExistingAttendance(actualSessionId, student.get('學號'));
-    if (existingRecord) {
-        return replyText(event, `✅ 您已經簽到過了！\n\n📚 課程：${course.get('科目')}\n⏰ 簽到時間：${existingRecord.get('簽到時間')}`);
+    const [courseId, sessionId, timestamp, signature] = parts;
+    const expected = Buffer.from(signCheckinPayload(`${courseId}|${sessionId}|${timestamp}`));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return { valid: false, reason: 'tampered' };
     }
     
-    // 計算是否遲到
-    const startTime = session.get('開始時間');
-    const lateMinutes = parseInt(course.get('遲到標準')) || 10;
-    const now = new Date();
-    const [startHour, startMin] = (startTime || '08:00').split(':').map(Number);
-    const startDate = new Date();
-    startDate.setHours(startHour, startMin, 0, 0);
-    
-    const diffMinutes = Math.floor((now - startDate) / 60000);
-    const status = diffMinutes > lateMinutes ? '遲到' : '已報到';
-    
-    // 記錄簽到（不記錄 GPS）
-    const result = await recordAttendance(
-        actualSessionId,
-        student.get('學號'),
-        status,
-        diffMinutes > lateMinutes ? diffMinutes : 0,
-        '', ''
-    );
-    
-    if (result.success) {
-        const emoji = status === '已報到' ? '✅' : '⚠️';
-        let msg = `${emoji} 簽到成功！\n\n📚 課程：${course.get('科目')}\n👤 學生：${student.get('姓名')}\n📍 方式：掃描 QR Code\n✨ 狀態：${status}`;
-        if (status === '遲到') {
-            msg += `\n⏰ 遲到 ${diffMinutes} 分鐘`;
-        }
-        return replyText(event, msg);
-    } else {
-        return replyText(event, `❌ 簽到失敗：${result.message}`);
+    const age = now / 1000 - parseInt(timestamp);
+    if (!(age >= 0 && age < QR_ROTATE_SECONDS * 2)) {
+        return { valid: false, reason: 'expired' };
     }
+    return { valid: true, courseId, sessionId };
+}
+
+// ===== 簽到碼 =====
+// 簽到方式為「簽到碼」時，老師螢幕顯示每 CHECKIN_CODE_ROTATE_SECONDS 秒更換的數字，學生傳送「簽到 123456」
+// 號碼由活動ID與時間週期以 HMAC 算出，不需要另外儲存；目前與上一個週期的號碼都有效
+const CHECKIN_CODE_ROTATE_SECONDS = parseInt(process.env.CHECKIN_CODE_ROTATE_SECONDS) || 60;
+const CHECKIN_CODE_DIGITS = Math.min(6, Math.max(4, parseInt(process.env.CHECKIN_CODE_DIGITS) || 6));
+// 輸入錯誤達上限後暫停一段時間（避免逐一猜號碼，教師綁定碼也使用相同限制）
+const CHECKIN_CODE_MAX_FAILURES = 5;
+const CHECKIN_CODE_LOCK_MINUTES = 10;
+
+// LINE_ID → { count, resetAt }：resetAt 前累計的錯誤次數
+const checkinCodeFailures = new Map();
+const teacherBindFailures = new Map();
+
+function computeNumericCheckinCode(sessionId, period) {
+    const digest = crypto.createHmac('sha256', QR_SECRET).update(`code|${sessionId}|${period}`).digest();
+    return String(digest.readUInt32BE(0) % 10 ** CHECKIN_CODE_DIGITS).padStart(CHECKIN_CODE_DIGITS, '0');
 }
 
 /**
- * GPS 簽到（學生點連結自己簽到）
+ * 產生活動目前的簽到碼
+ * @returns {{ code: string, expiresAt: Date }} expiresAt 為老師螢幕該換下一個號碼的時間
+ */
+function createNumericCheckinCode(sessionId, now = Date.now()) {
+    const period = Math.floor(now / 1000 / CHECKIN_CODE_ROTATE_SECONDS);
+    return {
+        code: computeNumericCheckinCode(sessionId, period),
+        expiresAt: new Date((period + 1) * CHECKIN_CODE_ROTATE_SECONDS * 1000)
+    };
+}
+
+/**
+ * 驗證簽到碼（目前與上一個週期的號碼都有效，保留學生輸入的時間）
+ */
+function verifyNumericCheckinCode(sessionId, code, now = Date.now()) {
+    const period = Math.floor(now / 1000 / CHECKIN_CODE_ROTATE_SECONDS);
+    return [period, period - 1].some(p => computeNumericCheckinCode(sessionId, p) === code);
+}
+
+/**
+ * 輸入錯誤太多次時回傳解除時間，否則回傳 null
+ * @param {Map} failures - checkinCodeFailures 或 teacherBindFailures
+ */
+function getInputLock(failures, userId, now = Date.now()) {
+    const entry = failures.get(userId);
+    if (!entry) return null;
+    if (entry.resetAt <= now) {
+        failures.delete(userId);
+        return null;
+    }
+    return entry.count >= CHECKIN_CODE_MAX_FAILURES ? new Date(entry.resetAt) : null;
+}
+
+/**
+ * 記錄一次輸入錯誤
+ * @param {Map} failures - checkinCodeFailures 或 teacherBindFailures
+ * @returns {number} 還可以再試的次數
+ */
+function recordInputFailure(failures, userId, now = Date.now()) {
+    let entry = failures.get(userId);
+    if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + CHECKIN_CODE_LOCK_MINUTES * 60000 };
+        failures.set(userId, entry);
+    }
+    entry.count++;
+    // 達到上限時從現在起暫停
+    if (entry.count >= CHECKIN_CODE_MAX_FAILURES) {
+        entry.resetAt = now + CHECKIN_CODE_LOCK_MINUTES * 60000;
+    }
+    return Math.max(0, CHECKIN_CODE_MAX_FAILURES - entry.count);
+}
+
+// ===== 簽到方式 =====
+// 每門課設定一種簽到方式（簽到活動可個別覆寫），所有簽到入口都透過 checkCheckinPolicy() 判斷
+// 入口：qr（掃老師螢幕上的 QR Code）、link（學生自己的簽到連結）、code（輸入簽到碼）
+// 每個入口可以直接簽到（checkin）、需要再傳送位置（location）或自拍照（photo）；未列出的入口不能使用
+const CHECKIN_MODES = {
+    'qr-only': {
+        name: '現場簽到（掃 QR Code）',
+        methods: { qr: 'checkin' },
+        hint: '📱 此課程設定為「現場簽到」\n\n請到教室掃描老師螢幕上的 QR Code 簽到。'
+    },
+    'gps': {
+        name: 'GPS 定位簽到',
+        methods: { qr: 'checkin', link: 'location' },
+        hint: '📍 此課程使用 GPS 定位簽到\n\n請點選簽到連結並傳送位置，或掃描老師螢幕上的 QR Code。'
+    },
+    'online': {
+        name: '線上課程（不限制位置）',
+        methods: { qr: 'checkin', link: 'checkin' },
+        hint: '🌐 此課程為線上課程\n\n請點選簽到連結簽到。'
+    },
+    'qr+gps': {
+        name: '掃 QR Code + GPS 定位',
+        methods: { qr: 'location' },
+        hint: '📱 此課程需要「掃描 QR Code + GPS 定位」\n\n請到教室掃描老師螢幕上的 QR Code，再傳送位置。'
+    },
+    'code': {
+        name: '簽到碼',
+        methods: { code: 'checkin' },
+        hint: '🔢 此課程使用簽到碼簽到\n\n請輸入「簽到 老師公布的號碼」。'
+    },
+    'online+photo': {
+        name: '線上課程 + 自拍照',
+        methods: { qr: 'photo', link: 'photo' },
+        hint: '📷 此課程需要自拍照簽到\n\n請在 LINE 點選簽到連結，再傳送一張自拍照。'
+    }
+};
+const DEFAULT_CHECKIN_MODE = 'gps';
+
+/**
+ * 舊資料沒有簽到方式時，依以前的簽到範圍規則推算
+ * （-1 現場簽到、0 不限制、有教室座標或簽到位置為 GPS，否則不限制）
+ */
+function getLegacyCheckinMode(course) {
+    const radius = parseInt(course.get('簽到範圍'));
+    if (radius === -1) return 'qr-only';
+    if (radius === 0) return 'online';
+    const hasClassroom = (parseFloat(course.get('教室緯度')) || 0) !== 0 && (parseFloat(course.get('教室經度')) || 0) !== 0;
+    return hasClassroom || course.get('簽到位置') ? 'gps' : 'online';
+}
+
+/**
+ * 取得簽到方式（簽到活動的設定優先，其次是課程）
+ */
+function getCheckinMode(course, session) {
+    const sessionMode = session && session.get('簽到方式');
+    if (CHECKIN_MODES[sessionMode]) return sessionMode;
+    const courseMode = course.get('簽到方式');
+    if (CHECKIN_MODES[courseMode]) return courseMode;
+    return getLegacyCheckinMode(course);
+}
+
+/**
+ * 判斷某個簽到入口能否使用
+ * @param {string} method - qr / link / code
+ * @returns {{ allowed: boolean, needLocation: boolean, needPhoto: boolean, mode: string, message?: string }}
+ */
+function checkCheckinPolicy(course, session, method) {
+    const mode = getCheckinMode(course, session);
+    const step = CHECKIN_MODES[mode].methods[method];
+    if (!step) {
+        return { allowed: false, needLocation: false, needPhoto: false, mode, message: CHECKIN_MODES[mode].hint };
+    }
+    return { allowed: true, needLocation: step === 'location', needPhoto: step === 'photo', mode };
+}
+
+/**
+ * 將舊課程的簽到範圍特殊值（-1、0）轉成簽到方式
+ */
+async function migrateCheckinModes() {
+    const sheet = doc.sheetsByTitle['課程列表'];
+    if (!sheet) return;
+    
+    const rows = await sheet.getRows();
+    let migrated = 0;
+    for (const row of rows) {
+        if (row.get('簽到方式')) continue;
+        row.set('簽到方式', getLegacyCheckinMode(row));
+        // 簽到範圍只代表 GPS 半徑
+        if (!(parseInt(row.get('簽到範圍')) > 0)) row.set('簽到範圍', 100);
+        await row.save();
+        migrated++;
+    }
+    if (migrated > 0) console.log(`🧭 已為 ${migrated} 門課程設定簽到方式`);
+}
+
+/**
+ * 要求學生傳送位置完成簽到（GPS 定位、QR Code + GPS）
+ * @param {object} options
+ * @param {boolean} options.checkout - 傳送位置後改為簽退
+ */
+async function requestCheckinLocation(event, userId, course, session, { checkout = false } = {}) {
+    const geofences = await loadCourseGeofences(course);
+    if (geofences.length === 0) {
+        return replyText(event, '❌ 此課程尚未設定簽到位置！\n\n請聯繫老師。');
+    }
+    
+    await setUserState(userId, { 
+        flow: 'checkin',
+        step: 'waitingLocation',
+        courseId: course.get('課程ID'),
+        sessionId: session.get('活動ID'),
+        courseName: course.get('科目'),
+        startTime: session.get('開始時間'),
+        sessionDate: session.get('日期'),
+        checkout
+    });
+    
+    // 按鈕範本有標題時內文最多 60 字，多個位置的清單另外用文字訊息列出
+    const single = geofences.length === 1 && !geofences[0].polygon;
+    const messages = single ? [] : [{
+        type: 'text',
+        text: `📍 可${checkout ? '簽退' : '簽到'}位置：\n${geofences.map(f => `• ${f.name}${f.polygon ? '' : `（${f.radius} 公尺內）`}`).join('\n')}`
+    }];
+    const actions = [
+        {
+            type: 'uri',
+            label: '📍 傳送我的位置',
+            uri: 'https://line.me/R/nv/location'
+        }
+    ];
+    // 有設定 LIFF 時優先使用網頁高精度定位簽到（簽退仍傳送位置）
+    const liffUrl = checkout ? null : getLiffCheckinUrl(course.get('課程ID'), session.get('活動ID'));
+    if (liffUrl) {
+        actions.unshift({ type: 'uri', label: '📡 高精度定位簽到', uri: liffUrl });
+    }
+    messages.push({
+        type: 'template',
+        altText: `📍 請傳送您的位置以完成${checkout ? '簽退' : '簽到'}`,
+        template: {
+            type: 'buttons',
+            title: `📍 GPS ${checkout ? '簽退' : '簽到'} - ${course.get('科目')}`.slice(0, 40),
+            text: single ? `請傳送位置驗證\n允許範圍：${geofences[0].radius} 公尺` : `請傳送位置驗證（可${checkout ? '簽退' : '簽到'}位置見上一則訊息）`,
+            actions
+        }
+    });
+    return lineClient.replyMessage(event.replyToken, messages);
+}
+
+// ===== 簽到時段 =====
+// 每門課可設定：上課前幾分鐘開放簽到（開放簽到）、上課後幾分鐘起算遲到（遲到標準）、
+// 上課後幾分鐘截止簽到（截止簽到，空白表示到下課時間）
+// 到達時間對應的狀態依遲到分級決定（見下方「遲到分級」）
+const DEFAULT_CHECKIN_OPEN_BEFORE = 30;
+
+/**
+ * 取得課程的簽到時段設定（分鐘，相對於上課時間）
+ */
+function getCheckinWindow(course) {
+    const openBefore = parseInt(course.get('開放簽到'));
+    const closeAfter = parseInt(course.get('截止簽到'));
+    return {
+        openBefore: Number.isNaN(openBefore) ? DEFAULT_CHECKIN_OPEN_BEFORE : openBefore,
+        lateAfter: parseInt(course.get('遲到標準')) || 10,
+        closeAfter: Number.isNaN(closeAfter) ? null : closeAfter
+    };
+}
+
+// ===== 遲到分級 =====
+// 以「分鐘:狀態」列出各級，例如 5:已報到,20:遲到,*:缺席（5 分鐘內準時、20 分鐘內遲到、其餘記為缺席）
+// 課程的「遲到分級」優先，其次是系統設定的「遲到分級」，都沒有時依課程的遲到標準分成準時與遲到
+
+// 分級可使用的狀態（嚴重遲到仍算出席；缺席表示超過門檻自動記為缺席）
+const LATE_TIER_STATUSES = ['已報到', '遲到', '嚴重遲到', '缺席'];
+const LATE_TIERS_HINT = `遲到分級格式為「分鐘:狀態」以逗號分隔，* 表示其餘時間（例如 5:已報到,20:遲到,*:缺席），狀態可用：${LATE_TIER_STATUSES.join('、')}`;
+
+/**
+ * 解析遲到分級字串
+ * @returns {Array<{ max: number|null, status: string }>|null} max 為 null 表示其餘時間（*）；空白或格式錯誤回傳 null
+ */
+function parseLateTiers(str) {
+    const text = String(str || '').trim();
+    if (!text) return null;
+    
+    const tiers = [];
+    for (const part of text.split(/[,，、]/)) {
+        const [limit, status] = part.split(/[:：]/).map(v => (v || '').trim());
+        if (!LATE_TIER_STATUSES.includes(status)) return null;
+        if (limit === '*') {
+            tiers.push({ max: null, status });
+            continue;
+        }
+        const max = parseInt(limit);
+        if (Number.isNaN(max) || max < 0) return null;
+        tiers.push({ max, status });
+    }
+    
+    const rest = tiers.filter(t => t.max === null);
+    if (rest.length > 1) return null;
+    return [...tiers.filter(t => t.max !== null).sort((a, b) => a.max - b.max), ...rest];
+}
+
+function formatLateTiers(tiers) {
+    return tiers.map(t => `${t.max === null ? '*' : t.max}:${t.status}`).join(',');
+}
+
+/**
+ * 取得課程適用的遲到分級
+ */
+async function getLateTiers(course) {
+    return parseLateTiers(course.get('遲到分級'))
+        || parseLateTiers((await getSettings())['遲到分級'])
+        || [{ max: getCheckinWindow(course).lateAfter, status: '已報到' }, { max: null, status: '遲到' }];
+}
+
+/**
+ * 簽到回覆的遲到說明（超過缺席門檻時一併說明）
+ */
+function describeLateness(result) {
+    if (!(result.lateMinutes > 0)) return '';
+    const text = `\n⏰ 遲到 ${result.lateMinutes} 分鐘`;
+    return result.status === '缺席' ? `${text}\n❗ 已超過缺席門檻，本堂課記為缺席` : text;
+}
+
+/**
+ * 依上課後幾分鐘到達決定狀態（超過所有上限且沒有 * 時使用最後一級）
+ */
+function classifyLateness(tiers, minutes) {
+    const tier = tiers.find(t => t.max === null || minutes <= t.max) || tiers[tiers.length - 1];
+    return tier.status;
+}
+
+/**
+ * 判斷現在能否簽到此活動，並依遲到分級決定狀態
+ * @returns {Promise<{ open: boolean, message?: string, status?: string, lateMinutes?: number }>}
+ */
+async function evaluateCheckinWindow(session, course, now = new Date()) {
+    if (session.get('狀態') === '已結束') {
+        return { open: false, message: '❌ 此簽到活動已結束！' };
+    }
+    
+    // 只能簽到當天的活動（舊的提醒連結不能簽到過去的課）
+    const sessionDate = session.get('日期') || getTodayString();
+    if (sessionDate !== toDateString(now)) {
+        return { open: false, message: `❌ 此簽到連結是 ${sessionDate} 的課程，已無法簽到！` };
+    }
+    
+    const checkinWindow = getCheckinWindow(course);
+    const startTime = session.get('開始時間') || '08:00';
+    const start = zonedDateTime(sessionDate, startTime);
+    const diffMinutes = minutesSince(sessionDate, startTime, now);
+    
+    if (diffMinutes < -checkinWindow.openBefore) {
+        const openAt = new Date(start.getTime() - checkinWindow.openBefore * 60000);
+        return {
+            open: false,
+            message: `⏰ 尚未開放簽到！
+
+🕐 上課時間：${startTime}
+✅ 開放簽到：${formatClock(openAt)} 起`
+        };
+    }
+    
+    const closeAt = checkinWindow.closeAfter !== null
+        ? new Date(start.getTime() + checkinWindow.closeAfter * 60000)
+        : (session.get('結束時間') ? zonedDateTime(sessionDate, session.get('結束時間')) : null);
+    if (closeAt && now > closeAt) {
+        return {
+            open: false,
+            message: `⏰ 簽到已截止！
+
+🕐 上課時間：${startTime}
+🚫 截止時間：${formatClock(closeAt)}
+
+如需補登請聯繫老師。`
+        };
+    }
+    
+    const status = classifyLateness(await getLateTiers(course), Math.max(0, diffMinutes));
+    return { open: true, status, lateMinutes: status === '已報到' ? 0 : Math.max(0, diffMinutes) };
+}
+
+/**
+ * 找出簽到碼對應的活動（優先使用今天的活動，其次是簽到碼上的活動）
+ */
+async function findCheckinSession(courseId, sessionId) {
+    const session = await getTodaySession(courseId);
+    if (session) return session;
+    const sessionSheet = await getOrCreateSheet('簽到活動');
+    const rows = await sessionSheet.getRows();
+    return rows.find(r => r.get('活動ID') === sessionId);
+}
+
+// ===== 分節出席 =====
+// 連堂課程（課程「節數」大於 1）的簽到活動會切成多個節次，依到達時間、簽退時間與已核准的請假
+// 分別判斷每一節的出席狀態，記在簽到紀錄的「節次狀態」；出席統計以節為單位計算
+
+// 節次範圍上限（避免 1-999 這類輸入展開成大量節次）
+const MAX_PERIODS = 20;
+
+/**
+ * 解析節次字串（1、1-3、1,2,3）
+ * @returns {number[]}
+ */
+function parsePeriodList(str) {
+    const periods = new Set();
+    String(str || '').split(/[,，、]/).forEach(part => {
+        const [from, to] = part.split(/[-~～]/).map(p => parseInt(p));
+        if (Number.isNaN(from)) return;
+        const last = Number.isInteger(to) ? Math.min(to, from + MAX_PERIODS) : from;
+        for (let n = from; n <= last; n++) periods.add(n);
+    });
+    return [...periods].sort((a, b) => a - b);
+}
+
+/**
+ * 解析系統設定的節次時間表（JSON [{ n, s, e }]）
+ */
+function parsePeriodTimetable(value) {
+    try {
+        const timetable = JSON.parse(value || '[]');
+        return Array.isArray(timetable) ? timetable : [];
+    } catch (e) {
+        console.error('節次時間表格式錯誤:', e.message);
+        return [];
+    }
+}
+
+/**
+ * 建立簽到活動時決定各節時間（單節課回傳空陣列）
+ * 優先使用系統設定的節次時間表，時間表沒有對應節次時平均切分上課時間
+ * @returns {Promise<Array<{ n: number, s: string, e: string }>>}
+ */
+async function buildSessionPeriods(course, startTime, endTime) {
+    const count = Math.min(parseInt(course.get('節數')) || 1, MAX_PERIODS);
+    if (count <= 1) return [];
+    
+    const first = parseInt(course.get('節次')) || 1;
+    const numbers = Array.from({ length: count }, (_, i) => first + i);
+    
+    const timetable = parsePeriodTimetable((await getSettings())['節次時間']);
+    const fromTimetable = numbers.map(n => timetable.find(p => parseInt(p.n) === n)).filter(p => p && p.s && p.e);
+    if (fromTimetable.length === count) {
+        return fromTimetable.map(p => ({ n: parseInt(p.n), s: p.s, e: p.e }));
+    }
+    
+    if (!startTime || !endTime) return [];
+    const date = getTodayString();
+    const start = zonedDateTime(date, startTime).getTime();
+    const length = (zonedDateTime(date, endTime).getTime() - start) / count;
+    return numbers.map((n, i) => ({
+        n,
+        s: formatClock(new Date(start + length * i)),
+        e: formatClock(new Date(start + length * (i + 1)))
+    }));
+}
+
+/**
+ * 取得簽到活動的各節時間（單節課回傳空陣列）
+ */
+function getSessionPeriods(session) {
+    try {
+        const periods = JSON.parse(session.get('節次時間') || '[]');
+        return Array.isArray(periods) && periods.length > 1 ? periods : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * 取得學生某天已核准請假的節次
+ * @returns {Promise<{ allDay: boolean, periods: Set<number> }>} 請假單節次空白表示整天
+ */
+async function getApprovedLeavePeriods(studentId, date) {
+    const leave = { allDay: false, periods: new Set() };
+    const sheet = doc.sheetsByTitle['請假紀錄'];
+    if (!sheet) return leave;
+    
+    (await sheet.getRows())
+        .filter(r => r.get('學號') === studentId && r.get('日期') === date && r.get('狀態') === '已核准')
+        .forEach(r => {
+            const periods = parsePeriodList(r.get('節次'));
+            if (periods.length === 0) leave.allDay = true;
+            periods.forEach(n => leave.periods.add(n));
+        });
+    return leave;
+}
+
+/**
+ * 計算各節出席狀態
+ * - 已核准請假的節次為請假
+ * - 整堂記為缺席或請假、或教師手動標記（manual）時，其餘各節相同
+ * - 否則依到達時間：該節下課後才到為缺席，其餘依遲到分級；提前簽退的節次為早退，簽退後的節次為缺席
+ * @returns {Array<{ n: number, status: string }>}
+ */
+function computePeriodStatuses(date, periods, { status, arrivedAt, leftAt = null, manual = false, lateTiers, leave }) {
+    return periods.map(p => {
+        if (leave.allDay || leave.periods.has(p.n)) return { n: p.n, status: '請假' };
+        if (manual || status === '缺席' || status === '請假') return { n: p.n, status };
+        
+        const start = zonedDateTime(date, p.s);
+        const end = zonedDateTime(date, p.e);
+        if (arrivedAt >= end || (leftAt && leftAt <= start)) return { n: p.n, status: '缺席' };
+        if (leftAt && leftAt < end) return { n: p.n, status: '早退' };
+        return { n: p.n, status: classifyLateness(lateTiers, Math.max(0, Math.floor((arrivedAt - start) / 60000))) };
+    });
+}
+
+/**
+ * 由各節狀態決定整堂課的狀態（不含請假的節次）：
+ * 提前離開（後面的節次缺課）記為早退，有嚴重遲到的節次記為嚴重遲到，前面有缺課或遲到的節次記為遲到
+ */
+function summarizePeriodStatuses(list) {
+    const statuses = list.map(p => p.status).filter(s => s !== '請假');
+    if (statuses.length === 0) return '請假';
+    
+    const attended = statuses.map(s => s !== '缺席');
+    const first = attended.indexOf(true);
+    if (first === -1) return '缺席';
+    if (statuses.includes('早退') || attended.lastIndexOf(true) < statuses.length - 1) return '早退';
+    if (statuses.includes('嚴重遲到')) return '嚴重遲到';
+    if (first > 0 || statuses.includes('遲到')) return '遲到';
+    return '已報到';
+}
+
+function formatPeriodStatuses(list) {
+    return list.map(p => `${p.n}:${p.status}`).join(',');
+}
+
+/**
+ * 各節狀態的顯示文字（例如 第1節 缺席、第2節 已報到）
+ */
+function describePeriodStatuses(list) {
+    return list.map(p => `第${p.n}節 ${p.status}`).join('、');
+}
+
+function parsePeriodStatuses(str) {
+    return String(str || '').split(',').map(part => {
+        const [n, status] = part.split(':');
+        return { n: parseInt(n), status };
+    }).filter(p => !Number.isNaN(p.n) && p.status);
+}
+
+/**
+ * 連堂課程的簽到：計算各節狀態，並以此決定整堂狀態與遲到分鐘（單節課回傳 null）
+ * @param {object} options
+ * @param {string|null} options.status - 點名或排程記錄的狀態（缺席、請假會套用到每一節；null 表示只依到達時間判定）
+ * @param {Date} options.arrivedAt - 到達時間
+ * @param {Date} options.leftAt - 提前簽退時間
+ * @param {boolean} options.manual - 教師手動標記，status 直接套用到每一節（已核准請假的節次除外），不依到達時間重新判定
+ */
+async function resolvePeriodAttendance(sessionId, studentId, { status, arrivedAt, leftAt = null, manual = false }) {
+    const sessionSheet = doc.sheetsByTitle['簽到活動'];
+    const session = sessionSheet && (await sessionSheet.getRows()).find(s => s.get('活動ID') === sessionId);
+    const periods = session ? getSessionPeriods(session) : [];
+    if (periods.length === 0) return null;
+    
+    const course = await getCourse(session.get('課程ID'));
+    const date = session.get('日期');
+    const lateTiers = course ? await getLateTiers(course) : [{ max: 10, status: '已報到' }, { max: null, status: '遲到' }];
+    const leave = await getApprovedLeavePeriods(studentId, date);
+    const list = computePeriodStatuses(date, periods, { status, arrivedAt, leftAt, manual, lateTiers, leave });
+    const overall = summarizePeriodStatuses(list);
+    
+    // 遲到分鐘從第一節需出席（非請假）的課開始計算
+    const first = list.find(p => p.status !== '請假');
+    const firstPeriod = first && periods.find(p => p.n === first.n);
+    const late = firstPeriod && ['遲到', '嚴重遲到', '早退'].includes(overall)
+        ? Math.max(0, minutesSince(date, firstPeriod.s, arrivedAt))
+        : 0;
+    return {
+        status: overall,
+        lateMinutes: classifyLateness(lateTiers, late) === '已報到' ? 0 : late,
+        periods: list,
+        text: formatPeriodStatuses(list)
+    };
+}
+
+// ===== 簽退 =====
+// 課程設定「簽退開放」後，已簽到的學生下課前要再掃一次 QR Code 或點簽到連結簽退；
+// 提前簽退、或下課後仍未簽退的紀錄狀態改為「早退」（出席率仍算出席）
+
+// 需要簽退的簽到狀態
+const CHECKOUT_STATUSES = ['已報到', '遲到', '嚴重遲到'];
+
+/**
+ * 取得下課前幾分鐘開放簽退（null 表示此課程不需簽退）
+ */
+function getCheckoutOpenBefore(course) {
+    const minutes = parseInt(course.get('簽退開放'));
+    return Number.isNaN(minutes) ? null : minutes;
+}
+
+/**
+ * 判斷現在能否簽退，以及是否為提前簽退
+ * @returns {{ open: boolean, message?: string, early?: boolean, openAt?: Date }}
+ */
+function evaluateCheckoutWindow(session, course, now = new Date()) {
+    if (session.get('狀態') !== '進行中') {
+        return { open: false, message: '❌ 此課堂已結束，無法簽退！' };
+    }
+    
+    const sessionDate = session.get('日期') || getTodayString();
+    if (sessionDate !== toDateString(now)) {
+        return { open: false, message: `❌ 此連結是 ${sessionDate} 的課程，已無法簽退！` };
+    }
+    
+    const endTime = session.get('結束時間');
+    if (!endTime) {
+        return { open: true, early: false };
+    }
+    const openAt = new Date(zonedDateTime(sessionDate, endTime).getTime() - (getCheckoutOpenBefore(course) || 0) * 60000);
+    return { open: true, early: now < openAt, openAt };
+}
+
+/**
+ * 寫入簽退時間（提前簽退時狀態改為早退）
+ * @param {object} extra - 其他要寫入的欄位（例如簽退照片）
+ */
+async function recordCheckout(sessionId, studentId, early, extra = {}) {
+    const written = await runExclusive(`session:${sessionId}`, async () => {
+        const sheet = await getOrCreateSheet('簽到紀錄');
+        const record = (await sheet.getRows()).find(r => 
+            r.get('活動ID') === sessionId && 
+            r.get('學號') === studentId
+        );
+        if (!record) {
+            return { success: false, message: '找不到您的簽到紀錄！' };
+        }
+        if (record.get('簽退時間')) {
+            return { success: false, message: '您已經簽退過了！' };
+        }
+        
+        const now = new Date();
+        record.set('簽退時間', formatDateTime(now));
+        Object.entries(extra).forEach(([key, value]) => record.set(key, value));
+        if (early) {
+            await markEarlyLeave(record, now, '提前簽退');
+        }
+        await record.save();
+        return { success: true, status: record.get('狀態'), time: record.get('簽退時間') };
+    });
+    
+    if (written.success && early) {
+        queueStatisticsRefresh(studentId);
+    }
+    return written;
+}
+
+/**
+ * 已簽到的學生再次掃描 QR Code 或點簽到連結時處理簽退
+ * 位置驗證與簽到相同（依簽到方式），提前簽退需先按按鈕確認
+ */
+async function handleCheckout(event, userId, course, session, record, method, confirmedEarly = false) {
+    if (record.get('簽退時間')) {
+        return replyText(event, `✅ 您已經簽退過了！\n\n📚 課程：${course.get('科目')}\n⏰ 簽退時間：${record.get('簽退時間')}`);
+    }
+    if (!CHECKOUT_STATUSES.includes(record.get('狀態'))) {
+        return replyText(event, `ℹ️ 您本堂課的紀錄為「${record.get('狀態')}」，不需簽退。`);
+    }
+    
+    const checkoutWindow = evaluateCheckoutWindow(session, course);
+    if (!checkoutWindow.open) {
+        return replyText(event, checkoutWindow.message);
+    }
+    
+    const policy = checkCheckinPolicy(course, session, method);
+    if (!policy.allowed) {
+        return replyText(event, policy.message);
+    }
+    
+    if (checkoutWindow.early && !confirmedEarly) {
+        return lineClient.replyMessage(event.replyToken, {
+            type: 'template',
+            altText: '⚠️ 尚未到簽退時間',
+            template: {
+                type: 'buttons',
+                title: '⚠️ 尚未到簽退時間',
+                text: `${formatClock(checkoutWindow.openAt)} 起開放簽退\n現在簽退會記為早退`,
+                actions: [{
+                    type: 'postback',
+                    label: '提前簽退',
+                    data: `action=checkout&session=${session.get('活動ID')}&method=${method}`
+                }]
+            }
+        });
+    }
+    
+    if (policy.needLocation) {
+        return requestCheckinLocation(event, userId, course, session, { checkout: true });
+    }
+    if (policy.needPhoto) {
+        return requestCheckinPhoto(event, userId, course, session, { checkout: true });
+    }
+    
+    const result = await recordCheckout(session.get('活動ID'), record.get('學號'), checkoutWindow.early);
+    return replyCheckoutResult(event, course, result);
+}
+
+/**
+ * 處理「提前簽退」按鈕
+ */
+async function handleCheckoutConfirm(event, userId, params) {
+    const student = await getStudent(userId);
+    if (!student) {
+        return replyText(event, '❌ 您尚未註冊！\n\n請先輸入「註冊」綁定學號。');
+    }
+    
+    const sessionSheet = await getOrCreateSheet('簽到活動');
+    const session = (await sessionSheet.getRows()).find(s => s.get('活動ID') === params.get('session'));
+    const course = session ? await getCourse(session.get('課程ID')) : null;
+    if (!course) {
+        return replyText(event, '❌ 此簽到活動已結束或不存在！');
+    }
+    
+    const record = await checkExistingAttendance(session.get('活動ID'), student.get('學號'));
+    if (!record) {
+        return replyText(event, '❌ 找不到您的簽到紀錄！');
+    }
+    return handleCheckout(event, userId, course, session, record, params.get('method') || 'qr', true);
+}
+
+function replyCheckoutResult(event, course, result) {
+    if (!result.success) {
+        return replyText(event, `❌ 簽退失敗：${result.message}`);
+    }
+    if (result.status === '早退') {
+        return replyText(event, `⚠️ 已提前簽退（記為早退）\n\n📚 課程：${course.get('科目')}\n⏰ 簽退時間：${result.time}`);
+    }
+    return replyText(event, `👋 簽退成功！\n\n📚 課程：${course.get('科目')}\n⏰ 簽退時間：${result.time}`);
+}
+
+/**
+ * 將簽到紀錄改為早退（不儲存）
+ * 連堂課程依離開時間重算各節：離開當節為早退、之後的節次為缺席，統計才會算到早退的節次
+ * @param {Date} leftAt - 離開時間
+ * @param {string} reason - 附加到備註的原因
+ */
+async function markEarlyLeave(record, leftAt, reason) {
+    const note = record.get('備註') || '';
+    const periodAttendance = await resolvePeriodAttendance(record.get('活動ID'), record.get('學號'), {
+        status: record.get('狀態'),
+        arrivedAt: getRecordTime(record) || leftAt,
+        leftAt
+    });
+    record.set('狀態', periodAttendance ? periodAttendance.status : '早退');
+    if (periodAttendance) record.set('節次狀態', periodAttendance.text);
+    record.set('備註', (note ? note + ' ' : '') + reason);
+}
+
+/**
+ * 下課後將已簽到但未簽退的紀錄改為早退（缺席檢查、結束活動時呼叫）
+ * @returns {Promise<number>} 改為早退的筆數
+ */
+async function markMissingCheckouts(session, course) {
+    if (getCheckoutOpenBefore(course) === null) return 0;
+    
+    const sessionId = session.get('活動ID');
+    // 未簽退視為在開放簽退前就已離開（至少提前一分鐘，最後一節才會記為早退）
+    const endTime = session.get('結束時間');
+    const leftAt = endTime
+        ? new Date(zonedDateTime(session.get('日期'), endTime).getTime() - Math.max(getCheckoutOpenBefore(course), 1) * 60000)
+        : new Date();
+    const studentIds = await runExclusive(`session:${sessionId}`, async () => {
+        const sheet = doc.sheetsByTitle['簽到紀錄'];
+        if (!sheet) return [];
+        const rows = (await sheet.getRows()).filter(r => 
+            r.get('活動ID') === sessionId && 
+            CHECKOUT_STATUSES.includes(r.get('狀態')) && 
+            !r.get('簽退時間')
+        );
+        for (const row of rows) {
+            await markEarlyLeave(row, leftAt, '未簽退');
+            await row.save();
+        }
+        return rows.map(r => r.get('學號'));
+    });
+    
+    const studentSheet = doc.sheetsByTitle['學生名單'];
+    const students = studentSheet && studentIds.length > 0 ? await studentSheet.getRows() : [];
+    for (const studentId of studentIds) {
+        queueStatisticsRefresh(studentId);
+        
+        const student = students.find(s => s.get('學號') === studentId);
+        if (student && student.get('LINE_ID')) {
+            try {
+                await lineClient.pushMessage(student.get('LINE_ID'), {
+                    type: 'text',
+                    text: `⚠️ 早退通知\n\n📚 課程：${course.get('科目')}\n📅 日期：${session.get('日期')}\n\n您本堂課未完成簽退，已記為早退。\n如有疑問請聯繫教師。`
+                });
+            } catch (e) {
+                console.error('發送早退通知失敗:', e.message);
+            }
+        }
+    }
+    if (studentIds.length > 0) console.log(`🚪 ${sessionId} 有 ${studentIds.length} 位學生未簽退，已記為早退`);
+    return studentIds.length;
+}
+
+/**
+ * 直接簽到（掃老師螢幕上的 QR Code）
+ * 不需要 GPS 驗證，但 QR Code 必須是最新且簽章正確的
+ */
+async function handleDirectCheckin(event, userId, text) {
+    const student = await getStudent(userId);
+    console.log('📲 直接簽到 - userId =', userId, ' student =', student ? student.get('學號') : '未找到');
+    if (!student) {
+        return replyText(event, '❌ 您尚未註冊！\n\n請先輸入「註冊」綁定學號。');
+    }
+    
+    const code = verifyCheckinCode(text);
+    if (!code.valid) {
+        console.log('🚫 直接簽到碼無效:', code.reason, text);
+        if (code.reason === 'expired') {
+            return replyText(event, '⏰ 此 QR Code 已過期！\n\n請掃描老師螢幕上最新的 QR Code。');
+        }
+        return replyText(event, '❌ 無效的簽到碼！\n\n請掃描老師螢幕上的 QR Code。');
+    }
+    
+    const { courseId, sessionId } = code;
+    
+    const course = await getCourse(courseId);
+    if (!course) {
+        return replyText(event, '❌ 找不到此課程！');
+    }
+    
+    // 取得活動
+    const session = await findCheckinSession(courseId, sessionId);
+    if (!session) {
+        return replyText(event, '❌ 此簽到活動已結束或不存在！');
+    }
+    
+    const actualSessionId = session.get('活動ID');
+    
+    // 檢查是否已簽到（需要簽退的課程改為簽退）
+    const existingRecord = await checkExistingAttendance(actualSessionId, student.get('學號'));
+    if (existingRecord) {
+        if (getCheckoutOpenBefore(course) !== null) {
+            return handleCheckout(event, userId, course, session, existingRecord, 'qr');
+        }
+        return replyText(event, `✅ 您已經簽到過了！\n\n📚 課程：${course.get('科目')}\n⏰ 簽到時間：${existingRecord.get('簽到時間')}`);
+    }
+    
+    // 檢查簽到時段並計算是否遲到
+    const checkinWindow = await evaluateCheckinWindow(session, course);
+    if (!checkinWindow.open) {
+        return replyText(event, checkinWindow.message);
+    }
+    
+    // 依簽到方式判斷（QR Code + GPS 需要再傳送位置，自拍照簽到需要再傳送照片）
+    const policy = checkCheckinPolicy(course, session, 'qr');
+    if (!policy.allowed) {
+        return replyText(event, policy.message);
+    }
+    if (policy.needLocation) {
+        return requestCheckinLocation(event, userId, course, session);
+    }
+    if (policy.needPhoto) {
+        return requestCheckinPhoto(event, userId, course, session);
+    }
+    const { status, lateMinutes } = checkinWindow;
+    
+    // 記錄簽到（不記錄 GPS）
+    const result = await recordAttendance(
+        actualSessionId,
+        student.get('學號'),
+        status,
+        lateMinutes,
+        '', ''
+    );
+    
+    if (result.success) {
+        const emoji = result.status === '已報到' ? '✅' : '⚠️';
+        let msg = `${emoji} 簽到成功！\n\n📚 課程：${course.get('科目')}\n👤 學生：${student.get('姓名')}\n📍 方式：掃描 QR Code\n✨ 狀態：${result.status}`;
+        msg += describeLateness(result);
+        if (result.periods) {
+            msg += `\n📖 ${describePeriodStatuses(result.periods)}`;
+        }
+        return replyCheckinSuccess(event, course, actualSessionId, msg);
+    } else {
+        return replyText(event, `❌ 簽到失敗：${result.message}`);
+    }
+}
+
+/**
+ * 找出學生今天進行中的簽到活動（學生所屬班級的課程）
+ * @returns {Promise<Array<{ session: object, course: object }>>}
+ */
+async function findStudentActiveSessions(studentId, now = new Date()) {
+    const classCodes = await getStudentClassCodes(studentId);
+    const courseSheet = await getOrCreateSheet('課程列表');
+    const courses = (await courseSheet.getRows()).filter(c => classCodes.includes(c.get('班級')));
+    if (courses.length === 0) return [];
+    
+    const today = toDateString(now);
+    const sessionSheet = await getOrCreateSheet('簽到活動');
+    return (await sessionSheet.getRows())
+        .filter(s => s.get('狀態') === '進行中' && s.get('日期') === today)
+        .map(session => ({ session, course: courses.find(c => c.get('課程ID') === session.get('課程ID')) }))
+        .filter(item => item.course);
+}
+
+/**
+ * 簽到碼簽到（學生輸入老師螢幕上的數字）
+ * 號碼對應到學生目前進行中的活動才算正確，輸入錯誤太多次會暫停
+ */
+async function handleCodeCheckin(event, userId, code) {
+    const student = await getStudent(userId);
+    if (!student) {
+        return replyText(event, '❌ 您尚未註冊！\n\n請先輸入「註冊」綁定學號。');
+    }
+    
+    const now = Date.now();
+    const lockedUntil = getInputLock(checkinCodeFailures, userId, now);
+    if (lockedUntil) {
+        return replyText(event, `🚫 簽到碼輸入錯誤太多次！\n\n請在 ${formatClock(lockedUntil)} 後再試，或請老師協助點名。`);
+    }
+    
+    const candidates = await findStudentActiveSessions(student.get('學號'), new Date(now));
+    if (candidates.length === 0) {
+        return replyText(event, '❌ 目前沒有進行中的課程！');
+    }
+    const match = candidates.find(c => verifyNumericCheckinCode(c.session.get('活動ID'), code, now));
+    if (!match) {
+        const remaining = recordInputFailure(checkinCodeFailures, userId, now);
+        console.log('🚫 簽到碼錯誤:', student.get('學號'), code, `剩餘 ${remaining} 次`);
+        if (remaining === 0) {
+            return replyText(event, `🚫 簽到碼輸入錯誤太多次！\n\n請在 ${CHECKIN_CODE_LOCK_MINUTES} 分鐘後再試，或請老師協助點名。`);
+        }
+        return replyText(event, `❌ 簽到碼錯誤或已過期！\n\n請輸入老師螢幕上最新的號碼（還可以再試 ${remaining} 次）。`);
+    }
+    checkinCodeFailures.delete(userId);
+    
+    const { session, course } = match;
+    const actualSessionId = session.get('活動ID');
+    
+    // 檢查是否已簽到（需要簽退的課程改為簽退）
+    const existingRecord = await checkExistingAttendance(actualSessionId, student.get('學號'));
+    if (existingRecord) {
+        if (getCheckoutOpenBefore(course) !== null) {
+            return handleCheckout(event, userId, course, session, existingRecord, 'code');
+        }
+        return replyText(event, `✅ 您已經簽到過了！\n\n📚 課程：${course.get('科目')}\n⏰ 簽到時間：${existingRecord.get('簽到時間')}`);
+    }
+    
+    // 檢查簽到時段並計算是否遲到
+    const checkinWindow = await evaluateCheckinWindow(session, course);
+    if (!checkinWindow.open) {
+        return replyText(event, checkinWindow.message);
+    }
+    
+    const policy = checkCheckinPolicy(course, session, 'code');
+    if (!policy.allowed) {
+        return replyText(event, policy.message);
+    }
+    if (policy.needLocation) {
+        return requestCheckinLocation(event, userId, course, session);
+    }
+    const { status, lateMinutes } = checkinWindow;
+    
+    const result = await recordAttendance(
+        actualSessionId,
+        student.get('學號'),
+        status,
+        lateMinutes,
+        '', ''
+    );
+    
+    if (result.success) {
+        const emoji = result.status === '已報到' ? '✅' : '⚠️';
+        let msg = `${emoji} 簽到成功！\n\n📚 課程：${course.get('科目')}\n👤 學生：${student.get('姓名')}\n🔢 方式：輸入簽到碼\n✨ 狀態：${result.status}`;
+        msg += describeLateness(result);
+        if (result.periods) {
+            msg += `\n📖 ${describePeriodStatuses(result.periods)}`;
+        }
+        return replyCheckinSuccess(event, course, actualSessionId, msg);
+    } else {
+        return replyText(event, `❌ 簽到失敗：${result.message}`);
+    }
+}
+
+/**
+ * GPS 簽到（學生點連結自己簽到）
  * 需要 GPS 驗證
  */
-async function handleGPSCheckin(event, userId, text) {
+async function handleGPSCheckin(event, userId, text) {
+    const student = await getStudent(userId);
+    console.log('📍 GPS 簽到 - userId =', userId, ' student =', student ? student.get('學號') : '未找到');
+    if (!student) {
+        return replyText(event, `❌ 找不到您的帳號！\n\n📱 收到的 ID：\n${userId}\n\n請輸入「我的ID」比對，或輸入「註冊」重新綁定。`);
+    }
+    
+    const parts = text.replace('GPS簽到:', '').split('|');
+    if (parts.length < 2) {
+        return replyText(event, '❌ 無效的簽到碼！');
+    }
+    
+    const [courseId, sessionId] = parts;
+    
+    const course = await getCourse(courseId);
+    if (!course) {
+        return replyText(event, '❌ 找不到此課程！');
+    }
+    
+    // 取得活動
+    const session = await findCheckinSession(courseId, sessionId);
+    if (!session) {
+        return replyText(event, '❌ 此簽到活動已結束或不存在！');
+    }
+    
+    const actualSessionId = session.get('活動ID');
+    
+    // 檢查是否已簽到（需要簽退的課程改為簽退）
+    const existingRecord = await checkExistingAttendance(actualSessionId, student.get('學號'));
+    if (existingRecord) {
+        if (getCheckoutOpenBefore(course) !== null) {
+            return handleCheckout(event, userId, course, session, existingRecord, 'link');
+        }
+        return replyText(event, `✅ 您已經簽到過了！\n\n📚 課程：${course.get('科目')}\n⏰ 簽到時間：${existingRecord.get('簽到時間')}`);
+    }
+    
+    // 檢查簽到時段
+    const checkinWindow = await evaluateCheckinWindow(session, course);
+    if (!checkinWindow.open) {
+        return replyText(event, checkinWindow.message);
+    }
+    
+    // 依簽到方式判斷（GPS 定位需要再傳送位置）
+    const policy = checkCheckinPolicy(course, session, 'link');
+    console.log('📍 簽到方式:', { courseId, 科目: course.get('科目'), mode: policy.mode });
+    if (!policy.allowed) {
+        return replyText(event, policy.message);
+    }
+    if (policy.needLocation) {
+        return requestCheckinLocation(event, userId, course, session);
+    }
+    if (policy.needPhoto) {
+        return requestCheckinPhoto(event, userId, course, session);
+    }
+    
+    // 不限制位置（線上課程），直接簽到
+    const { status, lateMinutes } = checkinWindow;
+    
+    const result = await recordAttendance(
+        actualSessionId,
+        student.get('學號'),
+        status,
+        lateMinutes,
+        '', ''
+    );
+    
+    if (result.success) {
+        const emoji = result.status === '已報到' ? '✅' : '⚠️';
+        let msg = `${emoji} 簽到成功！\n\n📚 課程：${course.get('科目')}\n👤 學生：${student.get('姓名')}\n✨ 狀態：${result.status}`;
+        msg += describeLateness(result);
+        if (result.periods) {
+            msg += `\n📖 ${describePeriodStatuses(result.periods)}`;
+        }
+        return replyCheckinSuccess(event, course, actualSessionId, msg);
+    } else {
+        return replyText(event, `❌ 簽到失敗：${result.message}`);
+    }
+}
+
+/**
+ * 處理位置訊息
+ */
+async function handleLocation(event, userId) {
+    const state = await getUserState(userId);
+    if (!state || state.step !== 'waitingLocation') {
+        return replyText(event, '❌ 請先掃描簽到 QR Code！');
+    }
+    
+    const { latitude, longitude } = event.message;
+    const student = await getStudent(userId);
+    
+    if (!student) {
+        await clearUserState(userId);
+        return replyText(event, '❌ 找不到您的學生資料！\n\n請先輸入「註冊」綁定學號。');
+    }
+    
+    // 每次都重新讀取課程設定（確保使用最新的簽到範圍）
+    const course = await getCourse(state.courseId);
+    if (!course) {
+        await clearUserState(userId);
+        return replyText(event, '❌ 課程不存在！');
+    }
+    
+    // 重新讀取最新的簽到範圍（教室座標 + 簽到位置），位置符合任一範圍即可
+    const locations = await loadLocationRows();
+    const geofences = getCourseGeofences(course, locations);
+    if (geofences.length === 0) {
+        await clearUserState(userId);
+        return replyText(event, '❌ 此課程尚未設定簽到位置！\n\n請聯繫老師。');
+    }
+    const { matched, nearest, distance } = locateInGeofences(latitude, longitude, geofences);
+    
+    console.log('位置驗證 - 最新設定:', {
+        courseId: state.courseId,
+        geofences: geofences.map(f => f.name),
+        matched: matched ? matched.name : null,
+        distance: Math.round(distance)
+    });
+    
+    // 檢查是否在範圍內
+    if (!matched) {
+        // 不刪除狀態，允許重試
+        state.retryCount = (state.retryCount || 0) + 1;
+        
+        const missText = nearest.polygon
+            ? `最近位置：${nearest.name}\n距離範圍邊界：${Math.round(distance)} 公尺`
+            : `最近位置：${nearest.name}\n您的距離：${Math.round(distance)} 公尺\n允許範圍：${nearest.radius} 公尺`;
+        
+        // 最多重試 3 次
+        if (state.retryCount >= 3) {
+            await clearUserState(userId);
+            return replyText(event, 
+                `🚫 簽到失敗！\n\n已重試 ${state.retryCount} 次仍不在範圍內。\n${missText}\n\n💡 建議：\n1. 到戶外或窗邊重新定位\n2. 聯繫老師使用現場 QR Code 簽到`
+            );
+        }
+        
+        // 允許重試
+        await setUserState(userId, { ...state, awaitingResume: false });
+        return lineClient.replyMessage(event.replyToken, {
+            type: 'template',
+            altText: '📍 位置驗證失敗，請重試',
+            template: {
+                type: 'buttons',
+                title: '📍 位置不在範圍內',
+                text: `${missText}\n\n請移動到範圍內重試`,
+                actions: [
+                    {
+                        type: 'uri',
+                        label: '🔄 重新傳送位置',
+                        uri: 'https://line.me/R/nv/location'
+                    }
+                ]
+            }
+        });
+    }
+    
+    // 傳送位置時再檢查一次簽到時段（可能在等待位置期間截止），並計算是否遲到
+    const now = new Date();
+    const sessionSheet = await getOrCreateSheet('簽到活動');
+    const session = (await sessionSheet.getRows()).find(r => r.get('活動ID') === state.sessionId);
+    if (!session) {
+        await clearUserState(userId);
+        return replyText(event, '❌ 此簽到活動已結束或不存在！');
+    }
+    if (state.checkout) {
+        const checkoutWindow = evaluateCheckoutWindow(session, course, now);
+        await clearUserState(userId);
+        if (!checkoutWindow.open) {
+            return replyText(event, checkoutWindow.message);
+        }
+        const result = await recordCheckout(state.sessionId, student.get('學號'), checkoutWindow.early);
+        return replyCheckoutResult(event, course, result);
+    }
+    
+    const checkinWindow = await evaluateCheckinWindow(session, course, now);
+    if (!checkinWindow.open) {
+        await clearUserState(userId);
+        return replyText(event, checkinWindow.message);
+    }
+    const { status, lateMinutes } = checkinWindow;
+    
+    // 記錄簽到（距離與重試次數供可疑簽到偵測使用）
+    const result = await recordAttendance(
+        state.sessionId,
+        student.get('學號'),
+        status,
+        lateMinutes,
+        latitude.toString(),
+        longitude.toString(),
+        true,
+        {
+            'GPS距離': Math.round(distance),
+            'GPS重試': state.retryCount || 0,
+            '符合位置': matched.name
+        }
+    );
+    
+    await clearUserState(userId);
+    
+    if (!result.success) {
+        return replyText(event, `ℹ️ ${result.message}\n\n狀態：${result.status}`);
+    }
+    
+    // 簽到成功訊息
+    const locationText = matched.polygon
+        ? `📍 位置：${matched.name}（範圍內）`
+        : `📍 位置：${matched.name}（距離 ${Math.round(distance)} 公尺）`;
+    const periodText = result.periods ? `\n📖 ${describePeriodStatuses(result.periods)}` : '';
+    let message = '';
+    if (result.status === '已報到') {
+        message = `✅ 簽到成功！\n\n📚 課程：${state.courseName}\n⏰ 時間：${formatDateTime(now)}\n${locationText}\n✨ 狀態：準時報到${periodText}\n\n繼續保持！💪`;
+    } else {
+        message = `⚠️ 簽到成功（${result.status}）\n\n📚 課程：${state.courseName}\n⏰ 時間：${formatDateTime(now)}\n${locationText}${describeLateness(result)}${periodText}\n\n下次請準時到達！`;
+    }
+    
+    return replyCheckinSuccess(event, course, state.sessionId, message, locations);
+}
+
+// ===== 自拍照簽到 =====
+// 簽到方式為「線上課程 + 自拍照」時，點簽到連結（或掃 QR Code）後需在時限內傳送一張照片，
+// 照片存在 PHOTO_DIR（見 storage/photos.js），檔名寫入簽到紀錄的「簽到照片」，管理後台可依活動檢視
+const PHOTO_CHECKIN_SECONDS = 120;
+
+/**
+ * 要求學生傳送自拍照完成簽到
+ * @param {object} options
+ * @param {boolean} options.checkout - 傳送照片後改為簽退
+ */
+async function requestCheckinPhoto(event, userId, course, session, { checkout = false } = {}) {
+    const deadline = new Date(Date.now() + PHOTO_CHECKIN_SECONDS * 1000);
+    await setUserState(userId, {
+        flow: 'photoCheckin',
+        step: 'waitingPhoto',
+        courseId: course.get('課程ID'),
+        sessionId: session.get('活動ID'),
+        courseName: course.get('科目'),
+        photoDeadline: deadline.toISOString(),
+        checkout
+    });
+    
+    const action = checkout ? '簽退' : '簽到';
+    return lineClient.replyMessage(event.replyToken, {
+        type: 'text',
+        text: `📷 自拍照${action} - ${course.get('科目')}\n\n請在 ${formatClock(deadline)} 前（${PHOTO_CHECKIN_SECONDS / 60} 分鐘內）傳送一張自拍照完成${action}。\n\n輸入「取消」取消${action}`,
+        quickReply: {
+            items: [
+                { type: 'action', action: { type: 'camera', label: '📷 拍照' } },
+                { type: 'action', action: { type: 'cameraRoll', label: '🖼️ 選擇照片' } }
+            ]
+        }
+    });
+}
+
+/**
+ * 自拍照簽到收到照片
+ */
+async function handleCheckinPhoto(event, userId, state) {
+    const now = new Date();
+    if (now > new Date(state.photoDeadline)) {
+        await clearUserState(userId);
+        return replyText(event, `⌛ 已超過 ${PHOTO_CHECKIN_SECONDS / 60} 分鐘，請重新點選簽到連結後再傳送照片。`);
+    }
+    
+    const student = await getStudent(userId);
+    if (!student) {
+        await clearUserState(userId);
+        return replyText(event, '❌ 找不到您的學生資料！\n\n請先輸入「註冊」綁定學號。');
+    }
+    
+    const course = await getCourse(state.courseId);
+    const sessionSheet = await getOrCreateSheet('簽到活動');
+    const session = (await sessionSheet.getRows()).find(r => r.get('活動ID') === state.sessionId);
+    if (!course || !session) {
+        await clearUserState(userId);
+        return replyText(event, '❌ 此簽到活動已結束或不存在！');
+    }
+    
+    if (state.checkout) {
+        const checkoutWindow = evaluateCheckoutWindow(session, course, now);
+        if (!checkoutWindow.open) {
+            await clearUserState(userId);
+            return replyText(event, checkoutWindow.message);
+        }
+        let photo;
+        try {
+            photo = await savePhoto(await lineClient.getMessageContent(event.message.id), `O${student.get('學號')}`);
+        } catch (e) {
+            console.error('儲存簽退照片失敗:', e.message);
+            return replyText(event, '❌ 照片儲存失敗，請重新傳送。');
+        }
+        await clearUserState(userId);
+        const result = await recordCheckout(state.sessionId, student.get('學號'), checkoutWindow.early, { '簽退照片': photo });
+        return replyCheckoutResult(event, course, result);
+    }
+    
+    // 傳送照片時再檢查一次簽到時段（可能在等待照片期間截止），並計算是否遲到
+    const checkinWindow = await evaluateCheckinWindow(session, course, now);
+    if (!checkinWindow.open) {
+        await clearUserState(userId);
+        return replyText(event, checkinWindow.message);
+    }
+    
+    let photo;
+    try {
+        photo = await savePhoto(await lineClient.getMessageContent(event.message.id), `C${student.get('學號')}`);
+    } catch (e) {
+        console.error('儲存簽到照片失敗:', e.message);
+        return replyText(event, '❌ 照片儲存失敗，請重新傳送。');
+    }
+    
+    const result = await recordAttendance(
+        state.sessionId,
+        student.get('學號'),
+        checkinWindow.status,
+        checkinWindow.lateMinutes,
+        '', '',
+        true,
+        { '簽到照片': photo }
+    );
+    
+    await clearUserState(userId);
+    
+    if (!result.success) {
+        return replyText(event, `ℹ️ ${result.message}\n\n狀態：${result.status}`);
+    }
+    
+    const emoji = result.status === '已報到' ? '✅' : '⚠️';
+    let msg = `${emoji} 簽到成功！\n\n📚 課程：${state.courseName}\n👤 學生：${student.get('姓名')}\n📷 方式：自拍照\n✨ 狀態：${result.status}`;
+    msg += describeLateness(result);
+    if (result.periods) {
+        msg += `\n📖 ${describePeriodStatuses(result.periods)}`;
+    }
+    return replyCheckinSuccess(event, course, state.sessionId, msg);
+}
+
+// ===== 座位 =====
+// GPS位置 可設定座位配置（座位排數 × 每排座位數），課程的簽到位置有座位配置時，簽到成功後請學生選擇座位
+// 座位以「排-位」記在簽到紀錄的「座位」欄位（例如 3-5 為第 3 排第 5 位），活動進行中可以更改
+// 同一座位有多位學生時不阻擋，由管理後台的座位表標示衝突，方便老師發現代簽
+// LINE 快速回覆最多 13 個選項，排數或每排座位數超過時請學生輸入「座位 排-位」
+const SEAT_QUICK_REPLY_MAX = 13;
+
+/**
+ * 取得課程的座位配置（課程的簽到位置中第一個有設定座位的 GPS位置）
+ * @param {object[]} locations - GPS位置 工作表的列
+ * @returns {{ locationId: string, name: string, rows: number, cols: number } | null}
+ */
+function getCourseSeatLayout(course, locations) {
+    const locationIds = (course.get('簽到位置') || '').split(',').map(id => id.trim()).filter(Boolean);
+    const location = locationIds
+        .map(id => locations.find(l => l.get('位置ID') === id))
+        .find(l => l && parseInt(l.get('座位排數')) > 0 && parseInt(l.get('每排座位數')) > 0);
+    if (!location) return null;
+    return {
+        locationId: location.get('位置ID'),
+        name: location.get('名稱') || location.get('位置ID'),
+        rows: parseInt(location.get('座位排數')),
+        cols: parseInt(location.get('每排座位數'))
+    };
+}
+
+/**
+ * 讀取 GPS位置 後取得課程的座位配置
+ */
+async function loadCourseSeatLayout(course) {
+    return getCourseSeatLayout(course, await loadLocationRows());
+}
+
+/**
+ * 解析「座位」欄位（例如 3-5）
+ * @returns {{ row: number, col: number } | null}
+ */
+function parseSeat(text) {
+    const match = String(text || '').match(/^(\d+)-(\d+)$/);
+    return match ? { row: parseInt(match[1]), col: parseInt(match[2]) } : null;
+}
+
+function formatSeat(row, col) {
+    return `第 ${row} 排第 ${col} 位`;
+}
+
+/**
+ * 詢問座位（排數在快速回覆的上限內時列出各排，否則請學生輸入）
+ */
+function buildSeatRowPrompt(sessionId, layout) {
+    if (layout.rows > SEAT_QUICK_REPLY_MAX || layout.cols > SEAT_QUICK_REPLY_MAX) {
+        return { text: `🪑 請輸入您的座位（${layout.name}：${layout.rows} 排 × 每排 ${layout.cols} 位）\n\n格式：座位 排-位\n例如：座位 3-5` };
+    }
+    return {
+        text: `🪑 請選擇您坐在第幾排（${layout.name}，由前往後）`,
+        quickReply: {
+            items: Array.from({ length: layout.rows }, (_, i) => ({
+                type: 'action',
+                action: {
+                    type: 'postback',
+                    label: `第 ${i + 1} 排`,
+                    data: `action=seatRow&session=${sessionId}&row=${i + 1}`,
+                    displayText: `第 ${i + 1} 排`
+                }
+            }))
+        }
+    };
+}
+
+/**
+ * 回覆簽到成功，教室有座位配置時接著詢問座位
+ * @param {object[]} [locations] - 已讀取的 GPS位置 列（GPS 簽到時傳入，不必再讀一次）
+ */
+async function replyCheckinSuccess(event, course, sessionId, message, locations = null) {
+    const layout = locations ? getCourseSeatLayout(course, locations) : await loadCourseSeatLayout(course);
+    if (!layout) {
+        return replyText(event, message);
+    }
+    const prompt = buildSeatRowPrompt(sessionId, layout);
+    return lineClient.replyMessage(event.replyToken, [
+        { type: 'text', text: message },
+        { type: 'text', ...prompt }
+    ]);
+}
+
+/**
+ * 找出可以選擇座位的活動與座位配置（活動進行中且課程有座位配置）
+ * @returns {Promise<{ success: boolean, code?: number, message?: string, layout?: object }>} code 為 API 回應的 HTTP 狀態碼
+ */
+async function getSessionSeatLayout(sessionId) {
+    const sessionSheet = await getOrCreateSheet('簽到活動');
+    const session = (await sessionSheet.getRows()).find(s => s.get('活動ID') === sessionId);
+    if (!session) {
+        return { success: false, code: 404, message: '找不到簽到活動。' };
+    }
+    if (session.get('狀態') !== '進行中') {
+        return { success: false, code: 410, message: '此簽到活動已結束，無法選擇座位。' };
+    }
+    const course = await getCourse(session.get('課程ID'));
+    const layout = course ? await loadCourseSeatLayout(course) : null;
+    if (!layout) {
+        return { success: false, code: 404, message: '此課程沒有座位配置。' };
+    }
+    return { success: true, layout };
+}
+
+/**
+ * 記錄學生的座位
+ * @returns {Promise<{ success: boolean, code?: number, message?: string, shared?: boolean }>} shared 表示座位已有其他同學
+ */
+async function setRecordSeat(sessionId, studentId, row, col) {
+    const seatLayout = await getSessionSeatLayout(sessionId);
+    if (!seatLayout.success) {
+        return seatLayout;
+    }
+    const { layout } = seatLayout;
+    if (!(row >= 1 && row <= layout.rows && col >= 1 && col <= layout.cols)) {
+        return { success: false, code: 400, message: `座位不存在！\n${layout.name} 共 ${layout.rows} 排，每排 ${layout.cols} 位。` };
+    }
+    
+    const seat = `${row}-${col}`;
+    return runExclusive(`session:${sessionId}`, async () => {
+        const sheet = await getOrCreateSheet('簽到紀錄');
+        const rows = (await sheet.getRows()).filter(r => r.get('活動ID') === sessionId);
+        const record = rows.find(r => r.get('學號') === studentId);
+        if (!record) {
+            return { success: false, code: 409, message: '請先完成簽到再選擇座位。' };
+        }
+        const shared = rows.some(r => r !== record && r.get('座位') === seat);
+        record.set('座位', seat);
+        await record.save();
+        return { success: true, shared };
+    });
+}
+
+/**
+ * 回覆選擇座位的結果
+ */
+function replySeatResult(event, row, col, result) {
+    if (!result.success) {
+        return replyText(event, `❌ ${result.message}`);
+    }
+    let msg = `🪑 已記錄座位：${formatSeat(row, col)}`;
+    if (result.shared) {
+        msg += '\n\n⚠️ 此座位已有其他同學選擇，請確認排數與位置是否正確（可輸入「座位 排-位」更改）。';
+    }
+    return replyText(event, msg);
+}
+
+/**
+ * 選好排數後列出該排的座位
+ */
+async function handleSeatRowPostback(event, userId, params) {
     const student = await getStudent(userId);
-    console.log('📍 GPS 簽到 - userId =', userId, ' student =', student ? student.get('學號') : '未找到');
     if (!student) {
-        return replyText(event, `❌ 找不到您的帳號！\n\n📱 收到的 ID：\n${userId}\n\n請輸入「我的ID」比對，或輸入「註冊」重新綁定。`);
+        return replyText(event, '❌ 您尚未註冊！\n\n請先輸入「註冊」綁定學號。');
+    }
+    const sessionId = params.get('session');
+    const row = parseInt(params.get('row'));
+    const seatLayout = await getSessionSeatLayout(sessionId);
+    if (!seatLayout.success) {
+        return replyText(event, `❌ ${seatLayout.message}`);
+    }
+    const { layout } = seatLayout;
+    if (!(row >= 1 && row <= layout.rows)) {
+        return replyText(event, `❌ 座位不存在！\n${layout.name} 共 ${layout.rows} 排。`);
     }
     
-    const parts = text.replace('GPS簽到:', '').split('|');
-    if (parts.length < 2) {
-        return replyText(event, '❌ 無效的簽到碼！');
+    return lineClient.replyMessage(event.replyToken, {
+        type: 'text',
+        text: `🪑 第 ${row} 排，請選擇第幾位（由左往右）`,
+        quickReply: {
+            items: Array.from({ length: layout.cols }, (_, i) => ({
+                type: 'action',
+                action: {
+                    type: 'postback',
+                    label: `第 ${i + 1} 位`,
+                    data: `action=seat&session=${sessionId}&row=${row}&col=${i + 1}`,
+                    displayText: `第 ${row} 排第 ${i + 1} 位`
+                }
+            }))
+        }
+    });
+}
+
+/**
+ * 選擇座位（快速回覆）
+ */
+async function handleSeatPostback(event, userId, params) {
+    const student = await getStudent(userId);
+    if (!student) {
+        return replyText(event, '❌ 您尚未註冊！\n\n請先輸入「註冊」綁定學號。');
+    }
+    const row = parseInt(params.get('row'));
+    const col = parseInt(params.get('col'));
+    const result = await setRecordSeat(params.get('session'), student.get('學號'), row, col);
+    return replySeatResult(event, row, col, result);
+}
+
+/**
+ * 選擇座位（輸入「座位 3-5」），套用到今天進行中、已簽到且有座位配置的活動
+ */
+async function handleSeatCommand(event, userId, row, col) {
+    const student = await getStudent(userId);
+    if (!student) {
+        return replyText(event, '❌ 您尚未註冊！\n\n請先輸入「註冊」綁定學號。');
     }
     
-    const [courseId, sessionId] = parts;
+    const candidates = [];
+    for (const { session } of await findStudentActiveSessions(student.get('學號'))) {
+        if (await checkExistingAttendance(session.get('活動ID'), student.get('學號'))) {
+            candidates.push(session);
+        }
+    }
+    if (candidates.length === 0) {
+        return replyText(event, '❌ 目前沒有已簽到的課堂，請先完成簽到再選擇座位。');
+    }
+    // 同時有多堂課時，以最晚開始的一堂為準
+    candidates.sort((a, b) => (a.get('開始時間') || '').localeCompare(b.get('開始時間') || ''));
+    const result = await setRecordSeat(candidates[candidates.length - 1].get('活動ID'), student.get('學號'), row, col);
+    return replySeatResult(event, row, col, result);
+}
+
+// ===== LIFF 網頁簽到 =====
+// 學生在 LINE 內開啟 LIFF 簽到頁（/checkin），頁面用與管理介面相同的高精度定位（public/gps.js）取樣，
+// 把位置與精度送到 /api/liff/checkin 一次完成簽到，不需要再傳送位置訊息
+// 身分以 LIFF 的 ID Token 向 LINE 驗證（LIFF ID 的前半段為 LINE Login channel ID）
+const LIFF_ID = process.env.LIFF_ID || '';
+// 定位精度（公尺）比此值差時要求重新定位
+const LIFF_MAX_ACCURACY = parseInt(process.env.LIFF_MAX_ACCURACY) || 100;
+
+// 位置不在範圍內的次數（LINE_ID|活動ID → { count, expiresAt }），簽到成功時寫入 GPS重試 供可疑簽到偵測
+// 沒有簽到成功的項目在 expiresAt 後失效，新增時一併清除過期的項目
+const LIFF_RETRY_TTL_MS = 12 * 60 * 60 * 1000;
+const liffRetryCounts = new Map();
+
+function addLiffRetry(key, now = Date.now()) {
+    for (const [k, entry] of liffRetryCounts) {
+        if (entry.expiresAt <= now) liffRetryCounts.delete(k);
+    }
+    liffRetryCounts.set(key, { count: getLiffRetryCount(key, now) + 1, expiresAt: now + LIFF_RETRY_TTL_MS });
+}
+
+function getLiffRetryCount(key, now = Date.now()) {
+    const entry = liffRetryCounts.get(key);
+    return entry && entry.expiresAt > now ? entry.count : 0;
+}
+
+// 自拍照簽到只能在 LINE 對話中傳送照片
+const LIFF_PHOTO_MESSAGE = '此課程需要自拍照簽到，請在 LINE 點選簽到連結後傳送照片。';
+
+/**
+ * LIFF 簽到頁網址（未設定 LIFF_ID 時回傳 null）
+ */
+function getLiffCheckinUrl(courseId, sessionId) {
+    if (!LIFF_ID) return null;
+    return `https://liff.line.me/${LIFF_ID}?course=${encodeURIComponent(courseId)}&session=${encodeURIComponent(sessionId)}`;
+}
+
+/**
+ * 學生的簽到連結
+ * 需要定位的課程在有設定 LIFF_ID 時開啟 LIFF 簽到頁，其他情況傳送「GPS簽到」訊息給 Bot
+ */
+function getStudentCheckinUrl(course, sessionId, session = null) {
+    const courseId = course.get('課程ID');
+    const policy = checkCheckinPolicy(course, session, 'link');
+    const liffUrl = getLiffCheckinUrl(courseId, sessionId);
+    if (liffUrl && policy.allowed && policy.needLocation) return liffUrl;
+    return `https://line.me/R/oaMessage/${process.env.LINE_BOT_ID}/?${encodeURIComponent(`GPS簽到:${courseId}|${sessionId}`)}`;
+}
+
+/**
+ * 驗證 LIFF ID Token
+ * @returns {Promise<string|null>} LINE userId，驗證失敗回傳 null
+ */
+async function verifyLiffIdToken(idToken) {
+    const response = await fetch('https://api.line.me/oauth2/v2.1/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ id_token: idToken, client_id: LIFF_ID.split('-')[0] })
+    });
+    if (!response.ok) {
+        console.log('LIFF ID Token 驗證失敗:', response.status);
+        return null;
+    }
+    const payload = await response.json();
+    return payload.sub || null;
+}
+
+/**
+ * LIFF 簽到（與 GPS 簽到連結相同的檢查，位置由簽到頁一併送出）
+ * @returns {Promise<{ success: boolean, code?: number, retry?: boolean, message: string, status?: string }>}
+ *   retry 表示重新定位後可以再試
+ */
+async function handleLiffCheckin(userId, { courseId, sessionId, latitude, longitude, accuracy }) {
+    const student = await getStudent(userId);
+    if (!student) {
+        return { success: false, code: 403, message: '找不到您的學生資料！請先在 LINE 輸入「註冊」綁定學號。' };
+    }
     
     const course = await getCourse(courseId);
     if (!course) {
-        return replyText(event, '❌ 找不到此課程！');
-    }
-    
-    // 取得活動
-    let session = await getTodaySession(courseId);
-    if (!session) {
-        const sessionSheet = await getOrCreateSheet('簽到活動', [
-            '活動ID', '課程ID', '日期', '開始時間', '結束時間', 'QR碼內容', '狀態'
-        ]);
-        const rows = await sessionSheet.getRows();
-        session = rows.find(r => r.get('活動ID') === sessionId && r.get('狀態') !== '已結束');
+        return { success: false, code: 404, message: '找不到此課程！' };
     }
-    
+    const session = await findCheckinSession(courseId, sessionId);
     if (!session) {
-        return replyText(event, '❌ 此簽到活動已結束或不存在！');
+        return { success: false, code: 404, message: '此簽到活動已結束或不存在！' };
     }
-    
     const actualSessionId = session.get('活動ID');
     
-    // 檢查是否已簽到
     const existingRecord = await checkExistingAttendance(actualSessionId, student.get('學號'));
     if (existingRecord) {
-        return replyText(event, `✅ 您已經簽到過了！\n\n📚 課程：${course.get('科目')}\n⏰ 簽到時間：${existingRecord.get('簽到時間')}`);
+        const checkoutHint = getCheckoutOpenBefore(course) !== null ? '\n\n簽退請在 LINE 點選簽到連結。' : '';
+        return { success: false, code: 409, message: `您已經簽到過了！\n簽到時間：${existingRecord.get('簽到時間')}${checkoutHint}` };
     }
     
-    // 取得簽到設定（從 Google Sheets 直接讀取）
-    const classroomLat = parseFloat(course.get('教室緯度')) || 0;
-    const classroomLon = parseFloat(course.get('教室經度')) || 0;
-    const rawRadius = course.get('簽到範圍');
-    
-    // 詳細記錄讀取到的值
-    console.log('🔍 簽到範圍原始值:', {
-        rawRadius,
-        type: typeof rawRadius,
-        isEmpty: rawRadius === '',
-        isNull: rawRadius === null,
-        isUndefined: rawRadius === undefined
-    });
-    
-    // 解析 radius
-    let checkRadius;
-    if (rawRadius === '' || rawRadius === undefined || rawRadius === null) {
-        checkRadius = 100;  // 預設值
-        console.log('⚠️ 使用預設值 100');
-    } else {
-        checkRadius = parseInt(rawRadius);
-        console.log('✅ 解析後的 checkRadius:', checkRadius);
+    const checkinWindow = await evaluateCheckinWindow(session, course);
+    if (!checkinWindow.open) {
+        return { success: false, code: 403, message: checkinWindow.message };
     }
-    
-    console.log('📍 GPS 簽到設定:', { 
-        courseId, 
-        科目: course.get('科目'),
-        classroomLat, 
-        classroomLon, 
-        rawRadius, 
-        checkRadius 
-    });
-    
-    // 簽到模式判斷
-    // -1: 現場簽到（只能掃 QR Code，不能用連結）
-    if (checkRadius === -1) {
-        return replyText(event, '📱 此課程設定為「現場簽到」\n\n請到教室掃描老師手機上的 QR Code 簽到。');
+    const policy = checkCheckinPolicy(course, session, 'link');
+    if (!policy.allowed) {
+        return { success: false, code: 403, message: policy.message };
+    }
+    if (policy.needPhoto) {
+        return { success: false, code: 403, message: LIFF_PHOTO_MESSAGE };
     }
     
-    // 0 或無設定: 不限制（線上課程），直接簽到
-    // 有設定 GPS 座標且 checkRadius > 0: 需要 GPS 驗證
-    if (classroomLat !== 0 && classroomLon !== 0 && checkRadius > 0) {
-        userStates.set(userId, { 
-            step: 'waitingLocation',
-            courseId,
-            sessionId: actualSessionId,
-            courseName: course.get('科目'),
-            classroomLat,
-            classroomLon,
-            checkRadius,
-            lateMinutes: parseInt(course.get('遲到標準')) || 10,
-            startTime: session.get('開始時間')
-        });
+    const retryKey = `${userId}|${actualSessionId}`;
+    // 簽到範圍與座位配置共用同一次讀取
+    const locations = await loadLocationRows();
+    let gpsLat = '';
+    let gpsLon = '';
+    const extra = {};
+    if (policy.needLocation) {
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || !Number.isFinite(accuracy)) {
+            return { success: false, code: 400, retry: true, message: '沒有收到定位資料，請允許位置存取後重試。' };
+        }
+        if (accuracy > LIFF_MAX_ACCURACY) {
+            return { success: false, code: 422, retry: true, message: `定位精度約 ${Math.round(accuracy)} 公尺，超過 ${LIFF_MAX_ACCURACY} 公尺。\n請到窗邊或戶外重新定位。` };
+        }
         
-        return lineClient.replyMessage(event.replyToken, {
-            type: 'template',
-            altText: '📍 請傳送您的位置以完成簽到',
-            template: {
-                type: 'buttons',
-                title: `📍 GPS 簽到 - ${course.get('科目')}`,
-                text: `請傳送位置驗證\n允許範圍：${checkRadius} 公尺`,
-                actions: [
-                    {
-                        type: 'uri',
-                        label: '📍 傳送我的位置',
-                        uri: 'https://line.me/R/nv/location'
-                    }
-                ]
-            }
+        const geofences = getCourseGeofences(course, locations);
+        if (geofences.length === 0) {
+            return { success: false, code: 403, message: '此課程尚未設定簽到位置！請聯繫老師。' };
+        }
+        const { matched, nearest, distance } = locateInGeofences(latitude, longitude, geofences);
+        if (!matched) {
+            addLiffRetry(retryKey);
+            const missText = nearest.polygon
+                ? `最近位置：${nearest.name}\n距離範圍邊界：${Math.round(distance)} 公尺`
+                : `最近位置：${nearest.name}\n您的距離：${Math.round(distance)} 公尺\n允許範圍：${nearest.radius} 公尺`;
+            return { success: false, code: 422, retry: true, message: `📍 位置不在範圍內\n${missText}\n\n請移動到範圍內重試` };
+        }
+        
+        gpsLat = latitude.toString();
+        gpsLon = longitude.toString();
+        Object.assign(extra, {
+            'GPS距離': Math.round(distance),
+            'GPS重試': getLiffRetryCount(retryKey),
+            '符合位置': matched.name,
+            'GPS精度': Math.round(accuracy)
         });
     }
     
-    // 不限制 GPS（線上課程），直接簽到
-    const startTime = session.get('開始時間');
-    const lateMinutes = parseInt(course.get('遲到標準')) || 10;
-    const now = new Date();
-    const [startHour, startMin] = (startTime || '08:00').split(':').map(Number);
-    const startDate = new Date();
-    startDate.setHours(startHour, startMin, 0, 0);
-    
-    const diffMinutes = Math.floor((now - startDate) / 60000);
-    const status = diffMinutes > lateMinutes ? '遲到' : '已報到';
-    
     const result = await recordAttendance(
         actualSessionId,
         student.get('學號'),
-        status,
-        diffMinutes > lateMinutes ? diffMinutes : 0,
-        '', ''
+        checkinWindow.status,
+        checkinWindow.lateMinutes,
+        gpsLat,
+        gpsLon,
+        true,
+        extra
     );
-    
-    if (result.success) {
-        const emoji = status === '已報到' ? '✅' : '⚠️';
-        let msg = `${emoji} 簽到成功！\n\n📚 課程：${course.get('科目')}\n👤 學生：${student.get('姓名')}\n✨ 狀態：${status}`;
-        if (status === '遲到') {
-            msg += `\n⏰ 遲到 ${diffMinutes} 分鐘`;
-        }
-        return replyText(event, msg);
-    } else {
-        return replyText(event, `❌ 簽到失敗：${result.message}`);
+    liffRetryCounts.delete(retryKey);
+    if (!result.success) {
+        return { success: false, code: 409, message: `${result.message}\n狀態：${result.status}` };
     }
+    
+    let message = `📚 課程：${course.get('科目')}\n👤 學生：${student.get('姓名')}\n✨ 狀態：${result.status}`;
+    if (extra['符合位置']) message += `\n📍 位置：${extra['符合位置']}`;
+    message += describeLateness(result);
+    if (result.periods) {
+        message += `\n📖 ${describePeriodStatuses(result.periods)}`;
+    }
+    // 教室有座位配置時，簽到頁接著顯示座位圖讓學生選擇
+    const seatLayout = getCourseSeatLayout(course, locations);
+    return { success: true, status: result.status, message, sessionId: actualSessionId, seatLayout };
 }
 
 /**
- * 處理簽到請求（舊版相容 - 直接簽到）
+ * 處理 Postback
  */
-async function handleCheckinRequest(event, userId, text) {
-    const student = await getStudent(userId);
-    if (!student) {
-        return replyText(event, '❌ 您尚未註冊！\n\n請先輸入「註冊」綁定學號。');
+async function handlePostback(event, userId, userName) {
+    const data = event.postback.data;
+    const params = new URLSearchParams(data);
+    const action = params.get('action');
+    
+    if (action === 'selectClass') {
+        const className = params.get('class');
+        const state = await getUserState(userId);
+        if (state && state.step === 'className') {
+            const result = await registerStudent(
+                userId, 
+                userName, 
+                state.studentId, 
+                state.studentName, 
+                className
+            );
+            await clearUserState(userId);
+            
+            if (result.success) {
+                return replyText(event, `🎉 註冊成功！\n\n📋 您的資料：\n學號：${state.studentId}\n姓名：${state.studentName}\n班級：${className}\n\n現在可以使用簽到功能了！`);
+            }
+            return replyText(event, `❌ ${result.message}`);
+        }
     }
     
-    // 解析簽到碼
-    const parts = text.replace('簽到:', '').split('|');
-    if (parts.length < 2) {
-        return replyText(event, '❌ 無效的簽到碼！');
+    if (action === 'checkout') {
+        return handleCheckoutConfirm(event, userId, params);
     }
     
-    const [courseId, sessionId] = parts;
+    if (action === 'rollCall') {
+        return handleRollCallMark(event, userId, params);
+    }
     
-    const course = await getCourse(courseId);
-    if (!course) {
-        return replyText(event, '❌ 找不到此課程！');
+    if (action === 'seatRow') {
+        return handleSeatRowPostback(event, userId, params);
     }
     
-    let session = await getTodaySession(courseId);
-    if (!session) {
-        const sessionSheet = await getOrCreateSheet('簽到活動', [
-            '活動ID', '課程ID', '日期', '開始時間', '結束時間', 'QR碼內容', '狀態'
-        ]);
-        const rows = await sessionSheet.getRows();
-        session = rows.find(r => r.get('活動ID') === sessionId && r.get('狀態') !== '已結束');
+    if (action === 'seat') {
+        return handleSeatPostback(event, userId, params);
     }
     
-    if (!session) {
-        return replyText(event, '❌ 此簽到活動已結束或不存在！');
+    return null;
+}
+
+// ===== 班級 LINE 群組 =====
+// 把 Bot 邀請進班級的 LINE 群組後，已綁定的教師在群組輸入「綁定班級 班級代碼」連結班級，
+// 之後上課提醒改為在群組發一則訊息；簽到按鈕會開啟與 Bot 的私訊（或 LIFF 簽到頁），簽到仍在私訊完成
+// 群組中只回應群組指令，其他訊息一律不處理
+
+/**
+ * 取得班級連結的 LINE 群組
+ */
+async function getClassGroups(classCode) {
+    const sheet = doc.sheetsByTitle['班級群組'];
+    if (!sheet) return [];
+    return (await sheet.getRows()).filter(r => r.get('班級代碼') === classCode);
+}
+
+/**
+ * 推播訊息到班級的 LINE 群組
+ * @returns {Promise<number>} 成功發送的群組數（0 表示班級沒有連結群組或全部發送失敗，呼叫端改為私訊學生）
+ */
+async function pushToClassGroups(classCode, message) {
+    let sent = 0;
+    for (const group of await getClassGroups(classCode)) {
+        try {
+            await lineClient.pushMessage(group.get('群組ID'), message);
+            sent++;
+        } catch (e) {
+            console.error(`發送群組訊息失敗 ${group.get('群組ID')}:`, e.message);
+        }
     }
+    return sent;
+}
+
+/**
+ * 處理群組中的事件
+ */
+async function handleGroupEvent(event) {
+    const groupId = event.source.groupId;
     
-    const actualSessionId = session.get('活動ID');
+    if (event.type === 'join') {
+        return replyText(event, '👋 大家好！我是簽到小幫手\n\n請老師在群組輸入「綁定班級 班級代碼」，之後上課提醒會發到這個群組。\n\n簽到、請假等功能請私訊我使用。');
+    }
+    if (event.type === 'leave') {
+        const removed = await unlinkGroup(groupId);
+        if (removed) console.log(`👋 Bot 已離開群組 ${groupId}，解除班級 ${removed} 連結`);
+        return null;
+    }
+    if (event.type !== 'message' || event.message.type !== 'text') {
+        return null;
+    }
     
-    const existingRecord = await checkExistingAttendance(actualSessionId, student.get('學號'));
-    if (existingRecord) {
-        return replyText(event, `✅ 您已經簽到過了！\n\n📚 課程：${course.get('科目')}\n⏰ 簽到時間：${existingRecord.get('簽到時間')}`);
+    const text = event.message.text.trim();
+    if (text.startsWith('綁定班級')) {
+        return handleGroupLink(event, groupId, text.slice('綁定班級'.length).trim());
+    }
+    if (text === '解除班級綁定') {
+        const teacher = event.source.userId ? await getTeacher(event.source.userId) : null;
+        if (!teacher) {
+            return replyText(event, '❌ 只有已綁定的教師可以解除班級綁定。');
+        }
+        const removed = await unlinkGroup(groupId);
+        return replyText(event, removed ? `✅ 已解除與班級 ${removed} 的連結，上課提醒將改為私訊學生。` : 'ℹ️ 此群組尚未綁定班級。');
+    }
+    return null;
+}
+
+/**
+ * 在群組中綁定班級（只有已綁定的教師可以操作，同一群組只對應一個班級）
+ */
+async function handleGroupLink(event, groupId, classCode) {
+    if (!classCode) {
+        return replyText(event, '❌ 請輸入班級代碼\n\n格式：綁定班級 801');
+    }
+    const teacher = event.source.userId ? await getTeacher(event.source.userId) : null;
+    if (!teacher) {
+        return replyText(event, '❌ 只有已綁定的教師可以綁定班級。\n\n教師請先私訊我「教師綁定 綁定碼」。');
+    }
+    const targetClass = (await getClasses()).find(c => c.code === classCode);
+    if (!targetClass) {
+        return replyText(event, `❌ 找不到班級「${classCode}」！`);
     }
     
-    // 舊版直接簽到（不需要 GPS）
-    const startTime = session.get('開始時間');
-    const lateMinutes = parseInt(course.get('遲到標準')) || 10;
-    const now = new Date();
-    const [startHour, startMin] = (startTime || '08:00').split(':').map(Number);
-    const startDate = new Date();
-    startDate.setHours(startHour, startMin, 0, 0);
+    let groupName = '';
+    try {
+        groupName = (await lineClient.getGroupSummary(groupId)).groupName || '';
+    } catch (e) {
+        // 無法取得群組名稱，不影響綁定
+    }
     
-    const diffMinutes = Math.floor((now - startDate) / 60000);
-    const status = diffMinutes > lateMinutes ? '遲到' : '已報到';
+    await runExclusive('groups', async () => {
+        const sheet = await getOrCreateSheet('班級群組');
+        const row = (await sheet.getRows()).find(r => r.get('群組ID') === groupId);
+        const values = {
+            '班級代碼': targetClass.code,
+            '群組名稱': groupName,
+            '綁定教師': teacher.get('姓名'),
+            '綁定時間': formatDateTime(new Date())
+        };
+        if (row) {
+            row.assign(values);
+            await row.save();
+        } else {
+            await sheet.addRow({ '群組ID': groupId, ...values });
+        }
+    });
     
-    const result = await recordAttendance(
-        actualSessionId,
-        student.get('學號'),
-        status,
-        diffMinutes > lateMinutes ? diffMinutes : 0,
-        '', ''
-    );
+    console.log(`👥 群組 ${groupId} 已綁定班級 ${targetClass.code}（${teacher.get('姓名')}）`);
+    return replyText(event, `✅ 已綁定班級 ${targetClass.code} ${targetClass.name}\n\n上課提醒會發到這個群組，同學點「點我簽到」會開啟與我的私訊完成簽到。\n\n還沒註冊的同學請先私訊我「註冊」。`);
+}
+
+/**
+ * 解除群組與班級的連結
+ * @returns {Promise<string|null>} 原本連結的班級代碼
+ */
+async function unlinkGroup(groupId) {
+    return runExclusive('groups', async () => {
+        const sheet = doc.sheetsByTitle['班級群組'];
+        if (!sheet) return null;
+        const row = (await sheet.getRows()).find(r => r.get('群組ID') === groupId);
+        if (!row) return null;
+        const classCode = row.get('班級代碼');
+        await row.delete();
+        return classCode;
+    });
+}
+
+// ===== 教師點名 =====
+
+// 教師點名可標記的狀態（按鈕範本最多 4 個按鈕）
+const ROLL_CALL_STATUSES = ['已報到', '遲到', '請假', '缺席'];
+// 一次回覆最多 5 則訊息：1 則說明 + 每位學生 1 則按鈕範本
+const ROLL_CALL_BATCH = 4;
+
+/**
+ * 教師綁定 LINE 帳號（「教師綁定 綁定碼」，綁定碼由管理後台產生）
+ * 綁定碼只能使用一次且有期限，輸入錯誤太多次時暫停（與簽到碼相同限制）
+ */
+async function handleTeacherBind(event, userId, userName, code) {
+    if (!code) {
+        return replyText(event, '❌ 請輸入綁定碼\n\n格式：教師綁定 123456');
+    }
     
-    if (result.success) {
-        const emoji = status === '已報到' ? '✅' : '⚠️';
-        let msg = `${emoji} 簽到成功！\n\n📚 課程：${course.get('科目')}\n👤 學生：${student.get('姓名')}\n✨ 狀態：${status}`;
-        if (status === '遲到') {
-            msg += `\n⏰ 遲到 ${diffMinutes} 分鐘`;
+    const now = Date.now();
+    const lockedUntil = getInputLock(teacherBindFailures, userId, now);
+    if (lockedUntil) {
+        return replyText(event, `🚫 綁定碼輸入錯誤太多次！\n\n請在 ${formatClock(lockedUntil)} 後再試。`);
+    }
+    
+    const result = await runExclusive('teachers', async () => {
+        const sheet = await getOrCreateSheet('教師名單');
+        const rows = await sheet.getRows();
+        if (rows.some(r => r.get('LINE_ID') === userId)) {
+            return { success: false, message: '此 LINE 帳號已綁定教師身分。' };
         }
-        return replyText(event, msg);
-    } else {
-        return replyText(event, `❌ 簽到失敗：${result.message}`);
+        const teacher = rows.find(r => r.get('綁定碼') && r.get('綁定碼') === code);
+        if (!teacher) {
+            return { success: false, invalid: true, message: '綁定碼錯誤或已使用，請向管理員確認。' };
+        }
+        // 沒有期限的舊綁定碼也視為過期
+        if (!(new Date(teacher.get('綁定碼期限')).getTime() > now)) {
+            return { success: false, message: '綁定碼已過期，請向管理員重新產生綁定碼。' };
+        }
+        teacher.set('LINE_ID', userId);
+        teacher.set('綁定碼', '');
+        teacher.set('綁定碼期限', '');
+        teacher.set('綁定時間', formatDateTime(new Date(now)));
+        await teacher.save();
+        return { success: true, name: teacher.get('姓名') };
+    });
+    
+    if (!result.success) {
+        if (result.invalid) {
+            const remaining = recordInputFailure(teacherBindFailures, userId, now);
+            console.log('🚫 教師綁定碼錯誤:', userId, `剩餘 ${remaining} 次`);
+            if (remaining === 0) {
+                return replyText(event, `🚫 綁定碼輸入錯誤太多次！\n\n請在 ${CHECKIN_CODE_LOCK_MINUTES} 分鐘後再試。`);
+            }
+            return replyText(event, `❌ ${result.message}（還可以再試 ${remaining} 次）`);
+        }
+        return replyText(event, `❌ ${result.message}`);
     }
+    teacherBindFailures.delete(userId);
+    console.log(`👩‍🏫 教師 ${result.name} 已綁定 LINE（${userName}）`);
+    return replyText(event, `✅ 綁定成功！\n\n👩‍🏫 ${result.name} 您好\n\n上課時輸入「點名」即可標記尚未簽到的學生。`);
+}
+
+/**
+ * 找出教師目前的點名活動：今天進行中、課程教師為該教師的活動，
+ * 有多堂時取已開始中最晚開始的一堂（都還沒開始則取最早的一堂）
+ */
+async function findTeacherSession(teacher, now = new Date()) {
+    const courseSheet = doc.sheetsByTitle['課程列表'];
+    const sessionSheet = doc.sheetsByTitle['簽到活動'];
+    if (!courseSheet || !sessionSheet) return null;
+    
+    const name = (teacher.get('姓名') || '').trim();
+    const courses = (await courseSheet.getRows()).filter(c => (c.get('教師') || '').trim() === name);
+    if (courses.length === 0) return null;
+    
+    const today = toDateString(now);
+    const candidates = (await sessionSheet.getRows())
+        .filter(s => s.get('狀態') === '進行中' && s.get('日期') === today)
+        .filter(s => courses.some(c => c.get('課程ID') === s.get('課程ID')))
+        .sort((a, b) => (a.get('開始時間') || '').localeCompare(b.get('開始時間') || ''));
+    if (candidates.length === 0) return null;
+    
+    const started = candidates.filter(s => minutesSince(today, s.get('開始時間') || '00:00', now) >= 0);
+    const session = started.length > 0 ? started[started.length - 1] : candidates[0];
+    const course = courses.find(c => c.get('課程ID') === session.get('課程ID'));
+    return { session, course };
+}
+
+/**
+ * 取得活動中尚未有簽到紀錄的學生
+ */
+async function getRollCallPending(session, course) {
+    const studentSheet = doc.sheetsByTitle['學生名單'];
+    if (!studentSheet) return [];
+    
+    const memberIds = await getClassStudentIds(course.get('班級'), { date: session.get('日期') });
+    const recordSheet = doc.sheetsByTitle['簽到紀錄'];
+    const records = recordSheet ? await recordSheet.getRows() : [];
+    const recorded = new Set(records
+        .filter(r => r.get('活動ID') === session.get('活動ID'))
+        .map(r => r.get('學號')));
+    
+    return (await studentSheet.getRows())
+        .filter(s => memberIds.has(s.get('學號')) && !recorded.has(s.get('學號')))
+        .sort((a, b) => a.get('學號').localeCompare(b.get('學號')));
 }
 
 /**
- * 處理位置訊息
+ * 回覆點名清單（每位未簽到學生一則按鈕範本，一次最多 ROLL_CALL_BATCH 位）
  */
-async function handleLocation(event, userId) {
-    const state = userStates.get(userId);
-    if (!state || state.step !== 'waitingLocation') {
-        return replyText(event, '❌ 請先掃描簽到 QR Code！');
+async function replyRollCall(event, userId, notice = '') {
+    const teacher = await getTeacher(userId);
+    if (!teacher) {
+        return replyText(event, '❌ 此指令僅限教師使用。\n\n請向管理員索取綁定碼，輸入「教師綁定 綁定碼」完成綁定。');
     }
     
-    const { latitude, longitude } = event.message;
-    const student = await getStudent(userId);
-    
-    if (!student) {
-        userStates.delete(userId);
-        return replyText(event, '❌ 找不到您的學生資料！\n\n請先輸入「註冊」綁定學號。');
+    const found = await findTeacherSession(teacher);
+    if (!found || !found.course) {
+        return replyText(event, (notice ? notice + '\n\n' : '') + '📋 目前沒有進行中的課堂可以點名。');
     }
+    const { session, course } = found;
+    const pending = await getRollCallPending(session, course);
+    const header = `📋 點名：${course.get('科目')}\n📅 ${session.get('日期')} ${session.get('開始時間')}`;
     
-    // 每次都重新讀取課程設定（確保使用最新的簽到範圍）
-    const course = await getCourse(state.courseId);
-    if (!course) {
-        userStates.delete(userId);
-        return replyText(event, '❌ 課程不存在！');
+    if (pending.length === 0) {
+        return replyText(event, (notice ? notice + '\n\n' : '') + `${header}\n\n✅ 所有學生都已有簽到紀錄。`);
     }
     
-    // 重新讀取最新的簽到設定
-    const classroomLat = parseFloat(course.get('教室緯度')) || state.classroomLat;
-    const classroomLon = parseFloat(course.get('教室經度')) || state.classroomLon;
-    const rawRadius = course.get('簽到範圍');
-    const checkRadius = rawRadius !== '' && rawRadius !== undefined && rawRadius !== null ? parseInt(rawRadius) : state.checkRadius;
-    
-    console.log('位置驗證 - 最新設定:', { courseId: state.courseId, checkRadius, rawRadius });
-    
-    // 計算距離
-    const distance = calculateDistance(
-        latitude, longitude,
-        classroomLat, classroomLon
-    );
-    
-    // 使用最新的設定範圍
-    const allowedRadius = checkRadius;
-    
-    // 檢查是否在範圍內
-    if (distance > allowedRadius) {
-        // 不刪除狀態，允許重試
-        state.retryCount = (state.retryCount || 0) + 1;
-        
-        // 最多重試 3 次
-        if (state.retryCount >= 3) {
-            userStates.delete(userId);
-            return replyText(event, 
-                `🚫 簽到失敗！\n\n已重試 ${state.retryCount} 次仍不在範圍內。\n📍 您的位置距離：${Math.round(distance)} 公尺\n📏 允許範圍：${allowedRadius} 公尺\n\n💡 建議：\n1. 到戶外或窗邊重新定位\n2. 聯繫老師使用現場 QR Code 簽到`
-            );
-        }
-        
-        // 允許重試
-        return lineClient.replyMessage(event.replyToken, {
+    const batch = pending.slice(0, ROLL_CALL_BATCH);
+    return lineClient.replyMessage(event.replyToken, [
+        {
+            type: 'text',
+            text: (notice ? notice + '\n\n' : '') + `${header}\n\n尚未簽到 ${pending.length} 人` +
+                (pending.length > batch.length ? `（先顯示前 ${batch.length} 位，標記後會顯示下一批）` : '')
+        },
+        ...batch.map(student => ({
             type: 'template',
-            altText: '📍 位置驗證失敗，請重試',
+            altText: `點名：${student.get('姓名')}（${student.get('學號')}）`,
             template: {
                 type: 'buttons',
-                title: '📍 位置不在範圍內',
-                text: `您的距離：${Math.round(distance)} 公尺\n允許範圍：${allowedRadius} 公尺\n\n請移動到教室範圍內重試`,
-                actions: [
-                    {
-                        type: 'uri',
-                        label: '🔄 重新傳送位置',
-                        uri: 'https://line.me/R/nv/location'
-                    }
-                ]
+                title: student.get('姓名').slice(0, 40),
+                text: `學號：${student.get('學號')}`,
+                actions: ROLL_CALL_STATUSES.map(status => ({
+                    type: 'postback',
+                    label: status,
+                    data: `action=rollCall&session=${session.get('活動ID')}&student=${student.get('學號')}&status=${status}`
+                }))
             }
-        });
+        }))
+    ]);
+}
+
+/**
+ * 處理點名按鈕：以 recordAttendance() 寫入紀錄，並回覆更新後的清單
+ */
+async function handleRollCallMark(event, userId, params) {
+    const teacher = await getTeacher(userId);
+    if (!teacher) {
+        return replyText(event, '❌ 此操作僅限教師使用。');
     }
     
-    // 計算是否遲到
-    const now = new Date();
-    const [startHour, startMin] = (state.startTime || '08:00').split(':').map(Number);
-    const startDate = new Date();
-    startDate.setHours(startHour, startMin, 0, 0);
-    
-    const diffMinutes = Math.floor((now - startDate) / 60000);
-    let status = '已報到';
-    let lateMinutes = 0;
+    const sessionId = params.get('session');
+    const studentId = params.get('student');
+    const status = params.get('status');
+    if (!ROLL_CALL_STATUSES.includes(status)) {
+        return replyText(event, '❌ 無效的點名狀態。');
+    }
     
-    if (diffMinutes > state.lateMinutes) {
-        status = '遲到';
-        lateMinutes = diffMinutes;
+    const sessionSheet = await getOrCreateSheet('簽到活動');
+    const session = (await sessionSheet.getRows()).find(s => s.get('活動ID') === sessionId);
+    const course = session ? await getCourse(session.get('課程ID')) : null;
+    if (!course || (course.get('教師') || '').trim() !== (teacher.get('姓名') || '').trim()) {
+        return replyText(event, '❌ 找不到此課堂，或您不是此課程的授課教師。');
+    }
+    if (session.get('狀態') !== '進行中') {
+        return replyText(event, '❌ 此課堂已結束，請至管理後台修改紀錄。');
     }
     
-    // 記錄簽到
-    const result = await recordAttendance(
-        state.sessionId,
-        student.get('學號'),
-        status,
-        lateMinutes,
-        latitude.toString(),
-        longitude.toString()
-    );
+    const lateMinutes = status === '遲到'
+        ? Math.max(0, minutesSince(session.get('日期'), session.get('開始時間') || '00:00'))
+        : 0;
+    const result = await recordAttendance(sessionId, studentId, status, lateMinutes, '', '', true, {
+        '備註': `教師點名（${teacher.get('姓名')}）`
+    }, { manual: true });
+    
+    const notice = result.success
+        ? `✅ 已將 ${studentId} 標記為${status}`
+        : `⚠️ ${studentId} 未標記：${result.status ? `已有紀錄（${result.status}）` : result.message}`;
+    return replyRollCall(event, userId, notice);
+}
+
+// ===== 補簽申請 =====
+// 學生被記缺席時，可在 LINE 輸入「補簽」選擇最近的課堂、填寫原因並附上照片，
+// 申請存在「補簽申請」工作表，教師在管理後台核准後才修改簽到紀錄
+
+// 可申請補簽的天數與一次列出的課堂數
+const MAKEUP_LOOKBACK_DAYS = 14;
+const MAKEUP_MAX_CHOICES = 10;
+const MAKEUP_STATUSES = ['待審核', '已核准', '已駁回'];
+
+/**
+ * 取得學生最近可申請補簽的課堂（缺席且沒有待審核的申請），新的在前
+ * @returns {Promise<Array<{ recordId: string, sessionId: string, date: string, subject: string, startTime: string }>>}
+ */
+async function getMakeupCandidates(studentId) {
+    const recordSheet = doc.sheetsByTitle['簽到紀錄'];
+    const sessionSheet = doc.sheetsByTitle['簽到活動'];
+    if (!recordSheet || !sessionSheet) return [];
     
-    userStates.delete(userId);
+    const makeupSheet = await getOrCreateSheet('補簽申請');
+    const pendingRecordIds = new Set((await makeupSheet.getRows())
+        .filter(r => r.get('學號') === studentId && r.get('狀態') === '待審核')
+        .map(r => r.get('紀錄ID')));
     
-    if (!result.success) {
-        return replyText(event, `ℹ️ ${result.message}\n\n狀態：${result.status}`);
+    const sessions = await sessionSheet.getRows();
+    const courses = await (await getOrCreateSheet('課程列表')).getRows();
+    const since = addDays(getTodayString(), -MAKEUP_LOOKBACK_DAYS);
+    
+    return (await recordSheet.getRows())
+        .filter(r => r.get('學號') === studentId && r.get('狀態') === '缺席' && !pendingRecordIds.has(getRecordId(r)))
+        .map(r => {
+            const session = sessions.find(s => s.get('活動ID') === r.get('活動ID'));
+            if (!session || session.get('日期') < since) return null;
+            const course = courses.find(c => c.get('課程ID') === session.get('課程ID'));
+            return {
+                recordId: getRecordId(r),
+                sessionId: session.get('活動ID'),
+                date: session.get('日期'),
+                subject: course ? course.get('科目') : session.get('課程ID'),
+                startTime: session.get('開始時間') || ''
+            };
+        })
+        .filter(c => c)
+        .sort((a, b) => `${b.date} ${b.startTime}`.localeCompare(`${a.date} ${a.startTime}`))
+        .slice(0, MAKEUP_MAX_CHOICES);
+}
+
+function replyMakeupChoices(event, choices) {
+    const list = choices.map((c, i) => `${i + 1}. ${c.date} ${c.startTime} ${c.subject}`).join('\n');
+    return replyText(event, `📝 補簽申請\n\n請輸入要補簽的課堂編號：\n\n${list}\n\n輸入「取消」取消補簽`);
+}
+
+/**
+ * 開始補簽流程
+ */
+async function startMakeupRequest(event, userId, student) {
+    const choices = await getMakeupCandidates(student.get('學號'));
+    if (choices.length === 0) {
+        return replyText(event, `📝 補簽申請\n\n最近 ${MAKEUP_LOOKBACK_DAYS} 天沒有可申請補簽的缺席紀錄（已送出的申請請等待老師審核）。`);
+    }
+    await setUserState(userId, { flow: 'makeup', step: 'makeupSession', choices });
+    return replyMakeupChoices(event, choices);
+}
+
+/**
+ * 處理補簽流程
+ */
+async function handleMakeupFlow(event, userId, text, state) {
+    const student = await getStudent(userId);
+    if (!student) {
+        await clearUserState(userId);
+        return replyText(event, '❌ 您尚未註冊！\n\n請輸入「註冊」開始綁定學號。');
     }
     
-    // 簽到成功訊息
-    let message = '';
-    if (status === '已報到') {
-        message = `✅ 簽到成功！\n\n📚 課程：${state.courseName}\n⏰ 時間：${formatDateTime(now)}\n📍 距離教室：${Math.round(distance)} 公尺\n✨ 狀態：準時報到\n\n繼續保持！💪`;
-    } else {
-        message = `⚠️ 簽到成功（遲到）\n\n📚 課程：${state.courseName}\n⏰ 時間：${formatDateTime(now)}\n📍 距離教室：${Math.round(distance)} 公尺\n⏰ 遲到 ${lateMinutes} 分鐘\n\n下次請準時到達！`;
+    if (text === '取消' || text === '取消補簽') {
+        await clearUserState(userId);
+        return replyText(event, '❌ 已取消補簽申請。');
     }
     
-    return replyText(event, message);
+    switch (state.step) {
+        case 'makeupSession': {
+            const choice = state.choices[parseInt(text) - 1];
+            if (!choice) {
+                return replyText(event, `❌ 請輸入 1 到 ${state.choices.length} 的編號\n\n輸入「取消」取消補簽`);
+            }
+            await setUserState(userId, { ...state, step: 'makeupReason', choice });
+            return replyText(event, `課程：${choice.date} ${choice.subject} ✓\n\n請輸入補簽原因：\n\n輸入「取消」取消補簽`);
+        }
+        
+        case 'makeupReason':
+            await setUserState(userId, { ...state, step: 'makeupPhoto', reason: text });
+            return replyText(event, `原因：${text} ✓\n\n📷 如有佐證照片請直接傳送照片，沒有請輸入「略過」\n\n輸入「取消」取消補簽`);
+        
+        case 'makeupPhoto':
+            if (text !== '略過') {
+                return replyText(event, '📷 請傳送照片，沒有照片請輸入「略過」\n\n輸入「取消」取消補簽');
+            }
+            return submitMakeupRequest(event, userId, student, state, '');
+    }
 }
 
 /**
- * 處理 Postback
+ * 補簽流程收到佐證照片
  */
-async function handlePostback(event, userId, userName) {
-    const data = event.postback.data;
-    const params = new URLSearchParams(data);
-    const action = params.get('action');
+async function handleMakeupPhoto(event, userId, state) {
+    const student = await getStudent(userId);
+    if (!student) {
+        await clearUserState(userId);
+        return replyText(event, '❌ 您尚未註冊！\n\n請輸入「註冊」開始綁定學號。');
+    }
     
-    if (action === 'selectClass') {
-        const className = params.get('class');
-        const state = userStates.get(userId);
-        if (state && state.step === 'className') {
-            const result = await registerStudent(
-                userId, 
-                userName, 
-                state.studentId, 
-                state.studentName, 
-                className
-            );
-            userStates.delete(userId);
+    let photo;
+    try {
+        photo = await savePhoto(await lineClient.getMessageContent(event.message.id), `M${student.get('學號')}`);
+    } catch (e) {
+        console.error('儲存補簽照片失敗:', e.message);
+        return replyText(event, '❌ 照片儲存失敗，請重新傳送，或輸入「略過」不附照片。');
+    }
+    return submitMakeupRequest(event, userId, student, state, photo);
+}
+
+/**
+ * 送出補簽申請
+ */
+async function submitMakeupRequest(event, userId, student, state, photo) {
+    const { choice, reason } = state;
+    try {
+        const created = await runExclusive('makeups', async () => {
+            const sheet = await getOrCreateSheet('補簽申請');
+            const duplicate = (await sheet.getRows()).some(r => r.get('紀錄ID') === choice.recordId && r.get('狀態') === '待審核');
+            if (duplicate) return false;
             
-            if (result.success) {
-                return replyText(event, `🎉 註冊成功！\n\n📋 您的資料：\n學號：${state.studentId}\n姓名：${state.studentName}\n班級：${className}\n\n現在可以使用簽到功能了！`);
-            }
-            return replyText(event, `❌ ${result.message}`);
+            await sheet.addRow({
+                '申請ID': 'M' + Date.now(),
+                '學號': student.get('學號'),
+                '姓名': student.get('姓名'),
+                '班級': student.get('班級'),
+                '活動ID': choice.sessionId,
+                '紀錄ID': choice.recordId,
+                '科目': choice.subject,
+                '日期': choice.date,
+                '原因': reason,
+                '照片': photo,
+                '狀態': '待審核',
+                '申請時間': formatDateTime(new Date()),
+                '審核時間': '',
+                '審核備註': ''
+            });
+            return true;
+        });
+        
+        await clearUserState(userId);
+        if (!created) {
+            return replyText(event, 'ℹ️ 這堂課已經有待審核的補簽申請，請等待老師審核。');
         }
+        return replyText(event, `✅ 補簽申請已送出！\n\n📋 申請內容：\n課程：${choice.date} ${choice.subject}\n原因：${reason}\n照片：${photo ? '已附上' : '無'}\n\n請等待老師審核。`);
+    } catch (e) {
+        console.error('補簽申請失敗:', e);
+        await clearUserState(userId);
+        return replyText(event, '❌ 補簽申請失敗，請稍後再試。');
     }
-    
-    return null;
 }
 
 // ===== 回覆訊息函數 =====
@@ -1295,12 +4028,86 @@ function replyClassSelection(event, classes, studentName) {
     });
 }
 
+/**
+ * 詢問要繼續還是取消未完成的流程
+ */
+function replyResumePrompt(event, state) {
+    const flow = CONVERSATION_FLOWS[state.flow];
+    return lineClient.replyMessage(event.replyToken, {
+        type: 'text',
+        text: `⏸️ 您有尚未完成的「${flow.name}」\n\n要繼續還是取消？`,
+        quickReply: {
+            items: ['繼續', '取消'].map(label => ({
+                type: 'action',
+                action: { type: 'message', label, text: label }
+            }))
+        }
+    });
+}
+
+/**
+ * 繼續流程時，重新提示目前這一步要輸入的內容
+ */
+async function replyFlowPrompt(event, state) {
+    switch (state.step) {
+        case 'studentId':
+            return replyText(event, '📝 繼續註冊\n\n請輸入您的【學號】：');
+        case 'studentName':
+            return replyText(event, `學號：${state.studentId} ✓\n\n請輸入您的【姓名】：`);
+        case 'className': {
+            const classes = await getClasses();
+            if (classes.length > 0) {
+                return replyClassSelection(event, classes, state.studentName);
+            }
+            return replyText(event, `姓名：${state.studentName} ✓\n\n請輸入您的【班級】（例如：801、802）：`);
+        }
+        case 'confirmUnbind':
+            return replyText(event, `⚠️ 確認解除綁定？\n\n學號：${state.studentId}\n\n輸入「確認」解除綁定，或輸入其他文字取消。`);
+        case 'addNewClass':
+            return replyText(event, '📝 加入新班級\n\n請輸入要加入的【班級代碼】：');
+        case 'removeClass':
+            return replyText(event, '📝 退出班級\n\n您目前的班級：\n' + state.currentClasses.join('、') + '\n\n請輸入要退出的【班級代碼】：');
+        case 'leaveDate':
+            return replyText(event, '📋 請假申請\n\n請輸入請假日期\n格式：YYYY-MM-DD\n例如：2025-01-02');
+        case 'leavePeriod':
+            return replyText(event, `日期：${state.leaveDate} ✓\n\n請輸入請假節次\n例如：1 或 1-3 或 1,2,3\n\n輸入「取消」取消請假`);
+        case 'leaveType':
+            return replyText(event, `節次：${state.leavePeriod} ✓\n\n請選擇請假類型\n輸入數字：\n1. 事假\n2. 病假\n3. 公假\n4. 喪假\n5. 其他\n\n輸入「取消」取消請假`);
+        case 'leaveReason':
+            return replyText(event, `類型：${state.leaveType} ✓\n\n請輸入請假原因：\n\n輸入「取消」取消請假`);
+        case 'makeupSession':
+            return replyMakeupChoices(event, state.choices);
+        case 'makeupReason':
+            return replyText(event, `課程：${state.choice.date} ${state.choice.subject} ✓\n\n請輸入補簽原因：\n\n輸入「取消」取消補簽`);
+        case 'makeupPhoto':
+            return replyText(event, '📷 如有佐證照片請直接傳送照片，沒有請輸入「略過」\n\n輸入「取消」取消補簽');
+        case 'waitingLocation':
+            return replyLocationRequest(event, state.courseName);
+        case 'waitingPhoto':
+            return replyText(event, `📷 請在 ${formatClock(new Date(state.photoDeadline))} 前傳送一張自拍照完成「${state.courseName}」${state.checkout ? '簽退' : '簽到'}\n\n輸入「取消」取消${state.checkout ? '簽退' : '簽到'}`);
+        default:
+            return replyText(event, '請依照上一則訊息的指示繼續操作。');
+    }
+}
+
 async function replyStudentInfo(event, student) {
+    // 剛簽到還在等待重算時先更新，查到的統計才會包含這次簽到
+    if (pendingStatistics.delete(student.get('學號'))) {
+        try {
+            await refreshStudentStatistics(student.get('學號'));
+        } catch (e) {
+            // 重算失敗時仍顯示目前的統計，之後由批次重算補上
+            console.error('更新出席統計錯誤:', e);
+            queueStatisticsRefresh(student.get('學號'));
+        }
+    }
     const statsSheet = doc.sheetsByTitle['出席統計'];
     let stats = null;
+    let courseStats = [];
     if (statsSheet) {
-        const rows = await statsSheet.getRows();
-        stats = rows.find(row => row.get('學號') === student.get('學號'));
+        const rows = (await statsSheet.getRows()).filter(row => row.get('學號') === student.get('學號'));
+        stats = rows.find(row => !row.get('課程ID'));
+        courseStats = rows.filter(row => row.get('課程ID'));
     }
     
     let message = `📋 學生資料\n\n`;
@@ -1313,10 +4120,24 @@ async function replyStudentInfo(event, student) {
         message += `\n📊 出席統計\n`;
         message += `✅ 出席：${stats.get('出席次數')} 次\n`;
         message += `⚠️ 遲到：${stats.get('遲到次數')} 次\n`;
+        if (parseInt(stats.get('嚴重遲到次數')) > 0) {
+            message += `⏰ 嚴重遲到：${stats.get('嚴重遲到次數')} 次\n`;
+        }
         message += `❌ 缺席：${stats.get('缺席次數')} 次\n`;
+        if (parseInt(stats.get('早退次數')) > 0) {
+            message += `🚪 早退：${stats.get('早退次數')} 次\n`;
+        }
+        if (parseInt(stats.get('請假次數')) > 0) {
+            message += `📝 請假：${stats.get('請假次數')} 次\n`;
+        }
         message += `📈 出席率：${stats.get('出席率')}`;
     }
     
+    if (courseStats.length > 0) {
+        message += `\n\n📚 各課程出席率\n`;
+        message += courseStats.map(row => `• ${row.get('科目') || row.get('課程ID')}：${row.get('出席率')}`).join('\n');
+    }
+    
     return replyText(event, message);
 }
 
@@ -1338,10 +4159,14 @@ async function replyAttendanceStats(event, studentId) {
     let message = '📊 最近 10 筆簽到紀錄\n\n';
     records.forEach((record, index) => {
         const status = record.get('狀態');
-        const icon = status === '已報到' ? '✅' : status === '遲到' ? '⚠️' : '❌';
+        const icon = status === '已報到' ? '✅' : (status === '遲到' || status === '嚴重遲到') ? '⚠️' : status === '早退' ? '🚪' : '❌';
         message += `${icon} ${record.get('簽到時間')}\n`;
-        if (status === '遲到') {
-            message += `   遲到 ${record.get('遲到分鐘')} 分鐘\n`;
+        if (parseInt(record.get('遲到分鐘')) > 0) {
+            const tier = status === '嚴重遲到' ? '（嚴重遲到）' : status === '缺席' ? '（超過缺席門檻）' : '';
+            message += `   遲到 ${record.get('遲到分鐘')} 分鐘${tier}\n`;
+        }
+        if (status === '早退') {
+            message += `   早退${record.get('簽退時間') ? `（簽退 ${record.get('簽退時間')}）` : '（未簽退）'}\n`;
         }
     });
     
@@ -1355,14 +4180,20 @@ function replyHelp(event) {
         `• 我的資料 - 查看個人資訊\n` +
         `• 出席紀錄 - 最近簽到記錄\n` +
         `• 請假 - 線上請假申請\n` +
+        `• 補簽 - 被記缺席時申請補簽\n` +
         `• 解除綁定 - 解除 LINE 綁定\n\n` +
         `【班級管理】\n` +
         `• 我的班級 - 查看班級詳細資料\n` +
         `• 加入班級 - 加入新的班級\n` +
         `• 退出班級 - 退出指定班級\n` +
         `• 全部紀錄 - 所有班級出缺席統計\n\n` +
+        `【教師】\n` +
+        `• 教師綁定 綁定碼 - 綁定教師身分\n` +
+        `• 點名 - 標記目前課堂未簽到的學生\n\n` +
         `【簽到方式】\n` +
-        `掃描教師 QR Code → 分享位置 → 完成\n\n` +
+        `掃描教師 QR Code → 分享位置 → 完成\n` +
+        `螢幕顯示簽到碼時輸入「簽到 號碼」\n` +
+        `有座位的教室，簽到後輸入「座位 排-位」可更改座位\n\n` +
         `💡 一個學號可加入多個班級`;
     
     return replyText(event, message);
@@ -1375,33 +4206,25 @@ async function handleAddNewClass(event, userId, text, state) {
     const targetClass = allClasses.find(c => c.code === classCode || c.code.toUpperCase() === classCode.toUpperCase());
     
     if (!targetClass) {
-        userStates.delete(userId);
+        await clearUserState(userId);
         return replyText(event, '❌ 找不到班級「' + text + '」！\n\n請重新輸入「加入班級」。');
     }
     
     try {
-        await doc.loadInfo();
-        const studentSheet = doc.sheetsByTitle['學生名單'];
-        const rows = await studentSheet.getRows();
-        const studentRow = rows.find(r => r.get('學號') === state.studentId);
-        
-        if (studentRow) {
-            const currentClasses = (studentRow.get('班級') || '').split('、').map(c => c.trim()).filter(c => c);
-            if (currentClasses.includes(targetClass.code)) {
-                userStates.delete(userId);
-                return replyText(event, '❌ 您已在「' + targetClass.code + '」班級中！');
-            }
-            currentClasses.push(targetClass.code);
-            studentRow.set('班級', currentClasses.join('、'));
-            await studentRow.save();
-            userStates.delete(userId);
-            return replyText(event, '✅ 成功加入班級！\n\n🏫 ' + targetClass.code + ' - ' + targetClass.name + '\n\n📋 您的所有班級：\n' + currentClasses.join('、'));
+        const joined = await enrollStudent(state.studentId, targetClass.code);
+        if (!joined) {
+            await clearUserState(userId);
+            return replyText(event, '❌ 您已在「' + targetClass.code + '」班級中！');
         }
-        userStates.delete(userId);
-        return replyText(event, '❌ 找不到您的資料。');
+        await syncStudentClassField(state.studentId);
+        await updateClassCount(targetClass.code);
+        
+        const currentClasses = await getStudentClassCodes(state.studentId);
+        await clearUserState(userId);
+        return replyText(event, '✅ 成功加入班級！\n\n🏫 ' + targetClass.code + ' - ' + targetClass.name + '\n\n📋 您的所有班級：\n' + currentClasses.join('、'));
     } catch (e) {
         console.error('加入班級錯誤:', e);
-        userStates.delete(userId);
+        await clearUserState(userId);
         return replyText(event, '❌ 加入失敗: ' + e.message);
     }
 }
@@ -1410,35 +4233,30 @@ async function handleAddNewClass(event, userId, text, state) {
 async function handleRemoveClass(event, userId, text, state) {
     const classCode = text.trim();
     if (!state.currentClasses.includes(classCode)) {
-        userStates.delete(userId);
+        await clearUserState(userId);
         return replyText(event, '❌ 您不在「' + classCode + '」班級中！');
     }
     
     try {
-        await doc.loadInfo();
-        const studentSheet = doc.sheetsByTitle['學生名單'];
-        const rows = await studentSheet.getRows();
-        const studentRow = rows.find(r => r.get('學號') === state.studentId);
-        
-        if (studentRow) {
-            const newClasses = state.currentClasses.filter(c => c !== classCode);
-            studentRow.set('班級', newClasses.join('、'));
-            await studentRow.save();
-            userStates.delete(userId);
-            return replyText(event, '✅ 已退出班級「' + classCode + '」！\n\n📋 目前班級：\n' + newClasses.join('、'));
+        const left = await leaveClass(state.studentId, classCode);
+        await clearUserState(userId);
+        if (!left) {
+            return replyText(event, '❌ 操作失敗。');
         }
-        userStates.delete(userId);
-        return replyText(event, '❌ 操作失敗。');
+        await syncStudentClassField(state.studentId);
+        await updateClassCount(classCode);
+        
+        const newClasses = await getStudentClassCodes(state.studentId);
+        return replyText(event, '✅ 已退出班級「' + classCode + '」！\n\n📋 目前班級：\n' + newClasses.join('、'));
     } catch (e) {
-        userStates.delete(userId);
+        await clearUserState(userId);
         return replyText(event, '❌ 退出失敗: ' + e.message);
     }
 }
 
 // 回覆班級詳細資料
 async function replyClassDetails(event, student) {
-    const classesStr = student.get('班級') || '';
-    const studentClasses = classesStr.split('、').map(c => c.trim()).filter(c => c);
+    const studentClasses = await getStudentClassCodes(student.get('學號'));
     
     if (studentClasses.length === 0) {
         return replyText(event, '❌ 您尚未加入任何班級！\n\n請輸入「加入班級」。');
@@ -1493,27 +4311,186 @@ async function replyAllClassesAttendance(event, student) {
         return replyText(event, '📊 尚無簽到紀錄');
     }
     
-    let attend = 0, late = 0, absent = 0;
+    let attend = 0, late = 0, severeLate = 0, earlyLeave = 0, absent = 0;
     studentRecords.forEach(r => {
         const status = r.get('狀態');
         if (status === '已報到') attend++;
         else if (status === '遲到') late++;
+        else if (status === '嚴重遲到') severeLate++;
+        else if (status === '早退') earlyLeave++;
         else if (status === '缺席') absent++;
     });
     
-    const total = attend + late + absent;
-    const rate = total > 0 ? Math.round((attend + late) / total * 100) : 0;
+    const total = attend + late + severeLate + earlyLeave + absent;
+    const rate = total > 0 ? Math.round((attend + late + severeLate + earlyLeave) / total * 100) : 0;
     
     let msg = '📊 出缺席統計\n━━━━━━━━━━━━━━━\n';
     msg += '👤 ' + student.get('姓名') + '\n\n';
     msg += '✅ 出席：' + attend + ' 次\n';
     msg += '⚠️ 遲到：' + late + ' 次\n';
+    if (severeLate > 0) msg += '⏰ 嚴重遲到：' + severeLate + ' 次\n';
+    if (earlyLeave > 0) msg += '🚪 早退：' + earlyLeave + ' 次\n';
     msg += '❌ 缺席：' + absent + ' 次\n';
     msg += '📈 出席率：' + rate + '%';
     
     return replyText(event, msg);
 }
 
+// ===== 可疑簽到偵測 =====
+// 分析 GPS 簽到紀錄，找出疑似定位造假或代簽的情況，標記在備註欄供老師複查
+const SUSPICIOUS_TYPES = {
+    sameCoordinates: '多人座標完全相同',
+    classroomPoint: '座標與教室點完全相同',
+    impossibleTravel: '前後簽到移動速度不合理',
+    borderlineRetry: '多次重試後剛好落在範圍邊緣'
+};
+const SUSPICIOUS_NOTE_PREFIX = '⚠️可疑：';
+const MAX_TRAVEL_SPEED_KMH = 120;
+const MIN_TRAVEL_DISTANCE = 1000;
+const BORDERLINE_RATIO = 0.85;
+const BORDERLINE_MIN_RETRIES = 2;
+
+/**
+ * 偵測可疑的 GPS 簽到
+ * @param {object[]} records - 簽到紀錄列
+ * @param {object[]} sessions - 簽到活動列
+ * @param {object[]} courses - 課程列表列
+ * @param {object[]} locations - GPS位置列
+ * @returns {Array<{ recordId, sessionId, studentId, date, type, label, detail }>}
+ */
+function detectSuspiciousCheckins(records, sessions, courses, locations = []) {
+    const sessionMap = new Map(sessions.map(s => [s.get('活動ID'), s]));
+    const geofenceMap = new Map(courses.map(c => [c.get('課程ID'), getCourseGeofences(c, locations)]));
+    const getGeofences = record => {
+        const session = sessionMap.get(record.get('活動ID'));
+        return (session && geofenceMap.get(session.get('課程ID'))) || [];
+    };
+    const flags = [];
+    const flag = (record, type, detail) => {
+        const session = sessionMap.get(record.get('活動ID'));
+        flags.push({
+            recordId: getRecordId(record),
+            sessionId: record.get('活動ID'),
+            studentId: record.get('學號'),
+            date: getRecordDate(record, session && session.get('日期')),
+            type,
+            label: SUSPICIOUS_TYPES[type],
+            detail
+        });
+    };
+    
+    const gpsRecords = records
+        .map(record => ({ record, lat: parseFloat(record.get('GPS緯度')), lon: parseFloat(record.get('GPS經度')) }))
+        .filter(r => !Number.isNaN(r.lat) && !Number.isNaN(r.lon));
+    
+    // 同一活動多位學生回報完全相同的座標（同一支手機幫人簽到）
+    const byPoint = new Map();
+    for (const r of gpsRecords) {
+        const key = `${r.record.get('活動ID')}|${r.lat.toFixed(6)}|${r.lon.toFixed(6)}`;
+        if (!byPoint.has(key)) byPoint.set(key, []);
+        byPoint.get(key).push(r.record);
+    }
+    for (const group of byPoint.values()) {
+        if (group.length < 2) continue;
+        for (const record of group) {
+            const others = group.filter(r => r !== record).map(r => r.get('學號'));
+            flag(record, 'sameCoordinates', `與 ${others.join('、')} 座標相同`);
+        }
+    }
+    
+    // 座標剛好是教室或簽到位置的設定點（模擬定位 App 直接填入目標座標）
+    for (const r of gpsRecords) {
+        const point = getGeofences(r.record).find(f =>
+            !f.polygon && Math.abs(r.lat - f.lat) < 1e-7 && Math.abs(r.lon - f.lon) < 1e-7
+        );
+        if (point) {
+            flag(r.record, 'classroomPoint', `${point.name}（${r.lat}, ${r.lon}）`);
+        }
+    }
+    
+    // 同一學生前後兩次簽到之間的移動速度不合理
+    const byStudent = new Map();
+    for (const r of gpsRecords) {
+        const time = getRecordTime(r.record);
+        if (!time) continue;
+        const studentId = r.record.get('學號');
+        if (!byStudent.has(studentId)) byStudent.set(studentId, []);
+        byStudent.get(studentId).push({ ...r, time });
+    }
+    for (const list of byStudent.values()) {
+        list.sort((a, b) => a.time - b.time);
+        for (let i = 1; i < list.length; i++) {
+            const prev = list[i - 1];
+            const curr = list[i];
+            const distance = calculateDistance(prev.lat, prev.lon, curr.lat, curr.lon);
+            if (distance < MIN_TRAVEL_DISTANCE) continue;
+            const hours = Math.max(curr.time - prev.time, 60000) / 3600000;
+            const speed = distance / 1000 / hours;
+            if (speed > MAX_TRAVEL_SPEED_KMH) {
+                flag(curr.record, 'impossibleTravel',
+                    `${Math.round(distance / 100) / 10} 公里 / ${Math.round((curr.time - prev.time) / 60000)} 分鐘（上一筆 ${prev.record.get('簽到時間')}）`);
+            }
+        }
+    }
+    
+    // 位置驗證失敗多次後，剛好落在範圍邊緣
+    for (const r of gpsRecords) {
+        const retries = parseInt(r.record.get('GPS重試')) || 0;
+        const distance = parseFloat(r.record.get('GPS距離'));
+        if (retries < BORDERLINE_MIN_RETRIES || Number.isNaN(distance)) continue;
+        // 舊紀錄沒有符合位置，以教室座標判斷；多邊形範圍沒有半徑，不做此檢查
+        const geofences = getGeofences(r.record);
+        const matchedName = r.record.get('符合位置');
+        const fence = matchedName ? geofences.find(f => f.name === matchedName) : geofences.find(f => f.id === '');
+        if (fence && !fence.polygon && distance >= fence.radius * BORDERLINE_RATIO) {
+            flag(r.record, 'borderlineRetry', `重試 ${retries} 次，距離 ${fence.name} ${distance}/${fence.radius} 公尺`);
+        }
+    }
+    
+    return flags;
+}
+
+/**
+ * 掃描可疑簽到，mark 為 true 時把結果寫入備註欄（已標記的紀錄不會重複標記）
+ * @param {object} filter - { sessionId, startDate, endDate, semester }
+ */
+async function scanSuspiciousCheckins(filter = {}, { mark = false } = {}) {
+    const { sessionId, startDate, endDate, semester } = filter;
+    const { records, sessions } = await loadAttendanceData({ semester, startDate, endDate });
+    const courseSheet = doc.sheetsByTitle['課程列表'];
+    const courses = courseSheet ? await courseSheet.getRows() : [];
+    const locationSheet = doc.sheetsByTitle['GPS位置'];
+    const locations = locationSheet ? await locationSheet.getRows() : [];
+    
+    // 移動速度需要前後紀錄，先以全部紀錄偵測再篩選
+    const flags = detectSuspiciousCheckins(records, sessions, courses, locations).filter(f =>
+        (!sessionId || f.sessionId === sessionId) &&
+        (!startDate || f.date >= startDate) &&
+        (!endDate || f.date <= endDate)
+    );
+    
+    let marked = 0;
+    if (mark) {
+        const recordMap = new Map(records.map(r => [getRecordId(r), r]));
+        const labels = new Map();
+        for (const f of flags) {
+            if (!labels.has(f.recordId)) labels.set(f.recordId, new Set());
+            labels.get(f.recordId).add(f.label);
+        }
+        for (const [recordId, set] of labels) {
+            const record = recordMap.get(recordId);
+            const note = record.get('備註') || '';
+            if (note.includes(SUSPICIOUS_NOTE_PREFIX)) continue;
+            record.set('備註', (note ? note + ' ' : '') + SUSPICIOUS_NOTE_PREFIX + [...set].join('、'));
+            await record.save();
+            marked++;
+        }
+        if (marked > 0) console.log(`🕵️ 已標記 ${marked} 筆可疑簽到`);
+    }
+    
+    return { flags, marked };
+}
+
 // ===== 缺席檢查排程 =====
 
 async function checkAbsences() {
@@ -1536,9 +4513,7 @@ async function checkAbsences() {
             // 檢查是否已結束
             const endTimeStr = session.get('結束時間');
             if (!endTimeStr) continue;
-            const [endHour, endMin] = endTimeStr.split(':').map(Number);
-            const endTime = new Date();
-            endTime.setHours(endHour, endMin, 0, 0);
+            const endTime = zonedDateTime(session.get('日期') || getTodayString(), endTimeStr);
             
             if (now > endTime) {
                 console.log('📝 處理結束的活動:', session.get('活動ID'));
@@ -1555,7 +4530,9 @@ async function checkAbsences() {
                 if (course) {
                     const className = course.get('班級');
                     const students = await studentSheet.getRows();
-                    const classStudents = students.filter(s => (s.get('班級') || '').split(/[,、/]/).map(c => c.trim()).includes(className));
+                    // 只標記上課當天在班上的正式生（旁聽生不記缺席）
+                    const memberIds = await getClassStudentIds(className, { date: session.get('日期'), roles: ['正式'] });
+                    const classStudents = students.filter(s => memberIds.has(s.get('學號')));
                     
                     const records = recordSheet ? await recordSheet.getRows() : [];
                     
@@ -1573,8 +4550,8 @@ async function checkAbsences() {
                                 '缺席'
                             );
                             
-                            // 只有成功記錄才發送通知（確保只發一次）
-                            if (result.success && student.get('LINE_ID')) {
+                            // 只有成功記錄才發送通知（確保只發一次；連堂課整堂已核准請假時不通知）
+                            if (result.success && result.status === '缺席' && student.get('LINE_ID')) {
                                 try {
                                     await lineClient.pushMessage(student.get('LINE_ID'), {
                                         type: 'text',
@@ -1587,52 +4564,254 @@ async function checkAbsences() {
                             }
                         }
                     }
+                    
+                    await markMissingCheckouts(session, course);
                 }
                 
                 // 更新活動狀態為「已結束」
                 session.set('狀態', '已結束');
                 await session.save();
                 console.log('✅ 活動已結束:', session.get('活動ID'));
+                
+                await scanSuspiciousCheckins({ sessionId: session.get('活動ID') }, { mark: true })
+                    .catch(e => console.error('可疑簽到偵測失敗:', e.message));
+            }
+        }
+        
+        console.log('✅ 缺席檢查完成');
+    } catch (error) {
+        console.error('缺席檢查錯誤:', error);
+    }
+}
+
+// 每 10 分鐘檢查一次（減少干擾）
+cron.schedule('*/10 * * * *', () => runRecordWork(checkAbsences));
+
+// ===== 學期封存 =====
+// 封存會刪除簽到紀錄、簽到活動中已搬走的列，其他工作手上的列物件在封存後會對不上位置，
+// 所以讀寫這兩張表的工作（LINE 事件、管理 API、排程）都透過 runRecordWork() 執行：
+// 工作之間可以同時進行；封存開始前先等進行中的工作結束，封存期間新的工作排隊等候
+
+// 封存進行中時為封存的 Promise
+let archiving = null;
+let activeRecordWork = 0;
+let recordWorkIdleWaiters = [];
+
+/**
+ * 執行會讀寫簽到紀錄、簽到活動的工作（封存進行中時等封存結束）
+ * 只在入口（webhook 事件、API 請求、排程）呼叫，不可巢狀使用，否則封存等待時會互相卡住
+ */
+async function runRecordWork(task) {
+    while (archiving) {
+        await archiving.catch(() => {});
+    }
+    activeRecordWork++;
+    try {
+        return await task();
+    } finally {
+        activeRecordWork--;
+        if (activeRecordWork === 0) {
+            recordWorkIdleWaiters.forEach(resolve => resolve());
+            recordWorkIdleWaiters = [];
+        }
+    }
+}
+
+function waitForRecordWorkIdle() {
+    if (activeRecordWork === 0) return Promise.resolve();
+    return new Promise(resolve => recordWorkIdleWaiters.push(resolve));
+}
+
+/**
+ * 由開學日期推算學期代號（民國學年-學期，例如 2025-09-01 → 114-1、2026-02-16 → 114-2）
+ */
+function getSemesterTag(startDate) {
+    const [year, month] = startDate.split('-').map(Number);
+    if (month >= 8) return `${year - 1911}-1`;
+    return `${year - 1912}-${month === 1 ? 1 : 2}`;
+}
+
+/**
+ * 取得已封存的學期
+ */
+async function getArchivedSemesters() {
+    const sheet = doc.sheetsByTitle['學期封存'];
+    if (!sheet) return [];
+    return (await sheet.getRows()).map(r => ({
+        semester: r.get('學期'),
+        startDate: r.get('開始日期'),
+        endDate: r.get('結束日期'),
+        sessions: parseInt(r.get('活動數')) || 0,
+        records: parseInt(r.get('紀錄數')) || 0,
+        archivedAt: r.get('封存時間')
+    }));
+}
+
+/**
+ * 把 moved 搬到封存工作表，再從原工作表移除
+ * 先寫入封存再移除，中途失敗時資料只會同時存在兩邊；
+ * 重新執行時略過封存中已有的列（以 keyOf 比對），不會重複封存
+ * @param {function(object): string} keyOf - 列的唯一鍵
+ */
+async function moveRowsToArchive(sheet, moved, archiveTitle, keyOf) {
+    if (moved.length === 0) return;
+    
+    const archiveSheet = await getOrCreateSheet(archiveTitle);
+    const archivedKeys = new Set((await archiveSheet.getRows()).map(keyOf));
+    const toAdd = moved.filter(r => !archivedKeys.has(keyOf(r)));
+    if (toAdd.length > 0) {
+        await archiveSheet.addRows(toAdd.map(r => r.toObject()));
+    }
+    
+    // 原工作表以 clearRows + addRows 寫回其餘的列：不論封存多少列都只有兩次寫入
+    // （逐列刪除會觸發 Google Sheets 寫入配額，封存期間簽到又全部暫停）
+    const movedKeys = new Set(moved.map(keyOf));
+    const kept = (await sheet.getRows())
+        .filter(r => !movedKeys.has(keyOf(r)))
+        .map(r => r.toObject());
+    await sheet.clearRows();
+    if (kept.length === 0) return;
+    
+    // 清除後寫回失敗會遺失其餘的列：等待後重試（例如配額恢復），仍失敗時把資料寫進記錄以便還原
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await sheet.addRows(kept);
+            return;
+        } catch (e) {
+            if (attempt >= 5) {
+                console.error(`❌ 無法寫回「${sheet.title}」的 ${kept.length} 列，資料如下：\n${JSON.stringify(kept)}`);
+                throw e;
             }
+            await delay(attempt * 15000);
         }
-        
-        console.log('✅ 缺席檢查完成');
-    } catch (error) {
-        console.error('缺席檢查錯誤:', error);
     }
 }
 
-// 每 10 分鐘檢查一次（減少干擾）
-cron.schedule('*/10 * * * *', checkAbsences);
+/**
+ * 封存學期：結束日期（含）以前、已結束的簽到活動及其紀錄，
+ * 搬到「簽到活動_學期」「簽到紀錄_學期」工作表
+ * 同一學期可重複執行，新資料會接在既有封存後面
+ */
+async function archiveSemester(options) {
+    if (archiving) throw new Error('封存作業進行中');
+    // 先設定 archiving 讓新的工作排隊，再等進行中的工作結束
+    archiving = waitForRecordWorkIdle().then(() => moveSemesterToArchive(options));
+    try {
+        return await archiving;
+    } finally {
+        archiving = null;
+    }
+}
+
+/**
+ * 封存學期的實際搬移（由 archiveSemester() 在沒有其他工作進行時呼叫）
+ */
+async function moveSemesterToArchive({ semester, startDate = '', endDate }) {
+    const sessionSheet = await getOrCreateSheet('簽到活動');
+    const recordSheet = await getOrCreateSheet('簽到紀錄');
+    const sessions = await sessionSheet.getRows();
+    const records = await recordSheet.getRows();
+    
+    const isFinished = s => s.get('日期') && s.get('日期') <= endDate && s.get('狀態') !== '進行中';
+    const archivedSessions = sessions.filter(isFinished);
+    const archivedIds = new Set(archivedSessions.map(s => s.get('活動ID')));
+    const liveIds = new Set(sessions.filter(s => !isFinished(s)).map(s => s.get('活動ID')));
+    
+    // 手動紀錄等沒有對應活動的，依日期判斷
+    const archivedRecords = records.filter(r => {
+        if (archivedIds.has(r.get('活動ID'))) return true;
+        if (liveIds.has(r.get('活動ID'))) return false;
+        const date = getRecordDate(r);
+        return date && date <= endDate;
+    });
+    
+    await moveRowsToArchive(sessionSheet, archivedSessions, getArchiveTitle('簽到活動', semester), r => r.get('活動ID'));
+    await moveRowsToArchive(recordSheet, archivedRecords, getArchiveTitle('簽到紀錄', semester), getRecordId);
+    
+    // 更新封存索引
+    const indexSheet = await getOrCreateSheet('學期封存');
+    const indexRows = await indexSheet.getRows();
+    const existing = indexRows.find(r => r.get('學期') === semester);
+    const values = {
+        '學期': semester,
+        '開始日期': existing?.get('開始日期') || startDate,
+        '結束日期': endDate,
+        '活動數': (parseInt(existing?.get('活動數')) || 0) + archivedSessions.length,
+        '紀錄數': (parseInt(existing?.get('紀錄數')) || 0) + archivedRecords.length,
+        '封存時間': formatDateTime(new Date())
+    };
+    if (existing) {
+        existing.assign(values);
+        await existing.save();
+    } else {
+        await indexSheet.addRow(values);
+    }
+    
+    console.log(`🗄️ 已封存 ${semester}：${archivedSessions.length} 個活動、${archivedRecords.length} 筆紀錄`);
+    return { semester, sessions: archivedSessions.length, records: archivedRecords.length };
+}
+
+/**
+ * 讀取簽到紀錄與簽到活動（含封存學期）
+ * - 指定 semester：只讀該學期的封存
+ * - 指定日期範圍：目前的資料，加上日期範圍有重疊的封存學期
+ * - 都不指定：只讀目前的資料
+ */
+async function loadAttendanceData({ semester, startDate, endDate } = {}) {
+    let tags = [''];
+    if (semester) {
+        tags = [semester];
+    } else if (startDate || endDate) {
+        const archived = await getArchivedSemesters();
+        tags.push(...archived
+            .filter(a => (!endDate || !a.startDate || a.startDate <= endDate) && (!startDate || a.endDate >= startDate))
+            .map(a => a.semester));
+    }
+    
+    const data = { records: [], sessions: [] };
+    for (const tag of tags) {
+        const [recordTitle, sessionTitle] = ARCHIVED_SHEETS.map(title => tag ? getArchiveTitle(title, tag) : title);
+        const recordSheet = doc.sheetsByTitle[recordTitle];
+        const sessionSheet = doc.sheetsByTitle[sessionTitle];
+        if (recordSheet) data.records.push(...await recordSheet.getRows());
+        if (sessionSheet) data.sessions.push(...await sessionSheet.getRows());
+    }
+    return data;
+}
 
 // ===== 學期結束通知 =====
 async function checkSemesterEnd() {
     console.log('📅 檢查學期結束...');
     
     try {
-        const settingsSheet = doc.sheetsByTitle['系統設定'];
-        if (!settingsSheet) return;
-        
-        const settings = await settingsSheet.getRows();
-        let semesterEnd = '';
-        for (const s of settings) {
-            if (s.get('設定項目') === '結業日期') {
-                semesterEnd = s.get('設定值');
-                break;
-            }
-        }
+        const settings = await getSettings();
+        const semesterEnd = settings['結業日期'] || '';
         
         if (!semesterEnd) return;
         
-        const now = new Date();
-        const endDate = new Date(semesterEnd);
         const today = getTodayString();
         
+        // 結業日隔天自動封存本學期
+        if (today > semesterEnd) {
+            const archived = await getArchivedSemesters();
+            if (!archived.some(a => a.endDate === semesterEnd)) {
+                const semesterStart = settings['開學日期'] || '';
+                await archiveSemester({
+                    semester: getSemesterTag(semesterStart || semesterEnd),
+                    startDate: semesterStart,
+                    endDate: semesterEnd
+                });
+                await rebuildStatistics();
+            }
+            return;
+        }
+        
         // 檢查是否是學期最後一天
         if (today !== semesterEnd) return;
         
         // 檢查是否已經發送過通知
-        const reminderSheet = await getOrCreateSheet('提醒紀錄', ['課程ID', '日期', '類型', '發送時間']);
+        const reminderSheet = await getOrCreateSheet('提醒紀錄');
         const reminders = await reminderSheet.getRows();
         const alreadySent = reminders.some(r => 
             r.get('日期') === today && 
@@ -1666,7 +4845,7 @@ async function checkSemesterEnd() {
         }
         
         // 檢查現在是否在最後一堂課結束後 30 分鐘
-        const currentMinutes = now.getHours() * 60 + now.getMinutes();
+        const currentMinutes = getMinutesOfDay();
         if (currentMinutes >= lastEndTime + 30 && currentMinutes <= lastEndTime + 40) {
             console.log('📢 發送學期結束通知...');
             
@@ -1693,7 +4872,7 @@ async function checkSemesterEnd() {
                     '課程ID': 'SEMESTER_END',
                     '日期': today,
                     '類型': '學期結束',
-                    '發送時間': formatDateTime(now)
+                    '發送時間': formatDateTime(new Date())
                 });
                 
                 console.log('✅ 學期結束通知已發送');
@@ -1732,10 +4911,8 @@ async function autoClassReminder() {
         
         // 取得今天星期幾
         const now = new Date();
-        const dayOfWeek = now.getDay(); // 0=日, 1=一, ... 6=六
-        const currentHour = now.getHours();
-        const currentMin = now.getMinutes();
-        const currentTotalMin = currentHour * 60 + currentMin;
+        const dayOfWeek = getZonedParts(now).weekday; // 0=日, 1=一, ... 6=六
+        const currentTotalMin = getMinutesOfDay(now);
         
         // 取得今天的課程
         const courseSheet = doc.sheetsByTitle['課程列表'];
@@ -1750,7 +4927,7 @@ async function autoClassReminder() {
         }
         
         // 取得已發送的提醒記錄（避免重複發送）
-        const reminderSheet = await getOrCreateSheet('提醒紀錄', ['課程ID', '日期', '類型', '發送時間']);
+        const reminderSheet = await getOrCreateSheet('提醒紀錄');
         const reminders = await reminderSheet.getRows();
         const today = getTodayString();
         
@@ -1782,15 +4959,13 @@ async function autoClassReminder() {
                 console.log(`📢 發送上課提醒: ${course.get('科目')}`);
                 
                 // 自動建立簽到活動
-                const sessionSheet = await getOrCreateSheet('簽到活動', [
-                    '活動ID', '課程ID', '日期', '開始時間', '結束時間', 'QR碼內容', '狀態'
-                ]);
+                const sessionSheet = await getOrCreateSheet('簽到活動');
                 
                 const sessionId = `S${Date.now()}`;
-                // 老師手機 QR Code 用「直接簽到」，學生連結用「GPS簽到」
+                // 老師手機 QR Code 用「直接簽到」，學生連結見 getStudentCheckinUrl()
                 const qrContent = `直接簽到:${courseId}|${sessionId}`;
-                const gpsCheckinCode = `GPS簽到:${courseId}|${sessionId}`;
                 const [, endTime] = courseTime.split('-');
+                const periods = await buildSessionPeriods(course, startTime, endTime);
                 
                 await sessionSheet.addRow({
                     '活動ID': sessionId,
@@ -1799,19 +4974,39 @@ async function autoClassReminder() {
                     '開始時間': startTime,
                     '結束時間': endTime || '',
                     'QR碼內容': qrContent,
-                    '狀態': '進行中'
+                    '狀態': '進行中',
+                    '節次時間': periods.length > 0 ? JSON.stringify(periods) : ''
                 });
                 
-                // 發送 LINE 通知給學生（使用 GPS 簽到連結）
+                // 發送 LINE 通知（班級有連結 LINE 群組時在群組發一則，否則逐一私訊學生）
                 const classCode = course.get('班級');
+                // 學生連結使用 GPS 簽到（需要定位且有設定 LIFF 時直接開啟簽到頁），在群組點選也會回到私訊簽到
+                const checkinUrl = getStudentCheckinUrl(course, sessionId);
+                const reminderMessage = {
+                    type: 'template',
+                    altText: `📢 上課提醒 - ${course.get('科目')}`,
+                    template: {
+                        type: 'buttons',
+                        title: `📢 ${course.get('科目')} 即將上課`,
+                        text: `⏰ ${courseTime}\n📍 ${course.get('教室') || '教室'}\n\n${remindMinutes} 分鐘後上課`,
+                        actions: [
+                            {
+                                type: 'uri',
+                                label: '📱 點我簽到',
+                                uri: checkinUrl
+                            }
+                        ]
+                    }
+                };
+                
+                const groupCount = await pushToClassGroups(classCode, reminderMessage);
                 const studentSheet = doc.sheetsByTitle['學生名單'];
-                if (studentSheet) {
+                if (groupCount > 0) {
+                    console.log(`✅ 已發送提醒到 ${groupCount} 個班級群組`);
+                } else if (studentSheet) {
                     const students = await studentSheet.getRows();
-                    const classStudents = students.filter(s => (s.get('班級') || '').split(/[,、/]/).map(c => c.trim()).includes(classCode) && s.get('LINE_ID'));
-                    
-                    const botId = process.env.LINE_BOT_ID;
-                    // 學生連結使用 GPS 簽到
-                    const checkinUrl = `https://line.me/R/oaMessage/${botId}/?${encodeURIComponent(gpsCheckinCode)}`;
+                    const memberIds = await getClassStudentIds(classCode);
+                    const classStudents = students.filter(s => memberIds.has(s.get('學號')) && s.get('LINE_ID'));
                     
                     // 延遲函數
                     const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
@@ -1819,22 +5014,7 @@ async function autoClassReminder() {
                     
                     for (const student of classStudents) {
                         try {
-                            await lineClient.pushMessage(student.get('LINE_ID'), {
-                                type: 'template',
-                                altText: `📢 上課提醒 - ${course.get('科目')}`,
-                                template: {
-                                    type: 'buttons',
-                                    title: `📢 ${course.get('科目')} 即將上課`,
-                                    text: `⏰ ${courseTime}\n📍 ${course.get('教室') || '教室'}\n\n${remindMinutes} 分鐘後上課`,
-                                    actions: [
-                                        {
-                                            type: 'uri',
-                                            label: '📱 點我簽到',
-                                            uri: checkinUrl
-                                        }
-                                    ]
-                                }
-                            });
+                            await lineClient.pushMessage(student.get('LINE_ID'), reminderMessage);
                             sentCount++;
                             // 每則訊息間隔 200ms
                             await delay(200);
@@ -1854,7 +5034,7 @@ async function autoClassReminder() {
                     '課程ID': courseId,
                     '日期': today,
                     '類型': '上課提醒',
-                    '發送時間': now.toLocaleString('zh-TW')
+                    '發送時間': formatDateTime(now)
                 });
             }
         }
@@ -1866,7 +5046,7 @@ async function autoClassReminder() {
 }
 
 // 每分鐘檢查一次（確保不會錯過提醒時間）
-cron.schedule('* * * * *', autoClassReminder);
+cron.schedule('* * * * *', () => runRecordWork(autoClassReminder));
 
 
 // 首頁路由
@@ -1874,10 +5054,18 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// LIFF 簽到頁（LIFF 的 Endpoint URL 設為 https://你的網域/checkin）
+app.get('/checkin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'checkin.html'));
+});
+
+// 頁面共用的前端檔案（gps.js）
+app.use(express.static(path.join(__dirname, 'public'), { index: false }));
+
 app.use('/webhook', line.middleware(lineConfig));
 
 app.post('/webhook', (req, res) => {
-    Promise.all(req.body.events.map(handleEvent))
+    Promise.all(req.body.events.map(event => runRecordWork(() => handleEvent(event))))
         .then((result) => res.json(result))
         .catch((err) => {
             console.error('Webhook Error:', err);
@@ -1892,11 +5080,43 @@ app.use(express.json());
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
-    res.header('Access-Control-Allow-Headers', 'Content-Type');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, X-Teacher-Token');
     if (req.method === 'OPTIONS') return res.sendStatus(200);
     next();
 });
 
+// API 請求在學期封存進行中時排隊等候，回應送出前封存不會開始（見 runRecordWork）
+app.use('/api', (req, res, next) => {
+    if (req.path === '/semesters/archive') return next();
+    runRecordWork(() => new Promise(resolve => {
+        res.on('finish', resolve);
+        res.on('close', resolve);
+        next();
+    }));
+});
+
+// === 老師畫面驗證 ===
+// 簽到 QR Code、簽到碼等只能顯示在老師螢幕上的資料，學生知道活動ID也不能自己取得，
+// 需帶 X-Teacher-Token 標頭（管理後台「API 連線」的老師金鑰），伺服器未設定 TEACHER_TOKEN 時一律拒絕
+const TEACHER_TOKEN = process.env.TEACHER_TOKEN || '';
+
+function isTeacherToken(token) {
+    if (!TEACHER_TOKEN || typeof token !== 'string') return false;
+    const actual = crypto.createHash('sha256').update(token).digest();
+    const expected = crypto.createHash('sha256').update(TEACHER_TOKEN).digest();
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function requireTeacher(req, res, next) {
+    if (!TEACHER_TOKEN) {
+        return res.status(503).json({ success: false, message: '伺服器未設定 TEACHER_TOKEN，無法使用老師畫面' });
+    }
+    if (!isTeacherToken(req.get('X-Teacher-Token'))) {
+        return res.status(401).json({ success: false, message: '老師金鑰錯誤，請到系統設定輸入老師金鑰' });
+    }
+    next();
+}
+
 // === 班級人數同步 API ===
 app.post('/api/sync-class-counts', async (req, res) => {
     try {
@@ -1907,40 +5127,57 @@ app.post('/api/sync-class-counts', async (req, res) => {
     }
 });
 
+// === 快取 API ===
+// 查看快取狀態
+app.get('/api/cache', (req, res) => {
+    res.json({ ttlSeconds: doc.cache.ttlMs / 1000, sheets: doc.cache.stats() });
+});
+
+// 清除快取（直接在 Google Sheets 修改資料後使用，可指定 sheet 只清除單一工作表）
+app.post('/api/cache/refresh', async (req, res) => {
+    try {
+        const { sheet } = req.body || {};
+        doc.cache.invalidate(sheet);
+        await doc.loadInfo();
+        res.json({ success: true, message: sheet ? `已重新讀取「${sheet}」` : '已清除全部快取' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // === 班級 API ===
 app.get('/api/classes', async (req, res) => {
     try {
         // 先同步班級人數
         await syncAllClassCounts();
         
-        const sheet = await getOrCreateSheet('班級列表', ['班級代碼', '班級名稱', '部別', '導師', '人數', '建立時間']);
+        const sheet = await getOrCreateSheet('班級列表');
         const rows = await sheet.getRows();
         
-        // 取得學生名單來計算人數（支援多班級）
+        // 以班級成員計算人數（支援多班級）
         let studentCounts = {};
         try {
-            const studentSheet = doc.sheetsByTitle['學生名單'];
-            if (studentSheet) {
-                const students = await studentSheet.getRows();
-                students.forEach(s => {
-                    const classStr = s.get('班級') || '';
-                    // 支援逗號、頓號、斜線分隔
-                    const classCodes = classStr.split(/[,、/]/).map(c => c.trim()).filter(c => c);
-                    classCodes.forEach(code => {
-                        studentCounts[code] = (studentCounts[code] || 0) + 1;
-                    });
-                });
-            }
+            const enrollments = await getEnrollments();
+            enrollments.forEach(e => {
+                const code = e.get('班級代碼');
+                studentCounts[code] = (studentCounts[code] || 0) + 1;
+            });
         } catch (e) {
             console.log('計算學生人數失敗:', e.message);
         }
         
+        const groupSheet = doc.sheetsByTitle['班級群組'];
+        const groups = groupSheet ? await groupSheet.getRows() : [];
+        
         res.json(rows.map(r => ({
             code: r.get('班級代碼'),
             name: r.get('班級名稱'),
             division: r.get('部別') || 'day',
             teacher: r.get('導師'),
-            count: studentCounts[r.get('班級代碼')] || parseInt(r.get('人數')) || 0
+            count: studentCounts[r.get('班級代碼')] || parseInt(r.get('人數')) || 0,
+            groups: groups
+                .filter(g => g.get('班級代碼') === r.get('班級代碼'))
+                .map(g => ({ id: g.get('群組ID'), name: g.get('群組名稱'), teacher: g.get('綁定教師'), linkedAt: g.get('綁定時間') }))
         })));
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -1950,14 +5187,14 @@ app.get('/api/classes', async (req, res) => {
 app.post('/api/classes', async (req, res) => {
     try {
         const { code, name, division, teacher } = req.body;
-        const sheet = await getOrCreateSheet('班級列表', ['班級代碼', '班級名稱', '部別', '導師', '人數', '建立時間']);
+        const sheet = await getOrCreateSheet('班級列表');
         await sheet.addRow({
             '班級代碼': code,
             '班級名稱': name,
             '部別': division || 'day',
             '導師': teacher || '',
             '人數': 0,
-            '建立時間': new Date().toLocaleString('zh-TW')
+            '建立時間': formatDateTime(new Date())
         });
         res.json({ success: true });
     } catch (error) {
@@ -2001,6 +5238,19 @@ app.delete('/api/classes/:code', async (req, res) => {
     }
 });
 
+// 解除班級與 LINE 群組的連結（Bot 仍在群組中，可在群組重新綁定）
+app.delete('/api/groups/:id', async (req, res) => {
+    try {
+        const removed = await unlinkGroup(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ success: false, message: '找不到此群組' });
+        }
+        res.json({ success: true, classCode: removed });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // 取得單一班級的學生
 app.get('/api/classes/:code/students', async (req, res) => {
     try {
@@ -2008,25 +5258,69 @@ app.get('/api/classes/:code/students', async (req, res) => {
         const sheet = doc.sheetsByTitle['學生名單'];
         if (!sheet) return res.json([]);
         const rows = await sheet.getRows();
-        const students = rows.filter(r => (r.get('班級') || '').split(/[,、/]/).map(c => c.trim()).includes(code));
-        res.json(students.map(s => ({
-            studentId: s.get('學號'),
-            name: s.get('姓名'),
-            lineName: s.get('LINE名稱'),
-            registeredAt: s.get('註冊時間')
-        })));
+        const enrollments = await getEnrollments({ classCode: code });
+        res.json(enrollments.map(e => {
+            const s = rows.find(r => r.get('學號') === e.get('學號'));
+            return {
+                studentId: e.get('學號'),
+                name: s ? s.get('姓名') : '',
+                lineName: s ? s.get('LINE名稱') : '',
+                registeredAt: s ? s.get('註冊時間') : '',
+                role: e.get('身分') || '正式',
+                joinedAt: e.get('加入日期')
+            };
+        }));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// 將學生加入班級（role：正式 / 旁聽）
+app.post('/api/classes/:code/students', async (req, res) => {
+    try {
+        const { code } = req.params;
+        const { studentId, role } = req.body;
+        if (!studentId) return res.json({ success: false, message: '請提供學號' });
+        
+        const joined = await enrollStudent(studentId, code, role || '正式');
+        if (!joined) return res.json({ success: false, message: '學生已在此班級' });
+        
+        await syncStudentClassField(studentId);
+        await updateClassCount(code);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 將學生移出班級（保留歷史紀錄）
+app.delete('/api/classes/:code/students/:studentId', async (req, res) => {
+    try {
+        const { code, studentId } = req.params;
+        const left = await leaveClass(studentId, code);
+        if (!left) return res.json({ success: false, message: '學生不在此班級' });
+        
+        await syncStudentClassField(studentId);
+        await updateClassCount(code);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // === 課程 API ===
+
+/**
+ * 讀取分鐘設定（空白回傳 null；0 是有效的設定，不能用真假值判斷）
+ */
+function parseOptionalMinutes(value) {
+    const minutes = parseInt(value);
+    return Number.isNaN(minutes) ? null : minutes;
+}
+
 app.get('/api/courses', async (req, res) => {
     try {
-        const sheet = await getOrCreateSheet('課程列表', [
-            '課程ID', '科目', '班級', '教師', '星期', '節次', '上課時間', '教室',
-            '教室緯度', '教室經度', '簽到範圍', '遲到標準', '狀態', '建立時間'
-        ]);
+        const sheet = await getOrCreateSheet('課程列表');
         const rows = await sheet.getRows();
         res.json(rows.map(r => ({
             id: r.get('課程ID'),
@@ -2036,12 +5330,23 @@ app.get('/api/courses', async (req, res) => {
             teacher: r.get('教師'),
             day: parseInt(r.get('星期')) || 1,
             period: parseInt(r.get('節次')) || 1,
+            // 連堂節數（從節次起連續幾節）
+            periodCount: parseInt(r.get('節數')) || 1,
             time: r.get('上課時間'),
             room: r.get('教室'),
             lat: parseFloat(r.get('教室緯度')) || 0,
             lon: parseFloat(r.get('教室經度')) || 0,
-            radius: r.get('簽到範圍') !== '' && r.get('簽到範圍') !== undefined ? parseInt(r.get('簽到範圍')) : 100,
+            radius: parseInt(r.get('簽到範圍')) > 0 ? parseInt(r.get('簽到範圍')) : 100,
+            checkinMode: getCheckinMode(r),
             lateMinutes: parseInt(r.get('遲到標準')) || 10,
+            // 遲到分級（空白使用系統設定）
+            lateTiers: r.get('遲到分級') || '',
+            // 簽到時段（空白為 null，使用預設值）
+            openBefore: parseOptionalMinutes(r.get('開放簽到')),
+            closeAfter: parseOptionalMinutes(r.get('截止簽到')),
+            // 下課前幾分鐘開放簽退（null 表示不需簽退）
+            checkoutBefore: getCheckoutOpenBefore(r),
+            locationIds: (r.get('簽到位置') || '').split(',').filter(Boolean),
             status: r.get('狀態') || '啟用'
         })));
     } catch (error) {
@@ -2051,11 +5356,18 @@ app.get('/api/courses', async (req, res) => {
 
 app.post('/api/courses', async (req, res) => {
     try {
-        const { subject, name, classCode, teacher, day, period, time, room, lat, lon, radius, lateMinutes } = req.body;
-        const sheet = await getOrCreateSheet('課程列表', [
-            '課程ID', '科目', '班級', '教師', '星期', '節次', '上課時間', '教室',
-            '教室緯度', '教室經度', '簽到範圍', '遲到標準', '狀態', '建立時間'
-        ]);
+        const { subject, name, classCode, teacher, day, period, time, room, lat, lon, radius, lateMinutes, openBefore, closeAfter, checkoutBefore, locationIds, checkinMode, periodCount, lateTiers } = req.body;
+        if (checkinMode && !CHECKIN_MODES[checkinMode]) {
+            return res.status(400).json({ success: false, message: `不支援的簽到方式：${checkinMode}` });
+        }
+        const tiers = parseLateTiers(lateTiers);
+        if (lateTiers && !tiers) {
+            return res.status(400).json({ success: false, message: LATE_TIERS_HINT });
+        }
+        if (locationIds !== undefined && !Array.isArray(locationIds)) {
+            return res.status(400).json({ success: false, message: 'locationIds 必須是位置ID的陣列' });
+        }
+        const sheet = await getOrCreateSheet('課程列表');
         const courseId = 'C' + Date.now();
         await sheet.addRow({
             '課程ID': courseId,
@@ -2068,10 +5380,17 @@ app.post('/api/courses', async (req, res) => {
             '教室': room || '',
             '教室緯度': lat || 0,
             '教室經度': lon || 0,
-            '簽到範圍': radius !== undefined ? radius : 100,
+            '簽到範圍': radius || 100,
             '遲到標準': lateMinutes || 10,
             '狀態': '啟用',
-            '建立時間': new Date().toLocaleString('zh-TW')
+            '建立時間': formatDateTime(new Date()),
+            '開放簽到': openBefore ?? '',
+            '截止簽到': closeAfter ?? '',
+            '簽到位置': (locationIds || []).join(','),
+            '簽到方式': checkinMode || DEFAULT_CHECKIN_MODE,
+            '簽退開放': checkoutBefore ?? '',
+            '節數': parseInt(periodCount) || 1,
+            '遲到分級': tiers ? formatLateTiers(tiers) : ''
         });
         res.json({ success: true, courseId });
     } catch (error) {
@@ -2097,7 +5416,17 @@ app.delete('/api/courses/:id', async (req, res) => {
 app.put('/api/courses/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const { subject, classCode, day, period, time, room, lat, lon, radius } = req.body;
+        const { subject, classCode, day, period, time, room, lat, lon, radius, lateMinutes, openBefore, closeAfter, checkoutBefore, locationIds, checkinMode, periodCount, lateTiers } = req.body;
+        if (checkinMode && !CHECKIN_MODES[checkinMode]) {
+            return res.status(400).json({ success: false, message: `不支援的簽到方式：${checkinMode}` });
+        }
+        const tiers = parseLateTiers(lateTiers);
+        if (lateTiers && !tiers) {
+            return res.status(400).json({ success: false, message: LATE_TIERS_HINT });
+        }
+        if (locationIds !== undefined && !Array.isArray(locationIds)) {
+            return res.status(400).json({ success: false, message: 'locationIds 必須是位置ID的陣列' });
+        }
         console.log('📝 更新課程請求:', id, { radius, radiusType: typeof radius });
         
         // 強制刷新
@@ -2126,10 +5455,20 @@ app.put('/api/courses/:id', async (req, res) => {
             // 確保存入數字
             row.set('簽到範圍', parseInt(radius));
         }
+        // 簽到時段：空字串表示恢復預設
+        if (lateMinutes !== undefined) row.set('遲到標準', parseInt(lateMinutes) || 10);
+        if (openBefore !== undefined) row.set('開放簽到', openBefore);
+        if (closeAfter !== undefined) row.set('截止簽到', closeAfter);
+        if (checkoutBefore !== undefined) row.set('簽退開放', checkoutBefore);
+        if (periodCount !== undefined) row.set('節數', parseInt(periodCount) || 1);
+        if (lateTiers !== undefined) row.set('遲到分級', tiers ? formatLateTiers(tiers) : '');
+        if (locationIds !== undefined) row.set('簽到位置', locationIds.join(','));
+        if (checkinMode) row.set('簽到方式', checkinMode);
         
         await row.save();
         
-        // 驗證：重新讀取確認更新成功
+        // 驗證：重新讀取確認更新成功（略過快取）
+        doc.cache.invalidate('課程列表');
         await doc.loadInfo();
         const verifySheet = doc.sheetsByTitle['課程列表'];
         await verifySheet.loadHeaderRow();
@@ -2149,9 +5488,7 @@ app.put('/api/courses/:id', async (req, res) => {
 // === 學生 API ===
 app.get('/api/students', async (req, res) => {
     try {
-        const sheet = await getOrCreateSheet('學生名單', [
-            '學號', '姓名', '班級', 'LINE_ID', 'LINE名稱', '註冊時間', '狀態'
-        ]);
+        const sheet = await getOrCreateSheet('學生名單');
         const rows = await sheet.getRows();
         res.json(rows.map(r => ({
             studentId: r.get('學號'),
@@ -2170,9 +5507,7 @@ app.get('/api/students', async (req, res) => {
 // === 簽到活動 API ===
 app.get('/api/sessions', async (req, res) => {
     try {
-        const sheet = await getOrCreateSheet('簽到活動', [
-            '活動ID', '課程ID', '日期', '開始時間', '結束時間', 'QR碼內容', '狀態'
-        ]);
+        const sheet = await getOrCreateSheet('簽到活動');
         const rows = await sheet.getRows();
         
         // 取得課程資料以顯示名稱
@@ -2195,7 +5530,9 @@ app.get('/api/sessions', async (req, res) => {
                 startTime: r.get('開始時間'),
                 endTime: r.get('結束時間'),
                 qrContent: r.get('QR碼內容'),
-                status: r.get('狀態')
+                status: r.get('狀態'),
+                checkinMode: r.get('簽到方式') || '',
+                periods: getSessionPeriods(r)
             };
         }));
     } catch (error) {
@@ -2205,12 +5542,16 @@ app.get('/api/sessions', async (req, res) => {
 
 app.post('/api/sessions', async (req, res) => {
     try {
-        const { courseId, date, startTime, endTime } = req.body;
-        const sheet = await getOrCreateSheet('簽到活動', [
-            '活動ID', '課程ID', '日期', '開始時間', '結束時間', 'QR碼內容', '狀態'
-        ]);
+        const { courseId, startTime, endTime, checkinMode } = req.body;
+        if (checkinMode && !CHECKIN_MODES[checkinMode]) {
+            return res.status(400).json({ success: false, message: `不支援的簽到方式：${checkinMode}` });
+        }
+        const date = req.body.date || getTodayString();
+        const sheet = await getOrCreateSheet('簽到活動');
+        const course = await getCourse(courseId);
+        const periods = course ? await buildSessionPeriods(course, startTime, endTime) : [];
         const sessionId = `S${Date.now()}`;
-        // 老師手機 QR Code 用「直接簽到」
+        // 老師螢幕 QR Code 用「直接簽到」（內容會定時更換，見 /api/sessions/:id/qr）
         const qrContent = `直接簽到:${courseId}|${sessionId}`;
         // 學生連結用「GPS簽到」
         const gpsCheckinCode = `GPS簽到:${courseId}|${sessionId}`;
@@ -2221,14 +5562,187 @@ app.post('/api/sessions', async (req, res) => {
             '開始時間': startTime,
             '結束時間': endTime,
             'QR碼內容': qrContent,
-            '狀態': '進行中'
+            '狀態': '進行中',
+            '簽到方式': checkinMode || '',
+            '節次時間': periods.length > 0 ? JSON.stringify(periods) : ''
+        });
+        const code = createCheckinCode(courseId, sessionId);
+        res.json({
+            success: true,
+            sessionId,
+            qrContent: code.content,
+            qrExpiresAt: code.expiresAt,
+            qrRotateSeconds: QR_ROTATE_SECONDS,
+            gpsCheckinCode,
+            periods
         });
-        res.json({ success: true, sessionId, qrContent, gpsCheckinCode });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// 老師螢幕顯示用：取得目前有效的直接簽到 QR Code 內容
+app.get('/api/sessions/:id/qr', requireTeacher, async (req, res) => {
+    try {
+        const sheet = doc.sheetsByTitle['簽到活動'];
+        const sessions = sheet ? await sheet.getRows() : [];
+        const session = sessions.find(s => s.get('活動ID') === req.params.id);
+        if (!session) {
+            return res.status(404).json({ success: false, message: '找不到簽到活動' });
+        }
+        if (session.get('狀態') !== '進行中') {
+            return res.status(410).json({ success: false, message: '簽到活動已結束' });
+        }
+        
+        const code = createCheckinCode(session.get('課程ID'), session.get('活動ID'));
+        res.json({
+            success: true,
+            content: code.content,
+            expiresAt: code.expiresAt,
+            rotateSeconds: QR_ROTATE_SECONDS
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 老師螢幕顯示用：取得目前的簽到碼（active 表示此活動的簽到方式為簽到碼）
+app.get('/api/sessions/:id/code', requireTeacher, async (req, res) => {
+    try {
+        const sheet = doc.sheetsByTitle['簽到活動'];
+        const sessions = sheet ? await sheet.getRows() : [];
+        const session = sessions.find(s => s.get('活動ID') === req.params.id);
+        if (!session) {
+            return res.status(404).json({ success: false, message: '找不到簽到活動' });
+        }
+        if (session.get('狀態') !== '進行中') {
+            return res.status(410).json({ success: false, message: '簽到活動已結束' });
+        }
+        
+        const course = await getCourse(session.get('課程ID'));
+        const now = Date.now();
+        const code = createNumericCheckinCode(session.get('活動ID'), now);
+        res.json({
+            success: true,
+            active: !!course && checkCheckinPolicy(course, session, 'code').allowed,
+            code: code.code,
+            expiresAt: code.expiresAt,
+            refreshIn: Math.ceil((code.expiresAt.getTime() - now) / 1000),
+            rotateSeconds: CHECKIN_CODE_ROTATE_SECONDS
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 自拍照簽到的照片（依簽到時間排序，供管理後台審閱）
+app.get('/api/sessions/:id/photos', requireTeacher, async (req, res) => {
+    try {
+        const sessionSheet = doc.sheetsByTitle['簽到活動'];
+        const session = sessionSheet ? (await sessionSheet.getRows()).find(s => s.get('活動ID') === req.params.id) : null;
+        if (!session) {
+            return res.status(404).json({ success: false, message: '找不到簽到活動' });
+        }
+        const course = await getCourse(session.get('課程ID'));
+        
+        const studentSheet = doc.sheetsByTitle['學生名單'];
+        const studentMap = {};
+        (studentSheet ? await studentSheet.getRows() : []).forEach(s => {
+            studentMap[s.get('學號')] = s.get('姓名');
+        });
+        
+        const recordSheet = doc.sheetsByTitle['簽到紀錄'];
+        const records = (recordSheet ? await recordSheet.getRows() : [])
+            .filter(r => r.get('活動ID') === session.get('活動ID') && r.get('簽到照片'))
+            .sort((a, b) => (a.get('簽到時間ISO') || '').localeCompare(b.get('簽到時間ISO') || ''));
+        
+        res.json({
+            success: true,
+            courseName: course ? course.get('科目') : '未知',
+            date: session.get('日期'),
+            photos: records.map(r => ({
+                recordId: getRecordId(r),
+                studentId: r.get('學號'),
+                studentName: studentMap[r.get('學號')] || '未知',
+                time: r.get('簽到時間'),
+                status: r.get('狀態'),
+                photoUrl: getPhotoUrl(r.get('簽到照片')),
+                checkoutTime: r.get('簽退時間') || null,
+                checkoutPhotoUrl: r.get('簽退照片') ? getPhotoUrl(r.get('簽退照片')) : null
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 座位表（有座位配置的課程；同一座位多位學生時 conflict 為 true）
+app.get('/api/sessions/:id/seats', async (req, res) => {
+    try {
+        const sessionSheet = doc.sheetsByTitle['簽到活動'];
+        const session = sessionSheet ? (await sessionSheet.getRows()).find(s => s.get('活動ID') === req.params.id) : null;
+        if (!session) {
+            return res.status(404).json({ success: false, message: '找不到簽到活動' });
+        }
+        const course = await getCourse(session.get('課程ID'));
+        const layout = course ? await loadCourseSeatLayout(course) : null;
+        
+        const studentSheet = doc.sheetsByTitle['學生名單'];
+        const studentMap = {};
+        (studentSheet ? await studentSheet.getRows() : []).forEach(s => {
+            studentMap[s.get('學號')] = s.get('姓名');
+        });
+        
+        const recordSheet = doc.sheetsByTitle['簽到紀錄'];
+        const records = (recordSheet ? await recordSheet.getRows() : []).filter(r => r.get('活動ID') === session.get('活動ID'));
+        
+        const seats = {};
+        const unseated = [];
+        for (const r of records) {
+            const student = { studentId: r.get('學號'), name: studentMap[r.get('學號')] || '未知', status: r.get('狀態') };
+            const seat = parseSeat(r.get('座位'));
+            if (seat) {
+                const key = `${seat.row}-${seat.col}`;
+                (seats[key] = seats[key] || { ...seat, students: [] }).students.push(student);
+            } else if (!['缺席', '請假'].includes(r.get('狀態'))) {
+                unseated.push(student);
+            }
+        }
+        
+        res.json({
+            success: true,
+            courseName: course ? course.get('科目') : '未知',
+            date: session.get('日期'),
+            status: session.get('狀態'),
+            layout,
+            seats: Object.values(seats).map(s => ({ ...s, conflict: s.students.length > 1 })),
+            unseated
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 覆寫單次簽到活動的簽到方式（空白表示依課程設定）
+app.put('/api/sessions/:id/checkin-mode', async (req, res) => {
+    try {
+        const { mode } = req.body;
+        if (mode && !CHECKIN_MODES[mode]) {
+            return res.status(400).json({ success: false, message: `不支援的簽到方式：${mode}` });
+        }
+        const sheet = doc.sheetsByTitle['簽到活動'];
+        const rows = sheet ? await sheet.getRows() : [];
+        const row = rows.find(r => r.get('活動ID') === req.params.id);
+        if (!row) return res.status(404).json({ success: false, message: '找不到簽到活動' });
+        
+        row.set('簽到方式', mode || '');
+        await row.save();
+        res.json({ success: true, mode: mode || '' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 app.put('/api/sessions/:id/end', async (req, res) => {
     try {
         const { id } = req.params;
@@ -2240,19 +5754,110 @@ app.put('/api/sessions/:id/end', async (req, res) => {
             row.set('狀態', '已結束');
             await row.save();
         }
-        res.json({ success: true });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// === LIFF 簽到 API ===
+// 簽到頁載入時取得 LIFF ID 與課程資訊（是否需要定位）
+app.get('/api/liff/checkin', async (req, res) => {
+    try {
+        const { course: courseId, session: sessionId } = req.query;
+        if (!LIFF_ID) {
+            return res.status(503).json({ success: false, message: '尚未設定 LIFF_ID，請使用 LINE 簽到連結。' });
+        }
+        const course = courseId ? await getCourse(courseId) : null;
+        if (!course) {
+            return res.status(404).json({ success: false, liffId: LIFF_ID, message: '找不到此課程！' });
+        }
+        const session = await findCheckinSession(courseId, sessionId);
+        if (!session) {
+            return res.status(404).json({ success: false, liffId: LIFF_ID, message: '此簽到活動已結束或不存在！' });
+        }
+        const policy = checkCheckinPolicy(course, session, 'link');
+        res.json({
+            success: true,
+            liffId: LIFF_ID,
+            courseName: course.get('科目'),
+            date: session.get('日期'),
+            startTime: session.get('開始時間'),
+            allowed: policy.allowed && !policy.needPhoto,
+            needLocation: policy.needLocation,
+            message: policy.needPhoto ? LIFF_PHOTO_MESSAGE : policy.message || '',
+            maxAccuracy: LIFF_MAX_ACCURACY
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// LIFF 簽到（idToken 由 liff.getIDToken() 取得）
+app.post('/api/liff/checkin', async (req, res) => {
+    try {
+        const { idToken, courseId, sessionId } = req.body;
+        if (!LIFF_ID) {
+            return res.status(503).json({ success: false, message: '尚未設定 LIFF_ID，請使用 LINE 簽到連結。' });
+        }
+        if (!idToken || !courseId || !sessionId) {
+            return res.status(400).json({ success: false, message: '缺少必要欄位：idToken、courseId、sessionId' });
+        }
+        const userId = await verifyLiffIdToken(idToken);
+        if (!userId) {
+            return res.status(401).json({ success: false, message: '無法確認 LINE 身分，請從 LINE 重新開啟簽到頁。' });
+        }
+        
+        const result = await handleLiffCheckin(userId, {
+            courseId,
+            sessionId,
+            latitude: parseFloat(req.body.latitude),
+            longitude: parseFloat(req.body.longitude),
+            accuracy: parseFloat(req.body.accuracy)
+        });
+        const { code, ...body } = result;
+        res.status(result.success ? 200 : code).json(body);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// LIFF 簽到頁選擇座位（seat 格式為 排-位，例如 3-5）
+app.post('/api/liff/seat', async (req, res) => {
+    try {
+        const { idToken, sessionId } = req.body;
+        const seat = parseSeat(req.body.seat);
+        if (!LIFF_ID) {
+            return res.status(503).json({ success: false, message: '尚未設定 LIFF_ID，請在 LINE 輸入「座位 排-位」。' });
+        }
+        if (!idToken || !sessionId || !seat) {
+            return res.status(400).json({ success: false, message: '缺少必要欄位：idToken、sessionId、seat（排-位）' });
+        }
+        const userId = await verifyLiffIdToken(idToken);
+        if (!userId) {
+            return res.status(401).json({ success: false, message: '無法確認 LINE 身分，請從 LINE 重新開啟簽到頁。' });
+        }
+        const student = await getStudent(userId);
+        if (!student) {
+            return res.status(403).json({ success: false, message: '找不到您的學生資料！' });
+        }
+        
+        const { code, ...result } = await setRecordSeat(sessionId, student.get('學號'), seat.row, seat.col);
+        if (!result.success) {
+            return res.status(code).json(result);
+        }
+        res.json({ success: true, seat: `${seat.row}-${seat.col}`, shared: result.shared });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 // === 簽到紀錄 API ===
 app.get('/api/records', async (req, res) => {
     try {
-        const sheet = await getOrCreateSheet('簽到紀錄', [
-            '活動ID', '學號', '簽到時間', '狀態', '遲到分鐘', 'GPS緯度', 'GPS經度', '備註'
-        ]);
-        const rows = await sheet.getRows();
+        const { sessionId, courseId, studentId, startDate, endDate, semester } = req.query;
+        await getOrCreateSheet('簽到紀錄');
+        const { records: rows, sessions } = await loadAttendanceData({ semester, startDate, endDate });
         
         // 取得學生資料
         const studentSheet = doc.sheetsByTitle['學生名單'];
@@ -2263,8 +5868,6 @@ app.get('/api/records', async (req, res) => {
         });
         
         // 取得活動資料
-        const sessionSheet = doc.sheetsByTitle['簽到活動'];
-        const sessions = sessionSheet ? await sessionSheet.getRows() : [];
         const sessionMap = {};
         sessions.forEach(s => {
             sessionMap[s.get('活動ID')] = { courseId: s.get('課程ID'), date: s.get('日期') };
@@ -2278,22 +5881,36 @@ app.get('/api/records', async (req, res) => {
             courseMap[c.get('課程ID')] = c.get('科目');
         });
         
-        res.json(rows.map(r => {
-            const sessionId = r.get('活動ID');
-            const session = sessionMap[sessionId] || {};
-            const courseName = courseMap[session.courseId] || '未知';
-            const studentId = r.get('學號');
+        const toRecord = r => {
+            const session = sessionMap[r.get('活動ID')] || {};
             return {
-                sessionId: sessionId,
-                studentId: studentId,
-                studentName: studentMap[studentId] || '未知',
-                courseName: courseName,
-                date: session.date || '',
+                id: getRecordId(r),
+                sessionId: r.get('活動ID'),
+                courseId: session.courseId || '',
+                studentId: r.get('學號'),
+                studentName: studentMap[r.get('學號')] || '未知',
+                courseName: courseMap[session.courseId] || '未知',
+                date: getRecordDate(r, session.date),
                 time: r.get('簽到時間'),
                 status: r.get('狀態'),
-                lateMinutes: r.get('遲到分鐘')
+                lateMinutes: r.get('遲到分鐘'),
+                note: r.get('備註'),
+                location: r.get('符合位置'),
+                checkoutTime: r.get('簽退時間'),
+                periods: parsePeriodStatuses(r.get('節次狀態')),
+                hasPhoto: !!r.get('簽到照片'),
+                seat: r.get('座位'),
+                updatedAt: r.get('修改時間')
             };
-        }));
+        };
+        
+        res.json(rows.map(toRecord).filter(r =>
+            (!sessionId || r.sessionId === sessionId) &&
+            (!courseId || r.courseId === courseId) &&
+            (!studentId || r.studentId === studentId) &&
+            (!startDate || r.date >= startDate) &&
+            (!endDate || r.date <= endDate)
+        ));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -2302,7 +5919,7 @@ app.get('/api/records', async (req, res) => {
 // === 儀表板統計 API ===
 app.get('/api/dashboard', async (req, res) => {
     try {
-        const today = new Date().toISOString().split('T')[0];
+        const today = getTodayString();
         
         // 學生數
         const studentSheet = doc.sheetsByTitle['學生名單'];
@@ -2318,9 +5935,7 @@ app.get('/api/dashboard', async (req, res) => {
         
         const todayRecords = records.filter(r => todaySessionIds.includes(r.get('活動ID')));
         
-        const attended = todayRecords.filter(r => r.get('狀態') === '已報到').length;
-        const late = todayRecords.filter(r => r.get('狀態') === '遲到').length;
-        const absent = todayRecords.filter(r => r.get('狀態') === '缺席').length;
+        const { onTime: attended, late, severeLate, earlyLeave, absent } = summarizeAttendance(todayRecords);
         
         // 最近紀錄
         const recentRecords = records.slice(-10).reverse().map(r => ({
@@ -2333,6 +5948,8 @@ app.get('/api/dashboard', async (req, res) => {
             totalStudents: students.length,
             todayAttended: attended,
             todayLate: late,
+            todaySevereLate: severeLate,
+            todayEarlyLeave: earlyLeave,
             todayAbsent: absent,
             recentRecords: recentRecords
         });
@@ -2349,42 +5966,54 @@ app.get('/api/health', (req, res) => {
 // === 統計 API ===
 app.get('/api/stats/attendance', async (req, res) => {
     try {
+        const { semester } = req.query;
         const recordSheet = doc.sheetsByTitle['簽到紀錄'];
         const studentSheet = doc.sheetsByTitle['學生名單'];
         if (!recordSheet || !studentSheet) {
             return res.json({ overall: 0, students: [] });
         }
         
-        const records = await recordSheet.getRows();
+        const { records, sessions } = await loadAttendanceData({ semester });
         const students = await studentSheet.getRows();
         
-        // 計算整體出席率
-        const total = records.length;
-        const attended = records.filter(r => r.get('狀態') === '已報到').length;
-        const late = records.filter(r => r.get('狀態') === '遲到').length;
-        const absent = records.filter(r => r.get('狀態') === '缺席').length;
-        const overall = total > 0 ? Math.round((attended + late) / total * 100) : 0;
+        // 計算整體出席率（與出席統計工作表、LINE「我的資料」相同算法）
+        const summary = summarizeAttendance(records);
+        const total = summary.total;
+        const attended = summary.onTime;
+        const late = summary.late;
+        const severeLate = summary.severeLate;
+        const earlyLeave = summary.earlyLeave;
+        const absent = summary.absent;
+        const overall = summary.rate ?? 0;
+        const sessionCourseMap = await getSessionCourseMap(sessions);
         
         // 計算每位學生的出席率
         const studentStats = [];
         for (const student of students) {
             const studentId = student.get('學號');
             const studentRecords = records.filter(r => r.get('學號') === studentId);
-            const sTotal = studentRecords.length;
-            const sAttended = studentRecords.filter(r => r.get('狀態') === '已報到').length;
-            const sLate = studentRecords.filter(r => r.get('狀態') === '遲到').length;
-            const sAbsent = studentRecords.filter(r => r.get('狀態') === '缺席').length;
-            const rate = sTotal > 0 ? Math.round((sAttended + sLate) / sTotal * 100) : 100;
+            const s = summarizeAttendance(studentRecords);
+            
+            // 各課程出席率
+            const courseIds = [...new Set(studentRecords.map(r => sessionCourseMap[r.get('活動ID')]).filter(c => c))];
+            const courses = courseIds.map(courseId => {
+                const c = summarizeAttendance(studentRecords.filter(r => sessionCourseMap[r.get('活動ID')] === courseId));
+                return { courseId, total: c.total, attended: c.onTime, late: c.late, severeLate: c.severeLate, earlyLeave: c.earlyLeave, absent: c.absent, leave: c.leave, rate: c.rate ?? 100 };
+            });
             
             studentStats.push({
                 studentId,
                 name: student.get('姓名'),
                 classCode: student.get('班級'),
-                total: sTotal,
-                attended: sAttended,
-                late: sLate,
-                absent: sAbsent,
-                rate
+                total: s.total,
+                attended: s.onTime,
+                late: s.late,
+                severeLate: s.severeLate,
+                earlyLeave: s.earlyLeave,
+                absent: s.absent,
+                leave: s.leave,
+                rate: s.rate ?? 100,
+                courses
             });
         }
         
@@ -2396,6 +6025,8 @@ app.get('/api/stats/attendance', async (req, res) => {
             totalRecords: total,
             attended,
             late,
+            severeLate,
+            earlyLeave,
             absent,
             students: studentStats,
             lowAttendance: studentStats.filter(s => s.rate < 80),
@@ -2406,6 +6037,52 @@ app.get('/api/stats/attendance', async (req, res) => {
     }
 });
 
+// 由簽到紀錄重建出席統計
+app.post('/api/stats/rebuild', async (req, res) => {
+    try {
+        const rows = await rebuildStatistics();
+        res.json({ success: true, rows });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// === 學期封存 API ===
+app.get('/api/semesters', async (req, res) => {
+    try {
+        const settings = await getSettings();
+        res.json({
+            current: {
+                semester: settings['開學日期'] ? getSemesterTag(settings['開學日期']) : '',
+                startDate: settings['開學日期'] || '',
+                endDate: settings['結業日期'] || ''
+            },
+            archived: await getArchivedSemesters()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 封存學期（預設依系統設定的開學日期、結業日期）
+app.post('/api/semesters/archive', async (req, res) => {
+    try {
+        const settings = await getSettings();
+        const startDate = req.body.startDate || settings['開學日期'] || '';
+        const endDate = req.body.endDate || settings['結業日期'];
+        if (!endDate) {
+            return res.status(400).json({ success: false, message: '請指定結束日期或先設定結業日期' });
+        }
+        const semester = req.body.semester || getSemesterTag(startDate || endDate);
+        
+        const result = await archiveSemester({ semester, startDate, endDate });
+        await rebuildStatistics();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // 取得學生連續缺席狀況
 app.get('/api/stats/consecutive-absent', async (req, res) => {
     try {
@@ -2423,7 +6100,7 @@ app.get('/api/stats/consecutive-absent', async (req, res) => {
             const studentId = student.get('學號');
             const studentRecords = records
                 .filter(r => r.get('學號') === studentId)
-                .sort((a, b) => new Date(b.get('簽到時間')) - new Date(a.get('簽到時間')));
+                .sort((a, b) => (getRecordTime(b) || 0) - (getRecordTime(a) || 0));
             
             // 計算連續缺席次數
             let consecutive = 0;
@@ -2476,18 +6153,14 @@ app.post('/api/notify/remind', async (req, res) => {
         
         const classCode = course.get('班級');
         const students = await studentSheet.getRows();
+        const memberIds = await getClassStudentIds(classCode);
         const classStudents = students.filter(s => 
-            (s.get('班級') || '')
-                .split(/[,、/]/)
-                .map(c => c.trim())
-                .includes(classCode) && 
+            memberIds.has(s.get('學號')) && 
             s.get('LINE_ID')
         );
         
         // 讀取提醒紀錄，避免同一節課重複發送手動提醒
-        const reminderSheet = await getOrCreateSheet('提醒紀錄', [
-            '課程ID', '日期', '類型', '發送時間', '活動ID'
-        ]);
+        const reminderSheet = await getOrCreateSheet('提醒紀錄');
         const reminders = await reminderSheet.getRows();
         const today = getTodayString();
         
@@ -2508,57 +6181,58 @@ app.post('/api/notify/remind', async (req, res) => {
             }
         }
         
-        // 建立簽到連結（學生使用 GPS 簽到）
-        const botId = process.env.LINE_BOT_ID;
-        const checkinCode = sessionId ? `GPS簽到:${courseId}|${sessionId}` : '';
-        const checkinUrl = checkinCode 
-            ? `https://line.me/R/oaMessage/${botId}/?${encodeURIComponent(checkinCode)}` 
-            : '';
+        // 建立簽到連結（學生使用 GPS 簽到，需要定位且有設定 LIFF 時直接開啟簽到頁）
+        const sessionSheet = doc.sheetsByTitle['簽到活動'];
+        const session = sessionId && sessionSheet
+            ? (await sessionSheet.getRows()).find(s => s.get('活動ID') === String(sessionId))
+            : null;
+        const checkinUrl = sessionId ? getStudentCheckinUrl(course, sessionId, session) : '';
+        
+        // 有簽到活動時帶簽到按鈕，否則為純文字提醒
+        const reminderMessage = checkinUrl
+            ? {
+                type: 'template',
+                altText: `📢 上課提醒 - ${course.get('科目')}`,
+                template: {
+                    type: 'buttons',
+                    title: `📢 ${course.get('科目')} 上課提醒`,
+                    text: `⏰ ${course.get('上課時間')}
+📍 ${course.get('教室') || '教室'}
+
+請點擊下方按鈕簽到`,
+                    actions: [
+                        {
+                            type: 'uri',
+                            label: '📱 點我簽到',
+                            uri: checkinUrl
+                        }
+                    ]
+                }
+            }
+            : {
+                type: 'text',
+                text: message || 
+                    `📢 上課提醒
+
+${course.get('科目')} 即將開始！
+⏰ ${course.get('上課時間')}
+📍 ${course.get('教室') || '教室'}`
+            };
         
+        // 班級有連結 LINE 群組時在群組發一則，否則逐一私訊學生
+        const groups = await pushToClassGroups(classCode, reminderMessage);
         let sent = 0;
         
         // 延遲函數（避免 LINE API 429 錯誤）
         const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
         
         // 發送 LINE 通知（每則間隔 200ms 避免速率限制）
-        for (const student of classStudents) {
+        for (const student of groups > 0 ? [] : classStudents) {
             const lineId = student.get('LINE_ID');
             if (!lineId) continue;
             
             try {
-                if (checkinUrl) {
-                    // 帶簽到按鈕
-                    await lineClient.pushMessage(lineId, {
-                        type: 'template',
-                        altText: `📢 上課提醒 - ${course.get('科目')}`,
-                        template: {
-                            type: 'buttons',
-                            title: `📢 ${course.get('科目')} 上課提醒`,
-                            text: `⏰ ${course.get('上課時間')}
-📍 ${course.get('教室') || '教室'}
-
-請點擊下方按鈕簽到`,
-                            actions: [
-                                {
-                                    type: 'uri',
-                                    label: '📱 點我簽到',
-                                    uri: checkinUrl
-                                }
-                            ]
-                        }
-                    });
-                } else {
-                    // 純文字提醒
-                    await lineClient.pushMessage(lineId, {
-                        type: 'text',
-                        text: message || 
-                            `📢 上課提醒
-
-${course.get('科目')} 即將開始！
-⏰ ${course.get('上課時間')}
-📍 ${course.get('教室') || '教室'}`
-                    });
-                }
+                await lineClient.pushMessage(lineId, reminderMessage);
                 sent++;
                 
                 // 每則訊息間隔 200ms，避免觸發速率限制
@@ -2582,8 +6256,8 @@ ${course.get('科目')} 即將開始！
             '活動ID': sessionId || ''
         });
         
-        console.log(`✅ 手動上課提醒已發送：課程 ${courseId}，人數 ${sent}`);
-        return res.json({ success: true, sent });
+        console.log(`✅ 手動上課提醒已發送：課程 ${courseId}，人數 ${sent}，群組 ${groups}`);
+        return res.json({ success: true, sent, groups });
     } catch (error) {
         console.error('手動上課提醒錯誤:', error);
         return res.status(500).json({ success: false, message: error.message });
@@ -2689,7 +6363,7 @@ app.post('/api/notify/batch', async (req, res) => {
 // 取得設定（通用）
 app.get('/api/settings', async (req, res) => {
     try {
-        const sheet = await getOrCreateSheet('系統設定', ['設定項目', '設定值']);
+        const sheet = await getOrCreateSheet('系統設定');
         const rows = await sheet.getRows();
         const settings = {};
         rows.forEach(r => {
@@ -2703,7 +6377,9 @@ app.get('/api/settings', async (req, res) => {
             warningThreshold: parseInt(settings['警告門檻']) || 3,
             weeklyReport: settings['週報'] === 'true',
             semesterStart: settings['開學日期'] || '',
-            semesterEnd: settings['結業日期'] || ''
+            semesterEnd: settings['結業日期'] || '',
+            periods: parsePeriodTimetable(settings['節次時間']),
+            lateTiers: settings['遲到分級'] || ''
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -2713,8 +6389,12 @@ app.get('/api/settings', async (req, res) => {
 // 儲存設定（通用）
 app.post('/api/settings', async (req, res) => {
     try {
-        const { remindBeforeClass, remindMinutes, notifyAbsent, notifyParent, warningThreshold, weeklyReport, semesterStart, semesterEnd } = req.body;
-        const sheet = await getOrCreateSheet('系統設定', ['設定項目', '設定值']);
+        const { remindBeforeClass, remindMinutes, notifyAbsent, notifyParent, warningThreshold, weeklyReport, semesterStart, semesterEnd, periods, lateTiers } = req.body;
+        const tiers = parseLateTiers(lateTiers);
+        if (lateTiers && !tiers) {
+            return res.status(400).json({ success: false, message: LATE_TIERS_HINT });
+        }
+        const sheet = await getOrCreateSheet('系統設定');
         
         // 更新或新增設定
         const rows = await sheet.getRows();
@@ -2738,6 +6418,10 @@ app.post('/api/settings', async (req, res) => {
         if (weeklyReport !== undefined) await updateOrAdd('週報', weeklyReport ? 'true' : 'false');
         if (semesterStart !== undefined) await updateOrAdd('開學日期', semesterStart);
         if (semesterEnd !== undefined) await updateOrAdd('結業日期', semesterEnd);
+        // 節次時間表（連堂課切分各節時使用）
+        if (Array.isArray(periods)) await updateOrAdd('節次時間', JSON.stringify(periods.map(p => ({ n: parseInt(p.n), s: p.s, e: p.e }))));
+        // 遲到分級的全校預設（課程沒有設定時使用）
+        if (lateTiers !== undefined) await updateOrAdd('遲到分級', tiers ? formatLateTiers(tiers) : '');
         
         res.json({ success: true });
     } catch (error) {
@@ -2747,7 +6431,7 @@ app.post('/api/settings', async (req, res) => {
 
 app.get('/api/settings/notifications', async (req, res) => {
     try {
-        const sheet = await getOrCreateSheet('系統設定', ['設定項目', '設定值']);
+        const sheet = await getOrCreateSheet('系統設定');
         const rows = await sheet.getRows();
         const settings = {};
         rows.forEach(r => {
@@ -2770,7 +6454,7 @@ app.get('/api/settings/notifications', async (req, res) => {
 app.post('/api/settings/notifications', async (req, res) => {
     try {
         const { remindBeforeClass, remindMinutes, notifyAbsent, notifyParent, warningThreshold, weeklyReport } = req.body;
-        const sheet = await getOrCreateSheet('系統設定', ['設定項目', '設定值']);
+        const sheet = await getOrCreateSheet('系統設定');
         
         // 清空舊設定
         const rows = await sheet.getRows();
@@ -2799,7 +6483,7 @@ app.post('/api/sessions/:id/complete', async (req, res) => {
     try {
         const { id } = req.params;
         const sessionSheet = doc.sheetsByTitle['簽到活動'];
-        const recordSheet = doc.sheetsByTitle['簽到紀錄'];
+        const recordSheet = await getOrCreateSheet('簽到紀錄');
         const studentSheet = doc.sheetsByTitle['學生名單'];
         const courseSheet = doc.sheetsByTitle['課程列表'];
         
@@ -2821,42 +6505,59 @@ app.post('/api/sessions/:id/complete', async (req, res) => {
         
         const classCode = course.get('班級');
         const students = await studentSheet.getRows();
-        const classStudents = students.filter(s => (s.get('班級') || '').split(/[,、/]/).map(c => c.trim()).includes(classCode));
-        
-        const records = await recordSheet.getRows();
-        const sessionRecords = records.filter(r => r.get('活動ID') === id);
-        const checkedInIds = sessionRecords.map(r => r.get('學號'));
+        const memberIds = await getClassStudentIds(classCode, { date: session.get('日期'), roles: ['正式'] });
+        const classStudents = students.filter(s => memberIds.has(s.get('學號')));
         
         let marked = 0;
         const absentStudents = [];
         
-        for (const student of classStudents) {
-            const studentId = student.get('學號');
-            if (!checkedInIds.includes(studentId)) {
-                // 標記缺席
-                await recordSheet.addRow({
-                    '活動ID': id,
-                    '學號': studentId,
-                    '簽到時間': new Date().toLocaleString('zh-TW'),
-                    '狀態': '缺席',
-                    '遲到分鐘': 0,
-                    'GPS緯度': '',
-                    'GPS經度': '',
-                    '備註': '系統自動標記'
-                });
-                marked++;
-                absentStudents.push({
-                    studentId,
-                    name: student.get('姓名'),
-                    lineId: student.get('LINE_ID')
-                });
+        // 與簽到共用同一個活動佇列，避免學生剛好簽到時被重複標記缺席
+        await runExclusive(`session:${id}`, async () => {
+            const records = await recordSheet.getRows();
+            const sessionRecords = records.filter(r => r.get('活動ID') === id);
+            const checkedInIds = sessionRecords.map(r => r.get('學號'));
+            
+            for (const student of classStudents) {
+                const studentId = student.get('學號');
+                if (!checkedInIds.includes(studentId)) {
+                    // 標記缺席（連堂課已核准請假的節次記為請假）
+                    const now = new Date();
+                    const periodAttendance = await resolvePeriodAttendance(id, studentId, { status: '缺席', arrivedAt: now });
+                    await recordSheet.addRow({
+                        '紀錄ID': generateRecordId(),
+                        '活動ID': id,
+                        '學號': studentId,
+                        '簽到時間': formatDateTime(now),
+                        '簽到時間ISO': toZonedISOString(now),
+                        '狀態': periodAttendance ? periodAttendance.status : '缺席',
+                        '遲到分鐘': 0,
+                        'GPS緯度': '',
+                        'GPS經度': '',
+                        '備註': '系統自動標記',
+                        '節次狀態': periodAttendance ? periodAttendance.text : ''
+                    });
+                    marked++;
+                    absentStudents.push({
+                        studentId,
+                        name: student.get('姓名'),
+                        lineId: student.get('LINE_ID')
+                    });
+                }
             }
-        }
+        });
+        
+        await refreshStudentStatistics(absentStudents.map(s => s.studentId));
+        
+        const earlyLeave = await markMissingCheckouts(session, course);
+        
+        await scanSuspiciousCheckins({ sessionId: id }, { mark: true })
+            .catch(e => console.error('可疑簽到偵測失敗:', e.message));
         
         res.json({ 
             success: true, 
             marked, 
             absentStudents,
+            earlyLeave,
             courseName: course.get('科目')
         });
     } catch (error) {
@@ -2868,7 +6569,7 @@ app.post('/api/sessions/:id/complete', async (req, res) => {
 // 取得請假列表
 app.get('/api/leaves', async (req, res) => {
     try {
-        const sheet = await getOrCreateSheet('請假紀錄', ['請假ID', '學號', '姓名', '班級', '日期', '節次', '請假類型', '原因', '狀態', '申請時間', '審核時間', '審核備註']);
+        const sheet = await getOrCreateSheet('請假紀錄');
         const rows = await sheet.getRows();
         res.json(rows.map(r => ({
             id: r.get('請假ID'),
@@ -2893,7 +6594,7 @@ app.get('/api/leaves', async (req, res) => {
 app.post('/api/leaves', async (req, res) => {
     try {
         const { studentId, date, periods, type, reason, status } = req.body;
-        const sheet = await getOrCreateSheet('請假紀錄', ['請假ID', '學號', '姓名', '班級', '日期', '節次', '請假類型', '原因', '狀態', '申請時間', '審核時間', '審核備註']);
+        const sheet = await getOrCreateSheet('請假紀錄');
         const studentSheet = doc.sheetsByTitle['學生名單'];
         
         if (!studentSheet) return res.json({ success: false, message: '找不到學生資料' });
@@ -2904,7 +6605,7 @@ app.post('/api/leaves', async (req, res) => {
         
         const leaveId = 'L' + Date.now();
         const leaveStatus = status || '待審核';
-        const now = new Date().toLocaleString('zh-TW');
+        const now = formatDateTime(new Date());
         
         await sheet.addRow({
             '請假ID': leaveId,
@@ -2940,7 +6641,7 @@ app.put('/api/leaves/:id', async (req, res) => {
         if (!row) return res.json({ success: false, message: '找不到請假單' });
         
         row.set('狀態', status);
-        row.set('審核時間', new Date().toLocaleString('zh-TW'));
+        row.set('審核時間', formatDateTime(new Date()));
         row.set('審核備註', note || '');
         await row.save();
         
@@ -2983,13 +6684,138 @@ app.delete('/api/leaves/:id', async (req, res) => {
     }
 });
 
+// === 補簽申請 API ===
+// 補簽申請列表（status 篩選：待審核 / 已核准 / 已駁回；含照片網址，需老師金鑰）
+app.get('/api/makeups', requireTeacher, async (req, res) => {
+    try {
+        const { status } = req.query;
+        const sheet = await getOrCreateSheet('補簽申請');
+        const rows = await sheet.getRows();
+        res.json(rows
+            .filter(r => !status || r.get('狀態') === status)
+            .map(r => ({
+                id: r.get('申請ID'),
+                studentId: r.get('學號'),
+                name: r.get('姓名'),
+                classCode: r.get('班級'),
+                sessionId: r.get('活動ID'),
+                recordId: r.get('紀錄ID'),
+                subject: r.get('科目'),
+                date: r.get('日期'),
+                reason: r.get('原因'),
+                photoUrl: r.get('照片') ? getPhotoUrl(r.get('照片')) : null,
+                status: r.get('狀態'),
+                createdAt: r.get('申請時間'),
+                reviewedAt: r.get('審核時間'),
+                note: r.get('審核備註')
+            }))
+            .reverse());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 審核補簽（核准時把缺席紀錄改為 recordStatus，預設已報到）
+app.put('/api/makeups/:id', requireTeacher, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, note, recordStatus = '已報到' } = req.body;
+        if (!MAKEUP_STATUSES.includes(status) || status === '待審核') {
+            return res.status(400).json({ success: false, message: '審核結果必須是：已核准、已駁回' });
+        }
+        if (!RECORD_STATUSES.includes(recordStatus) || recordStatus === '缺席') {
+            return res.status(400).json({ success: false, message: `補簽後的狀態必須是：${RECORD_STATUSES.filter(s => s !== '缺席').join('、')}` });
+        }
+        
+        const result = await runExclusive('makeups', async () => {
+            const sheet = await getOrCreateSheet('補簽申請');
+            const row = (await sheet.getRows()).find(r => r.get('申請ID') === id);
+            if (!row) return { code: 404, message: '找不到補簽申請' };
+            if (row.get('狀態') !== '待審核') return { code: 409, message: `此申請已審核（${row.get('狀態')}）` };
+            
+            if (status === '已核准') {
+                const record = await findRecordById(row.get('紀錄ID'));
+                if (!record) return { code: 404, message: '找不到對應的簽到紀錄' };
+                
+                // 連堂課只把缺席的節次改為補簽後的狀態
+                const periodStatuses = parsePeriodStatuses(record.get('節次狀態'));
+                if (periodStatuses.length > 0) {
+                    periodStatuses.forEach(p => { if (p.status === '缺席') p.status = recordStatus; });
+                    record.set('節次狀態', formatPeriodStatuses(periodStatuses));
+                    record.set('狀態', summarizePeriodStatuses(periodStatuses));
+                } else {
+                    record.set('狀態', recordStatus);
+                }
+                if (!['遲到', '嚴重遲到'].includes(record.get('狀態'))) record.set('遲到分鐘', 0);
+                record.set('備註', [record.get('備註'), `補簽核准（${row.get('原因')}）`].filter(Boolean).join('；'));
+                record.set('修改時間', formatDateTime(new Date()));
+                await record.save();
+                await refreshStudentStatistics(record.get('學號'));
+            }
+            
+            row.set('狀態', status);
+            row.set('審核時間', formatDateTime(new Date()));
+            row.set('審核備註', note || '');
+            await row.save();
+            return { row };
+        });
+        if (!result.row) {
+            return res.status(result.code).json({ success: false, message: result.message });
+        }
+        
+        // 通知學生
+        const row = result.row;
+        const studentSheet = doc.sheetsByTitle['學生名單'];
+        const student = studentSheet && (await studentSheet.getRows()).find(s => s.get('學號') === row.get('學號'));
+        if (student && student.get('LINE_ID')) {
+            const statusText = status === '已核准' ? `✅ 已核准，紀錄改為「${recordStatus}」` : '❌ 已駁回';
+            try {
+                await lineClient.pushMessage(student.get('LINE_ID'), {
+                    type: 'text',
+                    text: `📝 補簽審核結果\n\n${statusText}\n課程：${row.get('日期')} ${row.get('科目')}${note ? `\n備註：${note}` : ''}`
+                });
+            } catch (e) { console.log('LINE 通知失敗:', e.message); }
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// === 照片 ===
+// 照片網址帶有期限與簽章（由管理後台的 API 產生），知道檔名也無法直接開啟學生照片
+const PHOTO_URL_TTL_SECONDS = 3600;
+
+function signPhotoUrl(name, expires) {
+    return crypto.createHmac('sha256', QR_SECRET).update(`photo|${name}|${expires}`).digest('base64url');
+}
+
+/**
+ * 產生照片的簽章網址（PHOTO_URL_TTL_SECONDS 秒內有效）
+ */
+function getPhotoUrl(name) {
+    const expires = Math.floor(Date.now() / 1000) + PHOTO_URL_TTL_SECONDS;
+    return `/api/photos/${name}?expires=${expires}&sig=${signPhotoUrl(name, expires)}`;
+}
+
+app.get('/api/photos/:name', (req, res) => {
+    const expires = parseInt(req.query.expires);
+    const actual = Buffer.from(String(req.query.sig || ''));
+    const expected = Buffer.from(signPhotoUrl(req.params.name, expires));
+    if (!(expires * 1000 > Date.now()) || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return res.status(403).json({ success: false, message: '照片連結無效或已過期，請重新整理頁面' });
+    }
+    const filePath = getPhotoPath(req.params.name);
+    if (!filePath) return res.status(404).json({ success: false, message: '找不到照片' });
+    res.sendFile(filePath);
+});
+
 // === 調代課系統 API ===
 // 取得調代課列表
 app.get('/api/substitutes', async (req, res) => {
     try {
-        const sheet = await getOrCreateSheet('調代課紀錄', [
-            '紀錄ID', '類型', '課程ID', '課程名稱', '原日期', '原節次', '新日期', '新節次', '代課教師', '原因', '建立時間'
-        ]);
+        const sheet = await getOrCreateSheet('調代課紀錄');
         const rows = await sheet.getRows();
         res.json(rows.map(r => ({
             id: r.get('紀錄ID'),
@@ -3013,9 +6839,7 @@ app.get('/api/substitutes', async (req, res) => {
 app.post('/api/substitutes', async (req, res) => {
     try {
         const { type, courseId, origDate, origPeriod, newDate, newPeriod, subTeacher, reason } = req.body;
-        const sheet = await getOrCreateSheet('調代課紀錄', [
-            '紀錄ID', '類型', '課程ID', '課程名稱', '原日期', '原節次', '新日期', '新節次', '代課教師', '原因', '建立時間'
-        ]);
+        const sheet = await getOrCreateSheet('調代課紀錄');
         
         // 取得課程名稱
         let courseName = courseId;
@@ -3040,7 +6864,7 @@ app.post('/api/substitutes', async (req, res) => {
             '新節次': newPeriod || '',
             '代課教師': subTeacher || '',
             '原因': reason || '',
-            '建立時間': new Date().toLocaleString('zh-TW')
+            '建立時間': formatDateTime(new Date())
         });
         
         res.json({ success: true, recordId });
@@ -3089,6 +6913,103 @@ app.post('/api/students/:id/parent', async (req, res) => {
     }
 });
 
+// ===== 教師帳號 =====
+
+// 綁定碼有效時數（過期需重新產生）
+const TEACHER_BIND_CODE_HOURS = 24;
+
+/**
+ * 產生 6 位數綁定碼
+ */
+function generateTeacherBindCode() {
+    return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+function getTeacherBindCodeExpiry() {
+    return new Date(Date.now() + TEACHER_BIND_CODE_HOURS * 3600000);
+}
+
+// 教師名單（綁定碼只在產生時回傳一次，不列在名單中）
+app.get('/api/teachers', requireTeacher, async (req, res) => {
+    try {
+        const sheet = await getOrCreateSheet('教師名單');
+        const rows = await sheet.getRows();
+        res.json(rows.map(r => ({
+            id: r.get('教師ID'),
+            name: r.get('姓名'),
+            bound: !!r.get('LINE_ID'),
+            bindCodePending: !!r.get('綁定碼'),
+            bindCodeExpiresAt: r.get('綁定碼期限') ? formatDateTime(new Date(r.get('綁定碼期限'))) : '',
+            boundAt: r.get('綁定時間') || '',
+            createdAt: r.get('建立時間') || ''
+        })));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 新增教師（姓名需與課程的「教師」欄位相同），回傳 LINE 綁定碼
+app.post('/api/teachers', requireTeacher, async (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ success: false, message: '請輸入教師姓名' });
+        }
+        const sheet = await getOrCreateSheet('教師名單');
+        const rows = await sheet.getRows();
+        if (rows.some(r => r.get('姓名') === name)) {
+            return res.status(400).json({ success: false, message: '教師已存在' });
+        }
+        
+        const teacherId = 'T' + Date.now();
+        const bindCode = generateTeacherBindCode();
+        const expiresAt = getTeacherBindCodeExpiry();
+        await sheet.addRow({
+            '教師ID': teacherId,
+            '姓名': name,
+            'LINE_ID': '',
+            '綁定碼': bindCode,
+            '綁定碼期限': toZonedISOString(expiresAt),
+            '建立時間': formatDateTime(new Date())
+        });
+        res.json({ success: true, teacherId, bindCode, bindCodeExpiresAt: formatDateTime(expiresAt) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 重新產生綁定碼（會解除目前綁定的 LINE 帳號）
+app.post('/api/teachers/:id/bind-code', requireTeacher, async (req, res) => {
+    try {
+        const sheet = await getOrCreateSheet('教師名單');
+        const row = (await sheet.getRows()).find(r => r.get('教師ID') === req.params.id);
+        if (!row) return res.status(404).json({ success: false, message: '教師不存在' });
+        
+        const bindCode = generateTeacherBindCode();
+        const expiresAt = getTeacherBindCodeExpiry();
+        row.set('LINE_ID', '');
+        row.set('綁定碼', bindCode);
+        row.set('綁定碼期限', toZonedISOString(expiresAt));
+        row.set('綁定時間', '');
+        await row.save();
+        res.json({ success: true, bindCode, bindCodeExpiresAt: formatDateTime(expiresAt) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/teachers/:id', requireTeacher, async (req, res) => {
+    try {
+        const sheet = doc.sheetsByTitle['教師名單'];
+        if (!sheet) return res.json({ success: true });
+        const row = (await sheet.getRows()).find(r => r.get('教師ID') === req.params.id);
+        if (row) await row.delete();
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // 發送通知給家長
 app.post('/api/notify/parent', async (req, res) => {
     try {
@@ -3159,37 +7080,35 @@ app.get('/api/reports/weekly', async (req, res) => {
             return res.json({ success: false, message: '資料表不存在' });
         }
         
-        const records = await recordSheet.getRows();
+        const { records, sessions } = await loadAttendanceData({ startDate: weekStart, endDate: weekEnd });
         const students = await studentSheet.getRows();
         const classes = classSheet ? await classSheet.getRows() : [];
         
         // 過濾本週紀錄
         const weekRecords = records.filter(r => {
-            const date = r.get('簽到時間')?.split(' ')[0];
+            const date = getRecordDate(r);
             return date >= weekStart && date <= weekEnd;
         });
         
-        const total = weekRecords.length;
-        const attended = weekRecords.filter(r => r.get('狀態') === '已報到').length;
-        const late = weekRecords.filter(r => r.get('狀態') === '遲到').length;
-        const absent = weekRecords.filter(r => r.get('狀態') === '缺席').length;
-        const rate = total > 0 ? Math.round((attended + late) / total * 100) : 0;
+        // 與學生統計相同以 summarizeAttendance 計算（連堂課以節為單位，請假不列入出席率）
+        const weekSummary = summarizeAttendance(weekRecords);
+        const { total, late, severeLate, earlyLeave, absent } = weekSummary;
+        const attended = weekSummary.onTime;
+        const rate = weekSummary.rate ?? 0;
         
         // 各班統計
         const classSummary = [];
+        const sessionClassMap = await getSessionClassMap(sessions);
         for (const cls of classes) {
             const code = cls.get('班級代碼');
-            const classStudents = students.filter(s => (s.get('班級') || '').split(/[,、/]/).map(c => c.trim()).includes(code)).map(s => s.get('學號'));
-            const classRecords = weekRecords.filter(r => classStudents.includes(r.get('學號')));
-            const cTotal = classRecords.length;
-            const cAttended = classRecords.filter(r => r.get('狀態') === '已報到').length;
-            const cLate = classRecords.filter(r => r.get('狀態') === '遲到').length;
-            const cAbsent = classRecords.filter(r => r.get('狀態') === '缺席').length;
+            const memberIds = await getClassStudentIds(code);
+            const classRecords = weekRecords.filter(r => isClassRecord(r, code, sessionClassMap, memberIds));
+            const c = summarizeAttendance(classRecords);
             
             classSummary.push({
                 code, name: cls.get('班級名稱'),
-                total: cTotal, attended: cAttended, late: cLate, absent: cAbsent,
-                rate: cTotal > 0 ? Math.round((cAttended + cLate) / cTotal * 100) : 100
+                total: c.total, attended: c.onTime, late: c.late, severeLate: c.severeLate, earlyLeave: c.earlyLeave, absent: c.absent,
+                rate: c.rate ?? 100
             });
         }
         
@@ -3198,15 +7117,16 @@ app.get('/api/reports/weekly', async (req, res) => {
         for (const student of students) {
             const studentId = student.get('學號');
             const studentRecords = weekRecords.filter(r => r.get('學號') === studentId);
-            const sAbsent = studentRecords.filter(r => r.get('狀態') === '缺席').length;
-            const sLate = studentRecords.filter(r => r.get('狀態') === '遲到').length;
+            const s = summarizeAttendance(studentRecords);
+            const sAbsent = s.absent;
+            const sLate = s.late + s.severeLate;
             
             if (sAbsent >= 2 || sLate >= 3) {
                 problemStudents.push({ studentId, name: student.get('姓名'), classCode: student.get('班級'), absent: sAbsent, late: sLate });
             }
         }
         
-        res.json({ success: true, weekStart, weekEnd, summary: { total, attended, late, absent, rate }, classSummary, problemStudents });
+        res.json({ success: true, weekStart, weekEnd, summary: { total, attended, late, severeLate, earlyLeave, absent, rate }, classSummary, problemStudents });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -3222,6 +7142,8 @@ app.post('/api/reports/weekly/send', async (req, res) => {
         text += `• 出席率：${report.summary.rate}%\n`;
         text += `• 出席：${report.summary.attended} 次\n`;
         text += `• 遲到：${report.summary.late} 次\n`;
+        if (report.summary.severeLate > 0) text += `• 嚴重遲到：${report.summary.severeLate} 次\n`;
+        if (report.summary.earlyLeave > 0) text += `• 早退：${report.summary.earlyLeave} 次\n`;
         text += `• 缺席：${report.summary.absent} 次\n\n`;
         
         if (report.problemStudents?.length > 0) {
@@ -3246,33 +7168,36 @@ app.post('/api/reports/weekly/send', async (req, res) => {
 // === 匯出報表 API ===
 app.get('/api/export/attendance', async (req, res) => {
     try {
-        const { format, startDate, endDate, classCode } = req.query;
+        const { format, startDate, endDate, classCode, semester } = req.query;
         const recordSheet = doc.sheetsByTitle['簽到紀錄'];
         const studentSheet = doc.sheetsByTitle['學生名單'];
         
         if (!recordSheet || !studentSheet) return res.json({ success: false });
         
-        const records = await recordSheet.getRows();
+        const { records, sessions } = await loadAttendanceData({ semester, startDate, endDate });
         const students = await studentSheet.getRows();
         
         let filtered = records;
-        if (startDate) filtered = filtered.filter(r => r.get('簽到時間')?.split(' ')[0] >= startDate);
-        if (endDate) filtered = filtered.filter(r => r.get('簽到時間')?.split(' ')[0] <= endDate);
+        if (startDate) filtered = filtered.filter(r => getRecordDate(r) >= startDate);
+        if (endDate) filtered = filtered.filter(r => getRecordDate(r) <= endDate);
         if (classCode) {
-            const classStudentIds = students.filter(s => (s.get('班級') || '').split(/[,、/]/).map(c => c.trim()).includes(classCode)).map(s => s.get('學號'));
-            filtered = filtered.filter(r => classStudentIds.includes(r.get('學號')));
+            const sessionClassMap = await getSessionClassMap(sessions);
+            const memberIds = await getClassStudentIds(classCode);
+            filtered = filtered.filter(r => isClassRecord(r, classCode, sessionClassMap, memberIds));
         }
         
         const data = filtered.map(r => {
             const student = students.find(s => s.get('學號') === r.get('學號'));
+            const time = getRecordTime(r);
             return {
-                日期: r.get('簽到時間')?.split(' ')[0] || '',
-                時間: r.get('簽到時間')?.split(' ')[1] || '',
+                日期: getRecordDate(r),
+                時間: time ? formatDateTime(time).split(' ')[1] : '',
                 學號: r.get('學號'),
                 姓名: student?.get('姓名') || '',
                 班級: student?.get('班級') || '',
                 狀態: r.get('狀態'),
                 遲到分鐘: r.get('遲到分鐘') || 0,
+                簽退時間: r.get('簽退時間') || '',
                 備註: r.get('備註') || ''
             };
         });
@@ -3288,7 +7213,7 @@ app.get('/api/export/attendance', async (req, res) => {
 app.post('/api/students', async (req, res) => {
     try {
         const { studentId, name, classCode, lineId, lineName, phone, parentPhone, parentLineId } = req.body;
-        const sheet = await getOrCreateSheet('學生名單', ['學號', '姓名', '班級', 'LINE_ID', 'LINE名稱', '電話', '家長電話', '家長LINE_ID', '註冊時間']);
+        const sheet = await getOrCreateSheet('學生名單');
         
         // 檢查學號是否已存在
         const rows = await sheet.getRows();
@@ -3306,9 +7231,13 @@ app.post('/api/students', async (req, res) => {
             '電話': phone || '',
             '家長電話': parentPhone || '',
             '家長LINE_ID': parentLineId || '',
-            '註冊時間': new Date().toLocaleString('zh-TW')
+            '註冊時間': formatDateTime(new Date()),
+            '狀態': '正常'
         });
         
+        await setStudentClasses(studentId, parseClassCodes(classCode));
+        await syncStudentClassField(studentId);
+        
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -3328,13 +7257,17 @@ app.put('/api/students/:id', async (req, res) => {
         if (!row) return res.json({ success: false, message: '學生不存在' });
         
         if (name) row.set('姓名', name);
-        if (classCode) row.set('班級', classCode);
         if (lineId !== undefined) row.set('LINE_ID', lineId);
         if (lineName !== undefined) row.set('LINE名稱', lineName);
         if (phone !== undefined) row.set('電話', phone);
         if (parentPhone !== undefined) row.set('家長電話', parentPhone);
         await row.save();
         
+        if (classCode) {
+            await setStudentClasses(id, parseClassCodes(classCode));
+            await syncStudentClassField(id);
+        }
+        
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -3352,6 +7285,9 @@ app.delete('/api/students/:id', async (req, res) => {
         const row = rows.find(r => r.get('學號') === id);
         if (row) await row.delete();
         
+        // 退出所有班級（保留成員紀錄）
+        await setStudentClasses(id, []);
+        
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -3361,7 +7297,7 @@ app.delete('/api/students/:id', async (req, res) => {
 // === 匯出 Excel ===
 app.get('/api/export/excel', async (req, res) => {
     try {
-        const { startDate, endDate, classCode, type } = req.query;
+        const { startDate, endDate, classCode, type, semester } = req.query;
         const recordSheet = doc.sheetsByTitle['簽到紀錄'];
         const studentSheet = doc.sheetsByTitle['學生名單'];
         const courseSheet = doc.sheetsByTitle['課程列表'];
@@ -3370,50 +7306,51 @@ app.get('/api/export/excel', async (req, res) => {
             return res.status(400).json({ success: false, message: '資料表不存在' });
         }
         
-        const records = await recordSheet.getRows();
+        const { records, sessions } = await loadAttendanceData({ semester, startDate, endDate });
         const students = await studentSheet.getRows();
         const courses = courseSheet ? await courseSheet.getRows() : [];
         
         let data = [];
+        const sessionClassMap = classCode ? await getSessionClassMap(sessions) : {};
+        const memberIds = classCode ? await getClassStudentIds(classCode) : new Set();
+        const matchClass = r => !classCode || isClassRecord(r, classCode, sessionClassMap, memberIds);
         
         if (type === 'summary') {
             // 學生出席率摘要
             for (const student of students) {
                 const studentId = student.get('學號');
-                if (classCode && student.get('班級') !== classCode) continue;
+                if (classCode && !memberIds.has(studentId)) continue;
                 
                 const studentRecords = records.filter(r => {
-                    const date = r.get('簽到時間')?.split(' ')[0];
+                    const date = getRecordDate(r);
                     const matchDate = (!startDate || date >= startDate) && (!endDate || date <= endDate);
-                    return r.get('學號') === studentId && matchDate;
+                    return r.get('學號') === studentId && matchDate && matchClass(r);
                 });
                 
-                const total = studentRecords.length;
-                const attended = studentRecords.filter(r => r.get('狀態') === '已報到').length;
-                const late = studentRecords.filter(r => r.get('狀態') === '遲到').length;
-                const absent = studentRecords.filter(r => r.get('狀態') === '缺席').length;
-                const rate = total > 0 ? Math.round((attended + late) / total * 100) : 100;
+                const s = summarizeAttendance(studentRecords);
                 
                 data.push({
                     學號: studentId,
                     姓名: student.get('姓名'),
                     班級: student.get('班級'),
-                    總堂數: total,
-                    出席: attended,
-                    遲到: late,
-                    缺席: absent,
-                    出席率: rate + '%'
+                    總堂數: s.total,
+                    出席: s.onTime,
+                    遲到: s.late,
+                    嚴重遲到: s.severeLate,
+                    早退: s.earlyLeave,
+                    缺席: s.absent,
+                    出席率: (s.rate ?? 100) + '%'
                 });
             }
         } else {
             // 詳細出缺紀錄
             for (const r of records) {
-                const date = r.get('簽到時間')?.split(' ')[0];
+                const date = getRecordDate(r);
                 if (startDate && date < startDate) continue;
                 if (endDate && date > endDate) continue;
                 
+                if (!matchClass(r)) continue;
                 const student = students.find(s => s.get('學號') === r.get('學號'));
-                if (classCode && student?.get('班級') !== classCode) continue;
                 
                 const course = courses.find(c => c.get('課程ID') === r.get('課程ID'));
                 
@@ -3426,6 +7363,7 @@ app.get('/api/export/excel', async (req, res) => {
                     課程: course?.get('科目') || '',
                     狀態: r.get('狀態'),
                     遲到分鐘: r.get('遲到分鐘') || 0,
+                    簽退時間: r.get('簽退時間') || '',
                     備註: r.get('備註') || ''
                 });
             }
@@ -3441,7 +7379,7 @@ app.get('/api/export/excel', async (req, res) => {
             data.map(row => headers.map(h => '"' + (row[h] || '').toString().replace(/"/g, '""') + '"').join(',')).join('\n');
         
         res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-        res.setHeader('Content-Disposition', 'attachment; filename=attendance_' + new Date().toISOString().split('T')[0] + '.csv');
+        res.setHeader('Content-Disposition', 'attachment; filename=attendance_' + getTodayString() + '.csv');
         res.send(csv);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -3449,22 +7387,103 @@ app.get('/api/export/excel', async (req, res) => {
 });
 
 // === 手動調整出席紀錄 ===
+const RECORD_STATUSES = ['已報到', '遲到', '嚴重遲到', '早退', '請假', '缺席'];
+
+async function findRecordById(id) {
+    const sheet = doc.sheetsByTitle['簽到紀錄'];
+    if (!sheet) return null;
+    const rows = await sheet.getRows();
+    return rows.find(r => getRecordId(r) === id) || null;
+}
+
+// 可疑簽到（只偵測不寫入；篩選：sessionId、startDate、endDate、semester）
+app.get('/api/records/suspicious', async (req, res) => {
+    try {
+        const { flags } = await scanSuspiciousCheckins(req.query);
+        res.json({ success: true, count: flags.length, flags });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 偵測可疑簽到並標記在備註欄
+app.post('/api/records/suspicious/mark', async (req, res) => {
+    try {
+        const { flags, marked } = await scanSuspiciousCheckins(req.body || {}, { mark: true });
+        res.json({ success: true, count: flags.length, marked, flags });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/records/:id', async (req, res) => {
+    try {
+        const row = await findRecordById(req.params.id);
+        if (!row) return res.status(404).json({ success: false, message: '找不到紀錄' });
+        
+        res.json({
+            id: getRecordId(row),
+            sessionId: row.get('活動ID'),
+            studentId: row.get('學號'),
+            date: getRecordDate(row),
+            time: row.get('簽到時間'),
+            status: row.get('狀態'),
+            lateMinutes: row.get('遲到分鐘'),
+            gpsLat: row.get('GPS緯度'),
+            gpsLon: row.get('GPS經度'),
+            note: row.get('備註'),
+            updatedAt: row.get('修改時間')
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 app.put('/api/records/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const { status, note } = req.body;
-        const sheet = doc.sheetsByTitle['簽到紀錄'];
-        if (!sheet) return res.json({ success: false });
-        
-        const rows = await sheet.getRows();
-        const row = rows.find(r => r.rowNumber.toString() === id || r.get('活動ID') + '_' + r.get('學號') === id);
-        if (!row) return res.json({ success: false, message: '找不到紀錄' });
+        const { status, note, lateMinutes, periods } = req.body;
+        const periodValues = periods ? Object.values(periods) : [];
+        if ((status && !RECORD_STATUSES.includes(status)) || periodValues.some(s => !RECORD_STATUSES.includes(s))) {
+            return res.status(400).json({ success: false, message: `狀態必須是：${RECORD_STATUSES.join('、')}` });
+        }
         
-        if (status) row.set('狀態', status);
+        const row = await findRecordById(id);
+        if (!row) return res.status(404).json({ success: false, message: '找不到紀錄' });
+        
+        // 連堂課可逐節修改（periods: { 節次: 狀態 }，整堂狀態依各節重新計算）；只改整堂狀態時每一節一起改
+        const periodStatuses = parsePeriodStatuses(row.get('節次狀態'));
+        if (periods && periodStatuses.length > 0) {
+            periodStatuses.forEach(p => { if (periods[p.n]) p.status = periods[p.n]; });
+            row.set('節次狀態', formatPeriodStatuses(periodStatuses));
+            row.set('狀態', summarizePeriodStatuses(periodStatuses));
+        } else if (status) {
+            row.set('狀態', status);
+            if (periodStatuses.length > 0) {
+                row.set('節次狀態', formatPeriodStatuses(periodStatuses.map(p => ({ n: p.n, status }))));
+            }
+        }
+        if (!['遲到', '嚴重遲到'].includes(row.get('狀態'))) row.set('遲到分鐘', 0);
+        if (lateMinutes !== undefined) row.set('遲到分鐘', parseInt(lateMinutes) || 0);
         if (note !== undefined) row.set('備註', note);
-        row.set('修改時間', new Date().toLocaleString('zh-TW'));
+        row.set('修改時間', formatDateTime(new Date()));
         await row.save();
+        await refreshStudentStatistics(row.get('學號'));
+        
+        res.json({ success: true, id: getRecordId(row) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/records/:id', async (req, res) => {
+    try {
+        const row = await findRecordById(req.params.id);
+        if (!row) return res.status(404).json({ success: false, message: '找不到紀錄' });
         
+        const studentId = row.get('學號');
+        await row.delete();
+        await refreshStudentStatistics(studentId);
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -3475,21 +7494,51 @@ app.put('/api/records/:id', async (req, res) => {
 app.post('/api/records/manual', async (req, res) => {
     try {
         const { studentId, courseId, date, status, note } = req.body;
-        const sheet = await getOrCreateSheet('簽到紀錄', ['活動ID', '學號', '簽到時間', '狀態', '遲到分鐘', 'GPS緯度', 'GPS經度', '備註', '修改時間']);
+        if (!studentId || !date) {
+            return res.status(400).json({ success: false, message: '請填寫學號和日期' });
+        }
+        if (status && !RECORD_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `狀態必須是：${RECORD_STATUSES.join('、')}` });
+        }
+        const sheet = await getOrCreateSheet('簽到紀錄');
+        
+        // 指定課程且當天有簽到活動時，記在該活動下（可依課程查詢）
+        let sessionId = 'MANUAL_' + Date.now();
+        if (courseId) {
+            const sessionSheet = doc.sheetsByTitle['簽到活動'];
+            const sessions = sessionSheet ? await sessionSheet.getRows() : [];
+            const session = sessions.find(s => s.get('課程ID') === courseId && s.get('日期') === date);
+            if (session) sessionId = session.get('活動ID');
+        }
         
-        await sheet.addRow({
-            '活動ID': 'MANUAL_' + Date.now(),
-            '學號': studentId,
-            '簽到時間': date + ' 00:00:00',
-            '狀態': status || '已報到',
-            '遲到分鐘': 0,
-            'GPS緯度': '',
-            'GPS經度': '',
-            '備註': note || '手動新增',
-            '修改時間': new Date().toLocaleString('zh-TW')
+        const recordId = generateRecordId();
+        const result = await runExclusive(`session:${sessionId}`, async () => {
+            const rows = await sheet.getRows();
+            const existing = rows.find(r => r.get('活動ID') === sessionId && r.get('學號') === studentId);
+            if (existing) {
+                return { success: false, message: '此學生在該活動已有紀錄，請直接修改', id: getRecordId(existing) };
+            }
+            
+            await sheet.addRow({
+                '紀錄ID': recordId,
+                '活動ID': sessionId,
+                '學號': studentId,
+                '簽到時間': date + ' 00:00:00',
+                '簽到時間ISO': toZonedISOString(zonedDateTime(date)),
+                '狀態': status || '已報到',
+                '遲到分鐘': 0,
+                'GPS緯度': '',
+                'GPS經度': '',
+                '備註': note || '手動新增',
+                '修改時間': formatDateTime(new Date())
+            });
+            return { success: true, id: recordId };
         });
         
-        res.json({ success: true });
+        if (result.success) {
+            await refreshStudentStatistics(studentId);
+        }
+        res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -3514,7 +7563,7 @@ app.get('/api/rewards/perfect-attendance', async (req, res) => {
         for (const student of students) {
             const studentId = student.get('學號');
             const studentRecords = records.filter(r => {
-                const date = r.get('簽到時間')?.split(' ')[0];
+                const date = getRecordDate(r);
                 const matchDate = (!startDate || date >= startDate) && (!endDate || date <= endDate);
                 return r.get('學號') === studentId && matchDate;
             });
@@ -3522,10 +7571,9 @@ app.get('/api/rewards/perfect-attendance', async (req, res) => {
             const total = studentRecords.length;
             if (total === 0) continue;
             
-            const absent = studentRecords.filter(r => r.get('狀態') === '缺席').length;
-            const late = studentRecords.filter(r => r.get('狀態') === '遲到').length;
+            const { absent, late, severeLate, earlyLeave } = summarizeAttendance(studentRecords);
             
-            if (absent === 0 && late === 0) {
+            if (absent === 0 && late === 0 && severeLate === 0 && earlyLeave === 0) {
                 perfectStudents.push({
                     studentId,
                     name: student.get('姓名'),
@@ -3598,7 +7646,8 @@ app.post('/api/reminders/send-now', async (req, res) => {
         
         const classCode = course.get('班級');
         const students = await studentSheet.getRows();
-        const classStudents = students.filter(s => (s.get('班級') || '').split(/[,、/]/).map(c => c.trim()).includes(classCode) && s.get('LINE_ID'));
+        const memberIds = await getClassStudentIds(classCode);
+        const classStudents = students.filter(s => memberIds.has(s.get('學號')) && s.get('LINE_ID'));
         
         let sent = 0;
         for (const student of classStudents) {
@@ -3620,7 +7669,7 @@ app.post('/api/reminders/send-now', async (req, res) => {
 // === 多位置 GPS 管理 ===
 app.get('/api/locations', async (req, res) => {
     try {
-        const sheet = await getOrCreateSheet('GPS位置', ['位置ID', '名稱', '緯度', '經度', '半徑', '備註']);
+        const sheet = await getOrCreateSheet('GPS位置');
         const rows = await sheet.getRows();
         res.json(rows.map(r => ({
             id: r.get('位置ID'),
@@ -3628,7 +7677,10 @@ app.get('/api/locations', async (req, res) => {
             lat: parseFloat(r.get('緯度')) || 0,
             lon: parseFloat(r.get('經度')) || 0,
             radius: parseInt(r.get('半徑')) || 50,
-            note: r.get('備註')
+            note: r.get('備註'),
+            polygon: parsePolygon(r.get('多邊形')),
+            seatRows: parseInt(r.get('座位排數')) || 0,
+            seatCols: parseInt(r.get('每排座位數')) || 0
         })));
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -3637,17 +7689,26 @@ app.get('/api/locations', async (req, res) => {
 
 app.post('/api/locations', async (req, res) => {
     try {
-        const { name, lat, lon, radius, note } = req.body;
-        const sheet = await getOrCreateSheet('GPS位置', ['位置ID', '名稱', '緯度', '經度', '半徑', '備註']);
+        const { name, radius, note } = req.body;
+        const polygon = parsePolygon(req.body.polygon);
+        if (req.body.polygon && !polygon) {
+            return res.status(400).json({ success: false, message: '多邊形至少需要 3 個有效頂點' });
+        }
+        // 多邊形未指定中心點時以頂點平均值代替（顯示、距離提示用）
+        const center = polygon && (!req.body.lat || !req.body.lon) ? getPolygonCenter(polygon) : null;
+        const sheet = await getOrCreateSheet('GPS位置');
         
         const locationId = 'LOC_' + Date.now();
         await sheet.addRow({
             '位置ID': locationId,
             '名稱': name,
-            '緯度': lat,
-            '經度': lon,
+            '緯度': center ? center[0] : req.body.lat,
+            '經度': center ? center[1] : req.body.lon,
             '半徑': radius || 50,
-            '備註': note || ''
+            '備註': note || '',
+            '多邊形': polygon ? JSON.stringify(polygon) : '',
+            '座位排數': parseInt(req.body.seatRows) || '',
+            '每排座位數': parseInt(req.body.seatCols) || ''
         });
         
         res.json({ success: true, locationId });
@@ -3689,6 +7750,17 @@ app.put('/api/locations/:id', async (req, res) => {
         if (lon !== undefined) row.set('經度', lon);
         if (radius !== undefined) row.set('半徑', radius);
         if (note !== undefined) row.set('備註', note);
+        // 多邊形：空值表示改回圓形範圍
+        if (req.body.polygon !== undefined) {
+            const polygon = parsePolygon(req.body.polygon);
+            if (req.body.polygon && !polygon) {
+                return res.status(400).json({ success: false, message: '多邊形至少需要 3 個有效頂點' });
+            }
+            row.set('多邊形', polygon ? JSON.stringify(polygon) : '');
+        }
+        // 座位配置：空值或 0 表示不使用座位
+        if (req.body.seatRows !== undefined) row.set('座位排數', parseInt(req.body.seatRows) || '');
+        if (req.body.seatCols !== undefined) row.set('每排座位數', parseInt(req.body.seatCols) || '');
         await row.save();
         
         res.json({ success: true });
@@ -3709,29 +7781,25 @@ app.get('/api/charts/attendance-trend', async (req, res) => {
         }
         
         const records = await recordSheet.getRows();
-        const today = new Date();
+        const today = getTodayString();
         const data = [];
         
         for (let i = numDays - 1; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
+            const dateStr = addDays(today, -i);
+            const [, month, day] = dateStr.split('-').map(Number);
             
-            const dayRecords = records.filter(r => r.get('簽到時間')?.startsWith(dateStr));
-            const total = dayRecords.length;
-            const attended = dayRecords.filter(r => r.get('狀態') === '已報到').length;
-            const late = dayRecords.filter(r => r.get('狀態') === '遲到').length;
-            const absent = dayRecords.filter(r => r.get('狀態') === '缺席').length;
-            const rate = total > 0 ? Math.round((attended + late) / total * 100) : 0;
+            const dayRecords = records.filter(r => getRecordDate(r) === dateStr);
+            const s = summarizeAttendance(dayRecords);
             
             data.push({
                 date: dateStr,
-                label: (date.getMonth() + 1) + '/' + date.getDate(),
-                total,
-                attended,
-                late,
-                absent,
-                rate
+                label: month + '/' + day,
+                total: s.total,
+                attended: s.onTime,
+                late: s.late,
+                severeLate: s.severeLate,
+                absent: s.absent,
+                rate: s.rate ?? 0
             });
         }
         
@@ -3756,25 +7824,26 @@ app.get('/api/charts/class-comparison', async (req, res) => {
         const classes = classSheet ? await classSheet.getRows() : [];
         const data = [];
         
-        // 取得所有班級代碼
-        const classCodes = [...new Set(students.map(s => s.get('班級')))];
+        // 取得所有班級代碼（班級列表 + 班級成員）
+        const enrollments = await getEnrollments();
+        const classCodes = [...new Set([
+            ...classes.map(c => c.get('班級代碼')),
+            ...enrollments.map(e => e.get('班級代碼'))
+        ].filter(c => c))];
+        const sessionClassMap = await getSessionClassMap();
         
         for (const code of classCodes) {
-            const classStudents = students.filter(s => s.get('班級') === code);
-            const studentIds = classStudents.map(s => s.get('學號'));
-            const classRecords = records.filter(r => studentIds.includes(r.get('學號')));
+            const memberIds = new Set(enrollments.filter(e => e.get('班級代碼') === code).map(e => e.get('學號')));
+            const classRecords = records.filter(r => isClassRecord(r, code, sessionClassMap, memberIds));
             
-            const total = classRecords.length;
-            const attended = classRecords.filter(r => r.get('狀態') === '已報到').length;
-            const late = classRecords.filter(r => r.get('狀態') === '遲到').length;
-            const rate = total > 0 ? Math.round((attended + late) / total * 100) : 0;
+            const rate = summarizeAttendance(classRecords).rate ?? 0;
             
             const classInfo = classes.find(c => c.get('班級代碼') === code);
             
             data.push({
                 code,
                 name: classInfo?.get('班級名稱') || code,
-                studentCount: classStudents.length,
+                studentCount: memberIds.size,
                 rate
             });
         }
@@ -3818,6 +7887,14 @@ app.get('/api/debug/students', async (req, res) => {
     }
 });
 
+// 檢查工作表欄位是否符合定義（除錯用）
+app.get('/api/debug/schema', (req, res) => {
+    res.json({
+        schemas: SHEET_SCHEMAS,
+        report: schemaReport
+    });
+});
+
 // 檢查特定 LINE_ID 是否存在（除錯用）
 app.get('/api/debug/check-lineid/:lineId', async (req, res) => {
     try {
@@ -3882,6 +7959,7 @@ app.get('/api/debug/course/:id', async (req, res) => {
             簽到範圍_原始值: rawRadius,
             簽到範圍_類型: typeof rawRadius,
             簽到範圍_解析: parseInt(rawRadius),
+            簽到方式: getCheckinMode(row),
             所有欄位: sheet.headerValues
         });
     } catch (error) {
@@ -3899,7 +7977,8 @@ app.post('/api/test/semester-end', async (req, res) => {
         if (!studentSheet) return res.json({ success: false, message: '學生名單不存在' });
         
         const students = await studentSheet.getRows();
-        const classStudents = students.filter(s => (s.get('班級') || '').split(/[,、/]/).map(c => c.trim()).includes(classCode) && s.get('LINE_ID'));
+        const memberIds = await getClassStudentIds(classCode);
+        const classStudents = students.filter(s => memberIds.has(s.get('學號')) && s.get('LINE_ID'));
         
         let count = 0;
         for (const student of classStudents) {
@@ -3930,7 +8009,8 @@ app.post('/api/test/checkin-notify', async (req, res) => {
         if (!studentSheet) return res.json({ success: false, message: '學生名單不存在' });
         
         const students = await studentSheet.getRows();
-        const classStudents = students.filter(s => (s.get('班級') || '').split(/[,、/]/).map(c => c.trim()).includes(classCode) && s.get('LINE_ID'));
+        const memberIds = await getClassStudentIds(classCode);
+        const classStudents = students.filter(s => memberIds.has(s.get('學號')) && s.get('LINE_ID'));
         
         const today = getTodayString();
         let notifyText = '';
@@ -3972,7 +8052,8 @@ app.post('/api/test/reminder', async (req, res) => {
         if (!studentSheet) return res.json({ success: false, message: '學生名單不存在' });
         
         const students = await studentSheet.getRows();
-        const classStudents = students.filter(s => (s.get('班級') || '').split(/[,、/]/).map(c => c.trim()).includes(classCode) && s.get('LINE_ID'));
+        const memberIds = await getClassStudentIds(classCode);
+        const classStudents = students.filter(s => memberIds.has(s.get('學號')) && s.get('LINE_ID'));
         
         // 建立測試簽到連結
         const botId = process.env.LINE_BOT_ID;
@@ -4014,9 +8095,12 @@ app.post('/api/test/reminder', async (req, res) => {
 
 const PORT = process.env.PORT || 3000;
 
-initGoogleSheets()
+initStorage()
     .then(async () => {
-        // 啟動時自動同步班級人數
+        // 第一次啟動時建立班級成員，再同步班級人數
+        await migrateEnrollments();
+        // 舊課程的簽到範圍特殊值（-1、0）轉成簽到方式
+        await migrateCheckinModes();
         await syncAllClassCounts();
         
         app.listen(PORT, () => {
@@ -0,0 +1,190 @@
+/**
+ * 工作表讀取快取
+ * 包裝儲存後端，同一工作表在 TTL 內的 getRows() 直接使用記憶體中的資料，
+ * 減少 Google Sheets API 讀取次數（避免尖峰時段觸發配額限制）
+ *
+ * - addRow / addRows：新列直接附加到快取
+ * - row.save()：快取中的同一列已是最新，不需重讀；非快取中的列則讓快取失效
+ * - row.delete() / setHeaderRow() / clearRows()：讓該工作表快取失效
+ * - uncached 指定的工作表每次都直接讀取後端（多個執行個體共用、不能讀到舊資料的工作表）
+ */
+
+/**
+ * 以快取包裝 doc
+ * @param {object} doc - 儲存後端（google-spreadsheet 介面）
+ * @param {object} options
+ * @param {number} options.ttlMs - 快取有效時間（毫秒），0 表示不快取
+ * @param {string[]} options.uncached - 不快取的工作表
+ */
+function withCache(doc, { ttlMs, uncached = [] }) {
+    // title -> { rows, expiresAt, loading }
+    const entries = new Map();
+    const patched = new WeakSet();
+
+    const cache = {
+        ttlMs,
+
+        /**
+         * 讓快取失效（不指定工作表則全部失效）
+         */
+        invalidate(title) {
+            if (title) {
+                entries.delete(title);
+            } else {
+                entries.clear();
+            }
+        },
+
+        /**
+         * 目前快取狀態
+         */
+        stats() {
+            const now = Date.now();
+            return [...entries.entries()]
+                .filter(([, entry]) => entry.rows)
+                .map(([title, entry]) => ({
+                    title,
+                    rows: entry.rows.length,
+                    expiresIn: Math.max(0, Math.round((entry.expiresAt - now) / 1000))
+                }));
+        }
+    };
+
+    function isCached(title, row) {
+        const entry = entries.get(title);
+        return !!(entry && entry.rows && entry.rows.includes(row));
+    }
+
+    function patchRow(title, row) {
+        if (patched.has(row)) return row;
+        patched.add(row);
+
+        const save = row.save.bind(row);
+        const remove = row.delete.bind(row);
+
+        row.save = async (...args) => {
+            const fromCache = isCached(title, row);
+            try {
+                return await save(...args);
+            } finally {
+                if (!fromCache) cache.invalidate(title);
+            }
+        };
+        row.delete = async (...args) => {
+            try {
+                return await remove(...args);
+            } finally {
+                cache.invalidate(title);
+            }
+        };
+        return row;
+    }
+
+    async function loadRows(sheet, getRows) {
+        const title = sheet.title;
+        const entry = entries.get(title);
+        if (entry && entry.rows && entry.expiresAt > Date.now()) {
+            return entry.rows;
+        }
+        // 同一工作表同時只讀取一次
+        if (entry && entry.loading) {
+            return entry.loading;
+        }
+
+        const loading = getRows().then(rows => {
+            rows.forEach(row => patchRow(title, row));
+            if (entries.get(title) === next) {
+                entries.set(title, { rows, expiresAt: Date.now() + ttlMs });
+            }
+            return rows;
+        }).catch(error => {
+            if (entries.get(title) === next) entries.delete(title);
+            throw error;
+        });
+        const next = { loading };
+        entries.set(title, next);
+        return loading;
+    }
+
+    function patchSheet(sheet) {
+        if (!sheet || patched.has(sheet)) return sheet;
+        patched.add(sheet);
+
+        const getRows = sheet.getRows.bind(sheet);
+        const addRows = sheet.addRows.bind(sheet);
+        const setHeaderRow = sheet.setHeaderRow ? sheet.setHeaderRow.bind(sheet) : null;
+        const clearRows = sheet.clearRows ? sheet.clearRows.bind(sheet) : null;
+
+        sheet.getRows = async (options = {}) => {
+            if (ttlMs <= 0 || uncached.includes(sheet.title)) {
+                const rows = await getRows(options);
+                return rows.map(row => patchRow(sheet.title, row));
+            }
+            const rows = await loadRows(sheet, () => getRows());
+            const offset = options.offset || 0;
+            const limit = options.limit || rows.length;
+            return rows.slice(offset, offset + limit);
+        };
+
+        const appendToCache = (rows) => {
+            const entry = entries.get(sheet.title);
+            rows.forEach(row => patchRow(sheet.title, row));
+            if (entry && entry.rows) {
+                entry.rows.push(...rows);
+            } else if (entry) {
+                // 讀取中途寫入，讀到的資料可能不含新列
+                entries.delete(sheet.title);
+            }
+        };
+
+        sheet.addRows = async (list, options) => {
+            const rows = await addRows(list, options);
+            appendToCache(rows);
+            return rows;
+        };
+        // 原本的 addRow 內部也是呼叫 addRows，統一走上面的版本避免重複附加
+        sheet.addRow = async (values, options) => {
+            const [row] = await sheet.addRows([values], options);
+            return row;
+        };
+        if (setHeaderRow) {
+            sheet.setHeaderRow = async (...args) => {
+                try {
+                    return await setHeaderRow(...args);
+                } finally {
+                    cache.invalidate(sheet.title);
+                }
+            };
+        }
+        if (clearRows) {
+            sheet.clearRows = async (...args) => {
+                try {
+                    return await clearRows(...args);
+                } finally {
+                    cache.invalidate(sheet.title);
+                }
+            };
+        }
+        return sheet;
+    }
+
+    return new Proxy(doc, {
+        get(target, prop) {
+            if (prop === 'cache') return cache;
+            if (prop === 'sheetsByTitle') {
+                const sheets = {};
+                for (const [title, sheet] of Object.entries(target.sheetsByTitle)) {
+                    sheets[title] = patchSheet(sheet);
+                }
+                return sheets;
+            }
+            if (prop === 'addSheet') {
+                return async (...args) => patchSheet(await target.addSheet(...args));
+            }
+            const value = Reflect.get(target, prop, target);
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+}
+
+module.exports = { withCache };
@@ -0,0 +1,51 @@
+/**
+ * 資料儲存介面
+ *
+ * 所有後端都提供與 google-spreadsheet 相同的介面：
+ * - doc.loadInfo() / doc.title / doc.sheetsByTitle[title] / doc.addSheet({ title, headerValues })
+ * - sheet.getRows() / sheet.addRow() / sheet.addRows() / sheet.clearRows() / sheet.headerValues / sheet.loadHeaderRow()
+ * - row.get() / row.set() / row.save() / row.delete() / row.rowNumber
+ *
+ * 涵蓋的工作表：學生名單、教師名單、班級列表、班級成員、班級群組、課程列表、簽到活動、簽到紀錄、請假紀錄、
+ * 補簽申請、調代課紀錄、系統設定、GPS位置、提醒紀錄、出席統計、對話狀態
+ *
+ * 照片不存在工作表中，另外存在 PHOTO_DIR 資料夾（見 storage/photos.js）
+ *
+ * 以環境變數 STORAGE_BACKEND 選擇後端：
+ * - sheets（預設）：Google Sheets
+ * - local：本地 JSON 檔（LOCAL_DATA_FILE，預設 data/attendance.json）
+ *
+ * 後端外層包一層讀取快取（CACHE_TTL_SECONDS，預設 30 秒，0 表示關閉），
+ * 可透過 doc.cache.invalidate(title) 手動失效；UNCACHED_SHEETS 不快取
+ */
+
+const { createSheetsStorage } = require('./sheets');
+const { createLocalStorage } = require('./local');
+const { withCache } = require('./cache');
+
+// 對話狀態：多個執行個體輪流處理同一位使用者的訊息，讀到其他執行個體寫入前的舊狀態會讓流程錯亂
+const UNCACHED_SHEETS = ['對話狀態'];
+
+const BACKENDS = {
+    sheets: createSheetsStorage,
+    local: createLocalStorage
+};
+
+/**
+ * 依設定建立儲存後端
+ */
+async function createStorage() {
+    const backend = (process.env.STORAGE_BACKEND || 'sheets').toLowerCase();
+    const create = BACKENDS[backend];
+    if (!create) {
+        throw new Error(`不支援的 STORAGE_BACKEND: ${backend}（可用：${Object.keys(BACKENDS).join(', ')}）`);
+    }
+    const doc = await create();
+    const ttlSeconds = parseInt(process.env.CACHE_TTL_SECONDS ?? '30');
+    return withCache(doc, {
+        ttlMs: (Number.isNaN(ttlSeconds) ? 30 : ttlSeconds) * 1000,
+        uncached: UNCACHED_SHEETS
+    });
+}
+
+module.exports = { createStorage, UNCACHED_SHEETS };
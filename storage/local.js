@@ -0,0 +1,193 @@
+/**
+ * 本地 JSON 檔儲存介面
+ * 模擬 google-spreadsheet 的 doc / sheet / row 介面，不需要 Google 服務帳號即可運作
+ * 適用於離線開發、測試與小型部署
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 轉成與 Google Sheets 讀回時相同的字串格式
+ */
+function toCellValue(value) {
+    if (value === undefined || value === null) return '';
+    return String(value);
+}
+
+/**
+ * 單列資料（對應 GoogleSpreadsheetRow）
+ */
+class LocalRow {
+    constructor(sheet, data) {
+        this._sheet = sheet;
+        this._data = data;
+    }
+
+    get rowNumber() {
+        // 與 Google Sheets 相同：第 1 列為標題列
+        return this._sheet._rows.indexOf(this._data) + 2;
+    }
+
+    get(key) {
+        if (!this._sheet.headerValues.includes(key)) return undefined;
+        return this._data[key] ?? '';
+    }
+
+    set(key, value) {
+        // 與 google-spreadsheet 相同：不存在的欄位直接忽略
+        if (!this._sheet.headerValues.includes(key)) return;
+        this._data[key] = toCellValue(value);
+    }
+
+    assign(values) {
+        for (const key of Object.keys(values)) {
+            this.set(key, values[key]);
+        }
+    }
+
+    toObject() {
+        const obj = {};
+        for (const key of this._sheet.headerValues) {
+            obj[key] = this.get(key);
+        }
+        return obj;
+    }
+
+    async save() {
+        await this._sheet._doc._persist();
+    }
+
+    async delete() {
+        const index = this._sheet._rows.indexOf(this._data);
+        if (index !== -1) {
+            this._sheet._rows.splice(index, 1);
+            await this._sheet._doc._persist();
+        }
+    }
+}
+
+/**
+ * 工作表（對應 GoogleSpreadsheetWorksheet）
+ */
+class LocalSheet {
+    constructor(doc, title, data) {
+        this._doc = doc;
+        this.title = title;
+        this._raw = data;
+    }
+
+    get headerValues() {
+        return this._raw.headerValues;
+    }
+
+    get _rows() {
+        return this._raw.rows;
+    }
+
+    get rowCount() {
+        return this._rows.length + 1;
+    }
+
+    async loadHeaderRow() {
+        return this.headerValues;
+    }
+
+    async setHeaderRow(headers) {
+        this._raw.headerValues = [...headers];
+        await this._doc._persist();
+    }
+
+    async getRows(options = {}) {
+        const offset = options.offset || 0;
+        const limit = options.limit || this._rows.length;
+        return this._rows
+            .slice(offset, offset + limit)
+            .map(data => new LocalRow(this, data));
+    }
+
+    async clearRows() {
+        this._raw.rows = [];
+        await this._doc._persist();
+    }
+
+    async addRow(values) {
+        const [row] = await this.addRows([values]);
+        return row;
+    }
+
+    async addRows(list) {
+        const rows = list.map(values => {
+            const data = {};
+            for (const key of this.headerValues) {
+                data[key] = toCellValue(values[key]);
+            }
+            this._rows.push(data);
+            return new LocalRow(this, data);
+        });
+        await this._doc._persist();
+        return rows;
+    }
+}
+
+/**
+ * 試算表（對應 GoogleSpreadsheet）
+ */
+class LocalDocument {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.title = `本地資料 (${path.basename(filePath)})`;
+        this.sheetsByTitle = {};
+        this._data = { sheets: {} };
+        this._writing = Promise.resolve();
+    }
+
+    async loadInfo() {
+        // 資料常駐記憶體，只在第一次載入時讀檔
+        if (this._loaded) return;
+
+        if (fs.existsSync(this.filePath)) {
+            this._data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            this._data.sheets = this._data.sheets || {};
+        }
+        for (const title of Object.keys(this._data.sheets)) {
+            this.sheetsByTitle[title] = new LocalSheet(this, title, this._data.sheets[title]);
+        }
+        this._loaded = true;
+    }
+
+    async addSheet({ title, headerValues = [] }) {
+        if (this.sheetsByTitle[title]) {
+            throw new Error(`工作表已存在: ${title}`);
+        }
+        this._data.sheets[title] = { headerValues: [...headerValues], rows: [] };
+        this.sheetsByTitle[title] = new LocalSheet(this, title, this._data.sheets[title]);
+        await this._persist();
+        return this.sheetsByTitle[title];
+    }
+
+    /**
+     * 寫入檔案（依序執行，先寫暫存檔再改名，避免檔案寫到一半）
+     */
+    _persist() {
+        this._writing = this._writing.catch(() => {}).then(async () => {
+            const tmpPath = this.filePath + '.tmp';
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, JSON.stringify(this._data, null, 2));
+            await fs.promises.rename(tmpPath, this.filePath);
+        });
+        return this._writing;
+    }
+}
+
+/**
+ * 建立本地儲存
+ */
+async function createLocalStorage() {
+    const filePath = path.resolve(process.env.LOCAL_DATA_FILE || path.join('data', 'attendance.json'));
+    const doc = new LocalDocument(filePath);
+    await doc.loadInfo();
+    return doc;
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,52 @@
+/**
+ * 照片儲存
+ * 學生從 LINE 傳來的照片（例如補簽佐證）存在本地資料夾，工作表只記錄檔名
+ *
+ * 資料夾由環境變數 PHOTO_DIR 指定（預設 data/photos）；
+ * 部署平台的檔案系統不會保留時，請將 PHOTO_DIR 指到持久化磁碟
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// 只接受 savePhoto() 產生的檔名，避免讀到資料夾以外的檔案
+const PHOTO_NAME_PATTERN = /^[A-Za-z0-9-]+\.jpg$/;
+
+function getPhotoDir() {
+    return path.resolve(process.env.PHOTO_DIR || path.join('data', 'photos'));
+}
+
+/**
+ * 儲存照片
+ * @param {import('stream').Readable} stream - 照片內容（LINE 傳來的圖片為 JPEG）
+ * @param {string} prefix - 檔名前綴（例如申請ID）
+ * @returns {Promise<string>} 檔名
+ */
+async function savePhoto(stream, prefix) {
+    const dir = getPhotoDir();
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const safePrefix = String(prefix || 'photo').replace(/[^A-Za-z0-9-]/g, '');
+    const name = `${safePrefix}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.jpg`;
+    const filePath = path.join(dir, name);
+    try {
+        await pipeline(stream, fs.createWriteStream(filePath));
+    } catch (e) {
+        await fs.promises.rm(filePath, { force: true });
+        throw e;
+    }
+    return name;
+}
+
+/**
+ * 取得照片的完整路徑（檔名不合法或檔案不存在時回傳 null）
+ */
+function getPhotoPath(name) {
+    if (!PHOTO_NAME_PATTERN.test(name || '')) return null;
+    const filePath = path.join(getPhotoDir(), name);
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+module.exports = { savePhoto, getPhotoPath };
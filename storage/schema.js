@@ -0,0 +1,147 @@
+/**
+ * 工作表欄位定義
+ * 所有工作表的標題列都以這裡為準，新增欄位時只需修改此處，
+ * 啟動時 migrateSchemas() 會自動把缺少的欄位補到既有試算表
+ */
+
+const SHEET_SCHEMAS = {
+    '學生名單': [
+        '學號', '姓名', '班級', 'LINE_ID', 'LINE名稱', '註冊時間', '狀態',
+        '電話', '家長電話', '家長LINE_ID', '家長姓名'
+    ],
+    // 教師以綁定碼在 LINE 輸入「教師綁定 綁定碼」綁定帳號，綁定後清除綁定碼（綁定碼期限為 ISO 時間）
+    '教師名單': ['教師ID', '姓名', 'LINE_ID', '綁定碼', '建立時間', '綁定時間', '綁定碼期限'],
+    '班級列表': ['班級代碼', '班級名稱', '部別', '導師', '人數', '建立時間'],
+    // 班級成員（身分：正式 / 旁聽；退出日期空白表示仍在班上）
+    '班級成員': ['學號', '班級代碼', '身分', '加入日期', '退出日期'],
+    // Bot 所在的班級 LINE 群組（教師在群組輸入「綁定班級 班級代碼」建立，Bot 離開群組時刪除）
+    '班級群組': ['群組ID', '班級代碼', '群組名稱', '綁定教師', '綁定時間'],
+    '課程列表': [
+        '課程ID', '科目', '班級', '教師', '星期', '節次', '上課時間', '教室',
+        '教室緯度', '教室經度', '簽到範圍', '遲到標準', '狀態', '建立時間',
+        // 簽到時段（分鐘）：上課前幾分鐘開放、上課後幾分鐘截止（空白為到下課）
+        '開放簽到', '截止簽到',
+        // 允許簽到的 GPS位置（位置ID，以逗號分隔），與教室座標任一符合即可
+        '簽到位置',
+        // qr-only / gps / online / qr+gps / code / online+photo（見 server.js CHECKIN_MODES）
+        '簽到方式',
+        // 下課前幾分鐘開放簽退（分鐘），空白表示不需簽退
+        '簽退開放',
+        // 連堂節數（從「節次」起連續幾節，空白為 1）
+        '節數',
+        // 遲到分級（例如 5:已報到,20:遲到,*:缺席），空白使用系統設定或遲到標準
+        '遲到分級'
+    ],
+    // 簽到方式空白表示依課程設定；節次時間為連堂課各節的 JSON [{ n, s, e }]，單節課空白
+    '簽到活動': ['活動ID', '課程ID', '日期', '開始時間', '結束時間', 'QR碼內容', '狀態', '簽到方式', '節次時間'],
+    '簽到紀錄': [
+        '活動ID', '學號', '簽到時間', '簽到時間ISO', '狀態', '遲到分鐘', 'GPS緯度', 'GPS經度', '備註',
+        '修改時間', '紀錄ID',
+        // GPS 簽到時與教室的距離（公尺）與位置驗證失敗重試次數（供可疑簽到偵測）
+        'GPS距離', 'GPS重試',
+        // GPS 簽到時符合的位置名稱
+        '符合位置',
+        // 需要簽退的課程：簽退時間（顯示用字串）；提前簽退或未簽退的紀錄狀態為「早退」
+        '簽退時間',
+        // 連堂課各節狀態（例如 1:缺席,2:遲到,3:已報到），「狀態」為整堂課的摘要
+        '節次狀態',
+        // LIFF 簽到頁回報的定位精度（公尺）
+        'GPS精度',
+        // 自拍照簽到的照片（PHOTO_DIR 中的檔名）
+        '簽到照片',
+        // 學生選擇的座位（排-位，例如 3-5）
+        '座位',
+        // 自拍照課程簽退時的照片（PHOTO_DIR 中的檔名）
+        '簽退照片'
+    ],
+    // 由簽到紀錄重新計算；課程ID 空白為該學生的總計，其餘為各課程
+    '出席統計': [
+        '學號', '姓名', '班級', '出席次數', '遲到次數', '缺席次數', '出席率', '最後更新',
+        '課程ID', '科目', '請假次數', '早退次數', '嚴重遲到次數'
+    ],
+    '請假紀錄': [
+        '請假ID', '學號', '姓名', '班級', '日期', '節次', '請假類型', '原因', '狀態',
+        '申請時間', '審核時間', '審核備註'
+    ],
+    // 學生在 LINE 申請補簽（紀錄ID 為被記缺席的簽到紀錄；照片為 PHOTO_DIR 中的檔名）
+    '補簽申請': [
+        '申請ID', '學號', '姓名', '班級', '活動ID', '紀錄ID', '科目', '日期', '原因', '照片', '狀態',
+        '申請時間', '審核時間', '審核備註'
+    ],
+    '調代課紀錄': [
+        '紀錄ID', '類型', '課程ID', '課程名稱', '原日期', '原節次', '新日期', '新節次',
+        '代課教師', '原因', '建立時間'
+    ],
+    '系統設定': ['設定項目', '設定值'],
+    // 多邊形為 JSON 頂點陣列 [[緯度, 經度], ...]，有設定時以多邊形判斷、不使用半徑
+    // 座位排數 × 每排座位數 為教室的座位配置，空白表示不需選座位
+    'GPS位置': ['位置ID', '名稱', '緯度', '經度', '半徑', '備註', '多邊形', '座位排數', '每排座位數'],
+    '提醒紀錄': ['課程ID', '日期', '類型', '發送時間', '活動ID'],
+    // LINE 對話流程狀態（資料為 JSON，時間為 ISO 格式）
+    '對話狀態': ['LINE_ID', '流程', '資料', '更新時間', '到期時間'],
+    // 已封存的學期（封存資料在「簽到紀錄_學期」「簽到活動_學期」工作表）
+    '學期封存': ['學期', '開始日期', '結束日期', '活動數', '紀錄數', '封存時間']
+};
+
+// 學期結束時會封存的工作表，封存後的工作表名稱為「原名稱_學期」，欄位與原工作表相同
+const ARCHIVED_SHEETS = ['簽到紀錄', '簽到活動'];
+
+/**
+ * 取得封存工作表名稱（例如 簽到紀錄_114-1）
+ */
+function getArchiveTitle(title, semester) {
+    return `${title}_${semester}`;
+}
+
+/**
+ * 取得工作表欄位定義（含封存工作表）
+ */
+function getSheetSchema(title) {
+    if (SHEET_SCHEMAS[title]) return SHEET_SCHEMAS[title];
+    const base = ARCHIVED_SHEETS.find(name => title.startsWith(`${name}_`));
+    return base ? SHEET_SCHEMAS[base] : null;
+}
+
+/**
+ * 將既有工作表的標題列補齊為 SHEET_SCHEMAS 定義的欄位
+ * 只會在最後面新增欄位，不會移動或刪除既有欄位
+ * @returns {Array<{ title: string, added: string[], unknown: string[] }>}
+ */
+async function migrateSchemas(doc) {
+    const report = [];
+
+    const archiveTitles = Object.keys(doc.sheetsByTitle).filter(title => !SHEET_SCHEMAS[title] && getSheetSchema(title));
+
+    for (const title of [...Object.keys(SHEET_SCHEMAS), ...archiveTitles]) {
+        const headers = getSheetSchema(title);
+        const sheet = doc.sheetsByTitle[title];
+        // 尚未建立的工作表會在第一次使用時依定義建立
+        if (!sheet) continue;
+
+        let current = [];
+        try {
+            await sheet.loadHeaderRow();
+            current = sheet.headerValues || [];
+        } catch (e) {
+            // 標題列是空的
+            current = [];
+        }
+
+        const added = headers.filter(h => !current.includes(h));
+        const unknown = current.filter(h => h && !headers.includes(h));
+
+        if (added.length > 0) {
+            const newHeaders = [...current, ...added];
+            if (sheet.columnCount !== undefined && newHeaders.length > sheet.columnCount) {
+                await sheet.resize({ rowCount: sheet.rowCount, columnCount: newHeaders.length });
+            }
+            await sheet.setHeaderRow(newHeaders);
+        }
+
+        report.push({ title, added, unknown });
+    }
+
+    return report;
+}
+
+module.exports = { SHEET_SCHEMAS, ARCHIVED_SHEETS, getArchiveTitle, getSheetSchema, migrateSchemas };
@@ -0,0 +1,26 @@
+/**
+ * Google Sheets 儲存介面
+ * 直接使用 google-spreadsheet 的 doc / sheet / row 物件
+ */
+
+const { GoogleSpreadsheet } = require('google-spreadsheet');
+const { JWT } = require('google-auth-library');
+
+const SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
+
+/**
+ * 建立 Google Sheets 連線
+ */
+async function createSheetsStorage() {
+    const serviceAccountAuth = new JWT({
+        email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+        key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+        scopes: SCOPES,
+    });
+
+    const doc = new GoogleSpreadsheet(process.env.GOOGLE_SHEET_ID, serviceAccountAuth);
+    await doc.loadInfo();
+    return doc;
+}
+
+module.exports = { createSheetsStorage };
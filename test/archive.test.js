@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, clock } = require('./helpers/server');
+
+let server;
+
+function readSheet(title) {
+    const data = JSON.parse(fs.readFileSync(path.join(server.dataDir, 'attendance.json'), 'utf8'));
+    return data.sheets[title] ? data.sheets[title].rows : [];
+}
+
+before(async () => {
+    server = await startServer();
+    await server.api('/api/classes', { method: 'POST', body: { code: '801', name: '八年一班' } });
+    for (let i = 1; i <= 2; i++) {
+        await server.api('/api/students', {
+            method: 'POST',
+            body: { studentId: `110000${i}`, name: `學生${i}`, classCode: '801', lineId: `Ustudent${i}` }
+        });
+    }
+});
+
+after(() => server.stop());
+
+test('封存學期只搬移結業日期前的紀錄，出席統計不歸零', async () => {
+    await server.api('/api/settings', { method: 'POST', body: { semesterStart: '2025-09-01', semesterEnd: '2026-01-20' } });
+    const { body: course } = await server.api('/api/courses', {
+        method: 'POST',
+        body: { subject: '數學', classCode: '801', checkinMode: 'online' }
+    });
+    const { body: past } = await server.api('/api/sessions', {
+        method: 'POST',
+        body: { courseId: course.courseId, date: '2025-10-01', startTime: '08:00', endTime: '08:50' }
+    });
+    await server.api(`/api/sessions/${past.sessionId}/complete`, { method: 'POST' });
+    // 學生是今天才加入班級的，上學期的紀錄以手動新增
+    for (const studentId of ['1100001', '1100002']) {
+        await server.api('/api/records/manual', {
+            method: 'POST',
+            body: { studentId, courseId: course.courseId, date: '2025-10-01', status: '缺席' }
+        });
+    }
+    const { body: current } = await server.api('/api/sessions', {
+        method: 'POST',
+        body: { courseId: course.courseId, startTime: clock(-5), endTime: clock(40) }
+    });
+    await server.api(`/api/sessions/${current.sessionId}/complete`, { method: 'POST' });
+    const recordIds = readSheet('簽到紀錄').filter(r => r['活動ID'] === current.sessionId).map(r => r['紀錄ID']);
+
+    const archived = await server.api('/api/semesters/archive', { method: 'POST', body: {} });
+    assert.strictEqual(archived.status, 200);
+    assert.strictEqual(archived.body.semester, '114-1');
+    assert.strictEqual(archived.body.records, 2);
+
+    const records = readSheet('簽到紀錄');
+    assert.deepStrictEqual(records.map(r => r['紀錄ID']).sort(), recordIds.sort());
+    assert.strictEqual(readSheet('簽到紀錄_114-1').length, 2);
+    assert.deepStrictEqual(readSheet('簽到活動').map(s => s['活動ID']), [current.sessionId]);
+
+    // 學期設定仍是已封存的學期時，統計包含封存的紀錄
+    const totals = readSheet('出席統計').filter(r => !r['課程ID']);
+    assert.deepStrictEqual(totals.map(r => [r['學號'], r['缺席次數']]), [['1100001', '2'], ['1100002', '2']]);
+});
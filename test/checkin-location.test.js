@@ -0,0 +1,48 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, clock } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+    await server.api('/api/classes', { method: 'POST', body: { code: '801', name: '八年一班' } });
+    await server.api('/api/students', {
+        method: 'POST',
+        body: { studentId: '1100001', name: '學生1', classCode: '801', lineId: 'Ustudent1' }
+    });
+});
+
+after(() => server.stop());
+
+test('多個簽到位置時另外列出位置，按鈕範本內文不超過 60 字', async () => {
+    const locationIds = [];
+    for (const name of ['第一教學大樓三樓電腦教室', '第二教學大樓體育館羽球場', '圖書館地下一樓自習室', '行政大樓前廣場']) {
+        const { body } = await server.api('/api/locations', {
+            method: 'POST',
+            body: { name, lat: 25.0330, lon: 121.5654, radius: 150 }
+        });
+        locationIds.push(body.locationId);
+        // 位置ID 以時間產生
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    const { body: course } = await server.api('/api/courses', {
+        method: 'POST',
+        body: { subject: '資訊科技與生活應用進階專題研究課程', classCode: '801', checkinMode: 'gps', locationIds }
+    });
+    const { body: session } = await server.api('/api/sessions', {
+        method: 'POST',
+        body: { courseId: course.courseId, startTime: clock(-5), endTime: clock(40) }
+    });
+
+    const messages = await server.webhook('Ustudent1', `GPS簽到:${course.courseId}|${session.sessionId}`);
+    assert.strictEqual(messages.length, 2);
+    assert.strictEqual(messages[0].type, 'text');
+    assert.match(messages[0].text, /第一教學大樓三樓電腦教室（150 公尺內）/);
+    assert.match(messages[0].text, /行政大樓前廣場/);
+
+    const { template } = messages[1];
+    assert.strictEqual(template.type, 'buttons');
+    assert.ok(template.title.length <= 40, 'buttons 標題最多 40 字');
+    assert.ok(template.text.length <= 60, '有標題時 buttons 內文最多 60 字');
+});
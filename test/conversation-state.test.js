@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../storage/local');
+const { withCache } = require('../storage/cache');
+const { UNCACHED_SHEETS } = require('../storage');
+
+let dir;
+let backend;
+
+before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-test-'));
+    process.env.LOCAL_DATA_FILE = path.join(dir, 'attendance.json');
+    // 兩個執行個體共用同一份試算表，各自有自己的讀取快取
+    backend = await createLocalStorage();
+    await backend.addSheet({ title: '對話狀態', headerValues: ['LINE_ID', '流程', '資料'] });
+    await backend.addSheet({ title: '學生名單', headerValues: ['學號', '姓名'] });
+});
+
+after(() => {
+    delete process.env.LOCAL_DATA_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * 模擬一個執行個體：各自的 doc / sheet 物件（如同各自連線到同一份 Google 試算表），外層包讀取快取
+ */
+function createInstance() {
+    const sheetsByTitle = {};
+    for (const [title, sheet] of Object.entries(backend.sheetsByTitle)) {
+        sheetsByTitle[title] = {
+            title,
+            get headerValues() { return sheet.headerValues; },
+            getRows: options => sheet.getRows(options),
+            addRows: list => sheet.addRows(list),
+            addRow: values => sheet.addRow(values),
+            clearRows: () => sheet.clearRows()
+        };
+    }
+    return withCache({ sheetsByTitle }, { ttlMs: 30000, uncached: UNCACHED_SHEETS });
+}
+
+test('對話狀態不快取：另一個執行個體寫入、刪除後立即讀到', async () => {
+    const first = createInstance();
+    const second = createInstance();
+    const firstSheet = first.sheetsByTitle['對話狀態'];
+    const secondSheet = second.sheetsByTitle['對話狀態'];
+
+    assert.strictEqual((await firstSheet.getRows()).length, 0);
+
+    await secondSheet.addRow({ 'LINE_ID': 'U1', '流程': 'register', '資料': '{"step":"studentId"}' });
+    const rows = await firstSheet.getRows();
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(rows[0].get('流程'), 'register');
+
+    const [row] = await secondSheet.getRows();
+    await row.delete();
+    assert.strictEqual((await firstSheet.getRows()).length, 0);
+});
+
+test('其他工作表仍使用讀取快取', async () => {
+    const first = createInstance();
+    const second = createInstance();
+
+    assert.strictEqual((await first.sheetsByTitle['學生名單'].getRows()).length, 0);
+    await second.sheetsByTitle['學生名單'].addRow({ '學號': '1100001', '姓名': '學生1' });
+    assert.strictEqual((await first.sheetsByTitle['學生名單'].getRows()).length, 0);
+
+    first.cache.invalidate('學生名單');
+    assert.strictEqual((await first.sheetsByTitle['學生名單'].getRows()).length, 1);
+});
@@ -0,0 +1,22 @@
+/**
+ * 測試用：以 -r 預先載入，攔截 LINE Messaging API 呼叫
+ * 回覆與推播的訊息逐行寫入 LINE_MOCK_LOG（JSON Lines），不會連到 LINE
+ */
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const line = require('@line/bot-sdk');
+
+function record(method, to, messages) {
+    fs.appendFileSync(process.env.LINE_MOCK_LOG, JSON.stringify({
+        method,
+        to,
+        messages: Array.isArray(messages) ? messages : [messages]
+    }) + '\n');
+    return Promise.resolve({});
+}
+
+line.Client.prototype.replyMessage = async (replyToken, messages) => record('reply', replyToken, messages);
+line.Client.prototype.pushMessage = async (to, messages) => record('push', to, messages);
+line.Client.prototype.getProfile = async () => ({ displayName: '測試' });
+line.Client.prototype.getMessageContent = async () => Readable.from([Buffer.from('fake-jpeg')]);
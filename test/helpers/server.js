@@ -0,0 +1,167 @@
+/**
+ * 測試用：以本地 JSON 後端啟動 server.js，LINE API 由 line-mock.js 攔截
+ */
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const CHANNEL_SECRET = 'test-channel-secret';
+const TEACHER_TOKEN = 'test-teacher-token';
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * 學校時區（Asia/Taipei）現在加減幾分鐘的時間，格式 HH:MM
+ */
+function clock(offsetMinutes = 0) {
+    return new Date(Date.now() + offsetMinutes * 60000).toLocaleTimeString('en-GB', {
+        timeZone: 'Asia/Taipei',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    });
+}
+
+/**
+ * 啟動伺服器
+ * @param {object} options
+ * @param {string} options.dataDir - 資料夾（多個執行個體共用時傳入同一個）
+ * @param {object} options.env - 其他環境變數
+ */
+async function startServer({ dataDir, env = {} } = {}) {
+    const dir = dataDir || fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-test-'));
+    const port = await getFreePort();
+    const mockLog = path.join(dir, `line-${port}.jsonl`);
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    const child = spawn(process.execPath, ['-r', path.join(__dirname, 'line-mock.js'), 'server.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            STORAGE_BACKEND: 'local',
+            LOCAL_DATA_FILE: path.join(dir, 'attendance.json'),
+            PHOTO_DIR: path.join(dir, 'photos'),
+            LINE_CHANNEL_ACCESS_TOKEN: 'test-access-token',
+            LINE_CHANNEL_SECRET: CHANNEL_SECRET,
+            QR_SECRET: 'test-qr-secret',
+            TEACHER_TOKEN,
+            LINE_MOCK_LOG: mockLog,
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    for (let i = 0; ; i++) {
+        if (child.exitCode !== null) {
+            throw new Error(`伺服器啟動失敗：\n${output}`);
+        }
+        try {
+            const res = await fetch(`${baseUrl}/api/health`);
+            if (res.ok) break;
+        } catch (e) {
+            // 尚未開始接受連線
+        }
+        if (i >= 100) {
+            child.kill();
+            throw new Error(`伺服器啟動逾時：\n${output}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    let logOffset = 0;
+
+    /**
+     * 取出上次呼叫後新增的 LINE API 呼叫
+     */
+    function takeLineCalls() {
+        if (!fs.existsSync(mockLog)) return [];
+        const lines = fs.readFileSync(mockLog, 'utf8').split('\n').filter(Boolean);
+        const calls = lines.slice(logOffset).map(line => JSON.parse(line));
+        logOffset = lines.length;
+        return calls;
+    }
+
+    /**
+     * 呼叫管理 API（預設帶老師金鑰）
+     */
+    async function api(pathname, { method = 'GET', body, token = TEACHER_TOKEN } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers['X-Teacher-Token'] = token;
+        const res = await fetch(baseUrl + pathname, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json().catch(() => null) };
+    }
+
+    /**
+     * 送出一則 webhook 事件，回傳這次事件的 LINE 回覆訊息
+     * @param {string} userId
+     * @param {string|object} message - 文字或訊息物件；postback 時為 data
+     * @param {object} options
+     * @param {boolean} options.postback
+     */
+    async function webhook(userId, message, { postback = false } = {}) {
+        const event = {
+            type: postback ? 'postback' : 'message',
+            replyToken: crypto.randomUUID(),
+            source: { type: 'user', userId },
+            timestamp: Date.now(),
+            webhookEventId: crypto.randomUUID(),
+            mode: 'active'
+        };
+        if (postback) {
+            event.postback = { data: message };
+        } else {
+            event.message = typeof message === 'string'
+                ? { type: 'text', id: crypto.randomUUID(), text: message }
+                : { id: crypto.randomUUID(), ...message };
+        }
+        const body = JSON.stringify({ destination: 'test', events: [event] });
+        const signature = crypto.createHmac('sha256', CHANNEL_SECRET).update(body).digest('base64');
+        const res = await fetch(`${baseUrl}/webhook`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-line-signature': signature },
+            body
+        });
+        if (!res.ok) {
+            throw new Error(`webhook 回應 ${res.status}：\n${output}`);
+        }
+        const reply = takeLineCalls().find(call => call.method === 'reply' && call.to === event.replyToken);
+        return reply ? reply.messages : [];
+    }
+
+    async function stop() {
+        if (child.exitCode === null) {
+            child.kill();
+            await exited;
+        }
+        if (!dataDir) {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    return { baseUrl, dataDir: dir, api, webhook, takeLineCalls, stop, output: () => output };
+}
+
+module.exports = { startServer, clock, TEACHER_TOKEN };
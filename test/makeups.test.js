@@ -0,0 +1,26 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('補簽申請列表含照片網址，需要老師金鑰', async () => {
+    const anonymous = await server.api('/api/makeups', { token: null });
+    assert.strictEqual(anonymous.status, 401);
+
+    const wrongToken = await server.api('/api/makeups', { token: 'guess' });
+    assert.strictEqual(wrongToken.status, 401);
+
+    const review = await server.api('/api/makeups/M1', { method: 'PUT', body: { status: '已核准' }, token: null });
+    assert.strictEqual(review.status, 401);
+
+    const list = await server.api('/api/makeups');
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.body, []);
+});
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, clock } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+    await server.api('/api/classes', { method: 'POST', body: { code: '801', name: '八年一班' } });
+    for (let i = 1; i <= 6; i++) {
+        await server.api('/api/students', {
+            method: 'POST',
+            body: { studentId: `110000${i}`, name: `學生${i}`, classCode: '801', lineId: `Ustudent${i}` }
+        });
+    }
+});
+
+after(() => server.stop());
+
+test('教師名單需要老師金鑰，且不列出綁定碼', async () => {
+    const created = await server.api('/api/teachers', { method: 'POST', body: { name: '王老師' } });
+    assert.strictEqual(created.status, 200);
+    assert.match(created.body.bindCode, /^\d{6}$/);
+
+    const anonymous = await server.api('/api/teachers', { token: null });
+    assert.strictEqual(anonymous.status, 401);
+    const reset = await server.api(`/api/teachers/${created.body.teacherId}/bind-code`, { method: 'POST', token: null });
+    assert.strictEqual(reset.status, 401);
+
+    const list = await server.api('/api/teachers');
+    assert.strictEqual(list.body.length, 1);
+    assert.strictEqual(list.body[0].bindCode, undefined);
+    assert.strictEqual(list.body[0].bindCodePending, true);
+});
+
+test('點名每位學生一則按鈕範本，每則最多 4 個按鈕', async () => {
+    const teachers = await server.api('/api/teachers');
+    const { body: { bindCode } } = await server.api(`/api/teachers/${teachers.body[0].id}/bind-code`, { method: 'POST' });
+    const bound = await server.webhook('Uteacher', `教師綁定 ${bindCode}`);
+    assert.match(bound[0].text, /綁定成功/);
+
+    const { body: course } = await server.api('/api/courses', {
+        method: 'POST',
+        body: { subject: '數學', classCode: '801', teacher: '王老師', checkinMode: 'online' }
+    });
+    await server.api('/api/sessions', {
+        method: 'POST',
+        body: { courseId: course.courseId, startTime: clock(-5), endTime: clock(40) }
+    });
+
+    const messages = await server.webhook('Uteacher', '點名');
+    assert.ok(messages.length <= 5, 'LINE 一次最多回覆 5 則訊息');
+    assert.strictEqual(messages[0].type, 'text');
+    assert.match(messages[0].text, /尚未簽到 6 人/);
+
+    const templates = messages.slice(1);
+    assert.strictEqual(templates.length, 4);
+    for (const message of templates) {
+        assert.strictEqual(message.type, 'template');
+        assert.strictEqual(message.template.type, 'buttons');
+        assert.ok(message.template.actions.length <= 4, 'buttons 範本最多 4 個按鈕');
+        assert.ok(message.template.title.length <= 40);
+        assert.ok(message.template.text.length <= 60);
+    }
+    assert.deepStrictEqual(templates[0].template.actions.map(a => a.label), ['已報到', '遲到', '請假', '缺席']);
+});
+
+test('連堂課程教師點名的狀態套用到每一節，不依點名時間重新判定', async (t) => {
+    if (clock(-60) > clock(55)) {
+        return t.skip('課堂時間跨過午夜');
+    }
+    await server.api('/api/settings', {
+        method: 'POST',
+        body: {
+            periods: [
+                { n: 1, s: clock(-60), e: clock(-40) },
+                { n: 2, s: clock(-5), e: clock(25) },
+                { n: 3, s: clock(30), e: clock(55) }
+            ]
+        }
+    });
+    const { body: course } = await server.api('/api/courses', {
+        method: 'POST',
+        body: { subject: '連堂', classCode: '801', teacher: '王老師', checkinMode: 'online', period: 1, periodCount: 3 }
+    });
+    const { body: session } = await server.api('/api/sessions', {
+        method: 'POST',
+        body: { courseId: course.courseId, startTime: clock(-60), endTime: clock(55) }
+    });
+
+    const mark = (studentId, status) => server.webhook('Uteacher',
+        `action=rollCall&session=${session.sessionId}&student=${studentId}&status=${status}`, { postback: true });
+    await mark('1100001', '已報到');
+    await mark('1100002', '遲到');
+
+    const { body: records } = await server.api(`/api/records?sessionId=${session.sessionId}`);
+    const byStudent = Object.fromEntries(records.map(r => [r.studentId, r]));
+    assert.strictEqual(byStudent['1100001'].status, '已報到');
+    assert.deepStrictEqual(byStudent['1100001'].periods.map(p => p.status), ['已報到', '已報到', '已報到']);
+    assert.strictEqual(byStudent['1100002'].status, '遲到');
+    assert.deepStrictEqual(byStudent['1100002'].periods.map(p => p.status), ['遲到', '遲到', '遲到']);
+});